@@ -4,19 +4,75 @@ const fs = require("fs");
 const path = require("path");
 const { Command } = require("commander");
 const { printSummary } = require("../printSummary");
-const cliProgress = require("cli-progress");
-const pLimit = require("p-limit").default;
-const { processRepo } = require("../processRepo");
 const {
-  runCmd,
+  runRepos,
+  runExec,
+  createEmit,
+  createTimedLimit,
+} = require("../runBatch");
+const { undoRepo } = require("../undoRepo");
+const {
   loadConfig: loadConfigUtil,
   filterRepos: filterReposUtil,
-  getExecutionModeMessage,
   getRepoInfo,
-  ensureLogsDir,
   checkResults,
-  generateExecLogContent,
+  isFailedResult,
+  parseList,
+  EXIT_CODES,
 } = require("../utils/utils");
+const { OUTCOMES, createResult } = require("../utils/result");
+const {
+  readPackageJson,
+  detectJsonFormat,
+  stringifyJson,
+  parseJsonPath,
+  getAtPath,
+  parseFieldValue,
+} = require("../utils/packageJson");
+const { readResolvedVersions } = require("../utils/lockfile");
+const { checkRepoPath } = require("../utils/configSchema");
+const { getRepoRemote } = require("../utils/remote");
+const {
+  RUN_REPORT_FORMATS,
+  resolveReportFormat,
+  buildRunReport,
+  writeRunReport,
+} = require("../utils/runReport");
+const {
+  findRepos,
+  readRepoDetails,
+  mergeDiscovered,
+  diffLines,
+  formatDiff,
+} = require("../utils/discover");
+const { getRunSettings, handleCancelSignals } = require("../utils/runControl");
+const {
+  REPORTERS,
+  resolveReporter,
+  createReporter,
+} = require("../utils/reporter");
+const { DIRTY_POLICIES } = require("../utils/workingTree");
+const {
+  saveManifest,
+  loadManifest,
+  loadRunState,
+  getRetryTargets,
+} = require("../utils/runManifest");
+const { cloneRepos } = require("../utils/clone");
+const {
+  getRepoStatus,
+  getStatusProblems,
+  formatStatusTable,
+} = require("../utils/repoStatus");
+const {
+  REPORT_FORMATS,
+  collectDeclared,
+  buildReport,
+  toTableRows,
+  formatCsv,
+  formatMarkdown,
+  formatJson,
+} = require("../utils/versionReport");
 
 const program = new Command();
 
@@ -32,19 +88,23 @@ function loadConfig() {
     return loadConfigUtil();
   } catch (e) {
     console.error(`❌ ${e.message}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.CONFIG_ERROR);
   }
 }
 
 /**
  * Filter repos with CLI error handling
  */
-function filterRepos(repos, only) {
+function filterRepos(repos, { only, tag, group, exclude } = {}, groups) {
   try {
-    const { matched, unknown } = filterReposUtil(repos, only);
+    const { matched, unknown } = filterReposUtil(
+      repos,
+      { only, tag, group, exclude },
+      groups,
+    );
     if (unknown.length) {
       console.warn(
-        `⚠️ Warning: these names from --only were not found and will be ignored: ${unknown.join(", ")}`,
+        `⚠️ Warning: these names from --only/--tag/--group/--exclude were not found and will be ignored: ${unknown.join(", ")}`,
       );
     }
     return matched;
@@ -55,40 +115,95 @@ function filterRepos(repos, only) {
 }
 
 /**
- * Create a progress bar with standard configuration
+ * Validate --reporter and create the reporter that renders the run
  */
-function createProgressBar(emoji = "📦") {
-  return new cliProgress.SingleBar(
-    {
-      format: `${emoji} {bar} {percentage}% | {value}/{total} | {repo}`,
-      barCompleteChar: "█",
-      barIncompleteChar: "░",
-      hideCursor: true,
-    },
-    cliProgress.Presets.shades_classic,
-  );
+function getReporter({ reporter }, emoji) {
+  try {
+    return createReporter(resolveReporter(reporter), { emoji });
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
 }
 
 /**
- * Log execution mode (parallel vs sequential)
+ * Validate --report / --report-file and remember when the run started
  */
-function logExecutionMode(parallel, concurrentCount) {
-  console.log(`\n${getExecutionModeMessage(parallel, concurrentCount)}\n`);
+function getRunReportOptions(opts, command, args) {
+  let format;
+  try {
+    format = resolveReportFormat(opts);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+  if (!format) return null;
+  return {
+    format,
+    file: opts.reportFile,
+    command,
+    args,
+    startedAt: new Date().toISOString(),
+  };
 }
 
 /**
- * Cleanup and exit with appropriate code
+ * Validate --concurrency / --timeout and cancel the run on Ctrl-C (SIGINT/SIGTERM)
  */
-function finishAndExit(bar, results, failCheck) {
+function getRunControl(options) {
+  let settings;
   try {
-    bar.stop();
+    settings = getRunSettings(options);
   } catch (e) {
-    /* noop */
+    console.error(`❌ ${e.message}`);
+    process.exit(EXIT_CODES.ERROR);
   }
+  return { ...settings, signal: getCancelSignal() };
+}
 
-  printSummary(results);
+/**
+ * Signal that cancels the run on Ctrl-C (SIGINT/SIGTERM)
+ */
+function getCancelSignal() {
+  const controller = new AbortController();
+  handleCancelSignals(controller, () => process.exit(EXIT_CODES.CANCELLED));
+  return controller.signal;
+}
 
-  const { exitCode } = checkResults(results, failCheck);
+/**
+ * Print an API error (runBatch.js) and exit: 3 for config errors, else 1
+ */
+function exitWithError(error, reporter) {
+  reporter.stop();
+  console.error(`❌ ${error.message}`);
+  process.exit(
+    String(error.code).startsWith("CONFIG_")
+      ? EXIT_CODES.CONFIG_ERROR
+      : EXIT_CODES.ERROR,
+  );
+}
+
+/**
+ * Cleanup and exit with appropriate code
+ */
+function finishAndExit(reporter, results, { footer, report } = {}) {
+  const { exitCode } = checkResults(results);
+  reporter.events.emit("runDone", { results, exitCode });
+  if (footer) reporter.print(`\n${footer}`);
+
+  if (report) {
+    try {
+      const { file, output } = writeRunReport(
+        buildRunReport({ ...report, results }),
+        report,
+      );
+      if (file)
+        reporter.print(`\n📝 ${report.format} report written to ${file}`);
+      else reporter.print(`\n${output}`);
+    } catch (e) {
+      console.error(`❌ Could not write report: ${e.message}`);
+    }
+  }
 
   try {
     process.stdin.pause();
@@ -99,6 +214,119 @@ function finishAndExit(bar, results, failCheck) {
   setImmediate(() => process.exit(exitCode));
 }
 
+/**
+ * Add the --open-pr family of options to a command
+ */
+function addPullRequestOptions(cmd) {
+  return cmd
+    .option("--open-pr", "Open a pull/merge request after pushing")
+    .option(
+      "--pr-title <template>",
+      "PR title template ({{repo}}, {{branch}}, {{verb}}, {{command}}, {{packages}}, {{names}}, {{commitMessage}})",
+    )
+    .option("--pr-body <template>", "PR body template (same variables)")
+    .option("--pr-labels <labels>", "Comma-separated labels to add to the PR")
+    .option("--pr-reviewers <users>", "Comma-separated reviewer usernames")
+    .option(
+      "--pr-base <branch>",
+      "Target branch of the PR (default: the repo's default branch)",
+    )
+    .option(
+      "--pr-provider <name>",
+      "PR provider: github or gitlab (default: from remote host)",
+    )
+    .option("--pr-api-url <url>", "Override the provider API base URL");
+}
+
+/**
+ * Add commit message and commit flag options to a command
+ */
+function addCommitOptions(cmd) {
+  return cmd
+    .option(
+      "--message <template>",
+      "Commit message template ({{verb}}, {{command}}, {{packages}}, {{names}}, {{repo}}, {{branch}}); default: repos.json `commitMessage`",
+    )
+    .option("--signoff", "Add a Signed-off-by trailer (DCO)")
+    .option("--gpg-sign [keyid]", "GPG-sign the commit (default key or keyid)")
+    .option("--author <author>", 'Commit author, e.g. "Bot <bot@example.com>"')
+    .option("--verify", "Run commit hooks instead of passing --no-verify");
+}
+
+/**
+ * Add --verify-cmd / --verify-reset to a command
+ */
+function addVerifyOptions(cmd) {
+  return cmd
+    .option(
+      "--verify-cmd <cmd>",
+      'Command that must pass before committing, e.g. "pnpm test" (repeatable; repos.json `verify` wins)',
+      (value, previous = []) => [...previous, value],
+    )
+    .option(
+      "--verify-reset",
+      "Discard the change when verification fails (default: leave it uncommitted on the branch)",
+    );
+}
+
+/**
+ * Add --report / --report-file to a command
+ */
+function addRunReportOptions(cmd) {
+  return cmd
+    .option(
+      "--report <format>",
+      `Also write a run report: ${RUN_REPORT_FORMATS.join(", ")}`,
+    )
+    .option(
+      "--report-file <path>",
+      "Write the report to this file instead of stdout (format from the extension if --report is omitted)",
+    );
+}
+
+/**
+ * Add --dry-run, --parallel, --concurrency, --timeout and --verbose to a command
+ */
+function addRunOptions(cmd) {
+  return cmd
+    .option("--dry-run", "Simulate the actions without executing commands")
+    .option("--parallel", "Run tasks in parallel")
+    .option(
+      "--concurrency <n>",
+      "Repos processed at once (default: 5 with --parallel, otherwise 1)",
+    )
+    .option(
+      "--timeout <duration>",
+      "Per-repo time limit, e.g. 90s, 10m or 1h (repos.json `timeout` wins)",
+    )
+    .option("--verbose", "Enable verbose logging in the terminal");
+}
+
+// --filter help: workspaces the package manager runs in, or whose package.json pkg edits
+const FILTER_HELP =
+  "Comma-separated workspace package names, dirs or globs to target in monorepos";
+const PKG_FILTER_HELP =
+  "Edit these workspace packages instead of the root package.json (names, dirs or globs)";
+
+/**
+ * Add the options of a command that changes repos and commits: the run options,
+ * --skip-push, --on-dirty, --filter (only with a help text), then the commit,
+ * verify, PR and report options
+ */
+function addChangeOptions(cmd, filterHelp) {
+  addRunOptions(cmd)
+    .option("--skip-push", "Do everything except git push")
+    .option(
+      "--on-dirty <policy>",
+      `Repos with uncommitted changes: ${DIRTY_POLICIES.join(", ")}`,
+      "skip",
+    );
+  if (filterHelp) cmd.option("--filter <workspaces>", filterHelp);
+  return addRunReportOptions(
+    addPullRequestOptions(addVerifyOptions(addCommitOptions(cmd))),
+  );
+}
+
 program
   .name("batch")
   .description(
@@ -107,305 +335,707 @@ program
   .version("1.0.0")
   .option(
     "--only <names>",
-    "Comma-separated list of repo names/paths (as listed in repos.json) to process only",
-  );
+    "Comma-separated list of repo names/paths (as listed in repos.json, globs allowed) to process only",
+  )
+  .option(
+    "--retry-failed",
+    "Re-run the previous install/remove/bump/exec for repos that failed or never finished",
+  )
+  .option(
+    "--resume",
+    "Continue an interrupted run: only repos that never finished",
+  )
+  .option(
+    "--tag <tags>",
+    "Comma-separated tags: process repos carrying any of them (repos.json `tags`)",
+  )
+  .option(
+    "--group <groups>",
+    "Comma-separated group names from repos.json `groups`",
+  )
+  .option(
+    "--exclude <names>",
+    "Comma-separated repo names/paths/globs or tags to leave out",
+  )
+  .option(
+    "--clone-missing",
+    "Clone repos missing from basePath (repos.json `url` or `urlTemplate`) before running",
+  )
+  .option(
+    "--reporter <name>",
+    `Progress output: ${REPORTERS.join(", ")} (default: tty on a terminal, plain otherwise)`,
+  )
+  .action(async () => {
+    const { retryFailed, resume } = program.opts();
+    if (!retryFailed && !resume) program.help({ error: true });
+    await handleRetry({ resume: !!resume && !retryFailed });
+  });
+
+addChangeOptions(
+  program
+    .command("install")
+    .alias("i")
+    .description("Install packages in all repos")
+    .argument("<packages...>", "Packages to install"),
+  FILTER_HELP,
+).action(async (packages, options) => {
+  const merged = { ...program.opts(), ...options };
+  await handleRepos("install", packages, merged);
+});
+
+addChangeOptions(
+  program
+    .command("remove")
+    .alias("rm")
+    .description("Remove packages from all repos")
+    .argument("<packages...>", "Packages to remove"),
+  FILTER_HELP,
+).action(async (packages, options) => {
+  const merged = { ...program.opts(), ...options };
+  await handleRepos("uninstall", packages, merged);
+});
+
+addChangeOptions(
+  program
+    .command("bump")
+    .description(
+      "Bump packages only in repos that already depend on them (keeps section and range style)",
+    )
+    .argument("<packages...>", "Packages with versions, e.g. react@19.0.0"),
+  FILTER_HELP,
+).action(async (packages, options) => {
+  const merged = { ...program.opts(), ...options };
+  await handleRepos("bump", packages, merged);
+});
+
+addChangeOptions(
+  program
+    .command("apply")
+    .description(
+      "Run a recipe of ordered steps (install, remove, bump, exec, edit, verify) in all repos",
+    )
+    .argument("<recipe>", "Recipe file (.json, or .js exporting it)")
+    .option(
+      "--commit-per-step",
+      "One commit per step that changed something (default: one commit)",
+    ),
+  FILTER_HELP,
+).action(async (recipeFile, options) => {
+  const merged = { ...program.opts(), ...options };
+  // Stored as the run's argument so --retry-failed and undo find it again
+  await handleRepos("apply", [path.resolve(recipeFile)], merged);
+});
+
+addChangeOptions(
+  program
+    .command("patch")
+    .description(
+      "Apply a unified diff or a JS transform module to all repos and commit it",
+    )
+    .argument(
+      "<file>",
+      "Diff/patch file, or a .js module exporting (filePath, contents) => contents",
+    )
+    .option(
+      "--files <globs>",
+      "Comma-separated globs of tracked files a transform module runs on (default: the module's `files`, else all)",
+    ),
+).action(async (file, options) => {
+  const merged = { ...program.opts(), ...options };
+  await handleRepos("patch", [path.resolve(file)], merged);
+});
+
+addRunReportOptions(
+  addRunOptions(
+    program
+      .command("exec")
+      .alias("run")
+      .description("Execute any shell command in all repos")
+      .argument(
+        "<command...>",
+        "Command to execute (quote if it contains spaces)",
+      ),
+  ),
+).action(async (commandParts, options) => {
+  const merged = { ...program.opts(), ...options };
+  await handleExec(commandParts, merged);
+});
 
 program
-  .command("install")
-  .alias("i")
-  .description("Install packages in all repos")
-  .argument("<packages...>", "Packages to install")
-  .option("--dry-run", "Simulate the actions without executing commands")
-  .option("--skip-push", "Do everything except git push")
-  .option("--parallel", "Run tasks in parallel")
-  .option("--verbose", "Enable verbose logging in the terminal")
-  .action(async (packages, options) => {
+  .command("report")
+  .description(
+    "Show a package × repo matrix of declared ranges and resolved lockfile versions",
+  )
+  .argument(
+    "[packages...]",
+    "Packages to include (globs allowed, default: all)",
+  )
+  .option(
+    "--format <format>",
+    `Output format: ${REPORT_FORMATS.join(", ")}`,
+    "table",
+  )
+  .option("--divergent-only", "Only show packages whose versions differ")
+  .action((packages, options) => {
     const merged = { ...program.opts(), ...options };
-    await handleRepos("install", packages, merged);
+    handleReport(packages, merged);
   });
 
 program
-  .command("remove")
-  .alias("rm")
-  .description("Remove packages from all repos")
-  .argument("<packages...>", "Packages to remove")
-  .option("--dry-run", "Simulate the actions without executing commands")
-  .option("--skip-push", "Do everything except git push")
-  .option("--parallel", "Run tasks in parallel")
+  .command("undo")
+  .description(
+    "Roll back a previous install/remove/bump run (default: the latest run)",
+  )
+  .argument("[runId]", "Run id printed at the end of the run (see ./runs)")
+  .option("--dry-run", "Show what would be undone without changing repos")
+  .option(
+    "--revert",
+    "Always create revert commits instead of resetting unpushed commits",
+  )
+  .option(
+    "--delete-remote",
+    "Also delete branches the run created and pushed on the remote",
+  )
+  .option("--push", "Push revert commits on branches that were pushed")
+  .option("--force", "Undo a run that was already undone")
   .option("--verbose", "Enable verbose logging in the terminal")
-  .action(async (packages, options) => {
+  .action(async (runId, options) => {
+    const merged = { ...program.opts(), ...options };
+    await handleUndo(runId, merged);
+  });
+
+const pkgCommand = program
+  .command("pkg")
+  .description("Read or edit package.json fields in all repos");
+
+addChangeOptions(
+  pkgCommand
+    .command("set")
+    .description(
+      "Set a package.json field (keeps key order and formatting), then commit and push",
+    )
+    .argument(
+      "<path>",
+      'JSON path, e.g. scripts.test, engines.node, exports["./a"]',
+    )
+    .argument(
+      "<value>",
+      'JSON value (true, 3, {"a":1}); anything else is a string',
+    )
+    .option("--string", "Always store the value as a string"),
+  PKG_FILTER_HELP,
+).action(async (jsonPath, value, options) => {
+  const merged = { ...program.opts(), ...options };
+  const json = JSON.stringify(parseFieldValue(value, merged));
+  await handleRepos("pkg", ["set", jsonPath, json], merged);
+});
+
+addChangeOptions(
+  pkgCommand
+    .command("delete")
+    .description("Delete a package.json field, then commit and push")
+    .argument("<path>", "JSON path, e.g. scripts.prepare or files[0]"),
+  PKG_FILTER_HELP,
+).action(async (jsonPath, options) => {
+  const merged = { ...program.opts(), ...options };
+  await handleRepos("pkg", ["delete", jsonPath], merged);
+});
+
+pkgCommand
+  .command("get")
+  .description("Show a package.json field for every repo")
+  .argument("<path>", "JSON path, e.g. engines.node")
+  .option("--json", "Print JSON instead of a table")
+  .action((jsonPath, options) => {
     const merged = { ...program.opts(), ...options };
-    await handleRepos("uninstall", packages, merged);
+    handlePkgGet(jsonPath, merged);
   });
 
 program
-  .command("exec")
-  .alias("run")
-  .description("Execute any shell command in all repos")
-  .argument("<command...>", "Command to execute (quote if it contains spaces)")
-  .option("--dry-run", "Simulate the actions without executing commands")
-  .option("--parallel", "Run tasks in parallel")
-  .option("--verbose", "Enable verbose logging in the terminal")
-  .action(async (commandParts, options) => {
+  .command("status")
+  .description(
+    "Show each repo's git state: branch, uncommitted changes, ahead/behind, configured branch, last commit (read-only)",
+  )
+  .option("--json", "Print JSON instead of a table")
+  .option("--parallel", "Read repos in parallel")
+  .option(
+    "--concurrency <n>",
+    "Repos read at once (default: 5 with --parallel, otherwise 1)",
+  )
+  .option(
+    "--timeout <duration>",
+    "Per-repo time limit, e.g. 90s, 10m or 1h (repos.json `timeout` wins)",
+  )
+  .action(async (options) => {
+    const merged = { ...program.opts(), ...options };
+    await handleStatus(merged);
+  });
+
+program
+  .command("clone")
+  .description(
+    "Clone repos that are not on disk yet from their `url` (or the repos.json `urlTemplate`)",
+  )
+  .option("--dry-run", "Show what would be cloned without cloning")
+  .option("--parallel", "Clone in parallel")
+  .option(
+    "--concurrency <n>",
+    "Repos cloned at once (default: 5 with --parallel, otherwise 1)",
+  )
+  .option(
+    "--timeout <duration>",
+    "Per-repo time limit, e.g. 90s, 10m or 1h (repos.json `timeout` wins)",
+  )
+  .action(async (options) => {
     const merged = { ...program.opts(), ...options };
-    await handleExec(commandParts, merged);
+    await handleClone(merged);
+  });
+
+const configCommand = program
+  .command("config")
+  .description("Inspect the repos.json configuration");
+
+configCommand
+  .command("validate")
+  .description(
+    "Validate repos.json against the schema and check that every repo path is a git repository",
+  )
+  .action(() => {
+    handleConfigValidate(program.opts());
+  });
+
+program
+  .command("discover")
+  .description(
+    "Scan basePath for git repos with a package.json and merge them into repos.json",
+  )
+  .option(
+    "--depth <n>",
+    "Directory levels below basePath to scan (1 = direct children)",
+    "2",
+  )
+  .option(
+    "--ignore <patterns>",
+    "Comma-separated dir names or relative paths (globs allowed) to skip",
+  )
+  .option(
+    "--base-path <dir>",
+    "basePath for a new repos.json (when the file does not exist yet)",
+  )
+  .option("--write", "Write repos.json instead of only showing the diff")
+  .action(async (options) => {
+    await handleDiscover(options);
   });
 
 program.parse(process.argv);
 
-async function handleRepos(
-  command,
-  packages,
-  { dryRun, skipPush, parallel, verbose, only },
-) {
-  const results = [];
-  const { basePath, repos } = loadConfig();
+async function handleRepos(command, packages, options) {
+  const report = getRunReportOptions(options, command, packages);
+  const reporter = getReporter(options, "📦");
+  let run;
+  try {
+    run = await runRepos(command, packages, {
+      ...options,
+      signal: getCancelSignal(),
+      events: reporter.events,
+    });
+  } catch (e) {
+    exitWithError(e, reporter);
+  }
+  const footer = run.runId
+    ? `🧾 Run ${run.runId} recorded — roll back with: batch undo ${run.runId}`
+    : undefined;
+  finishAndExit(reporter, run.results, { footer, report });
+}
 
-  if (!packages || !packages.length) {
-    console.error("❌ You must specify at least one package.");
+async function handleExec(commandParts, options) {
+  const report = getRunReportOptions(options, "exec", commandParts);
+  const reporter = getReporter(options, "🚀");
+  reporter.print(`\n📋 Command: ${commandParts.join(" ")}`);
+  let run;
+  try {
+    run = await runExec(commandParts, {
+      ...options,
+      signal: getCancelSignal(),
+      events: reporter.events,
+    });
+  } catch (e) {
+    exitWithError(e, reporter);
+  }
+  finishAndExit(reporter, run.results, { report });
+}
+
+function handleReport(packages, { format, divergentOnly, ...selectors }) {
+  if (!REPORT_FORMATS.includes(format)) {
+    console.error(
+      `❌ Unknown format "${format}". Use one of: ${REPORT_FORMATS.join(", ")}`,
+    );
     process.exit(1);
   }
 
-  const selected = filterRepos(repos, only);
-  const bar = createProgressBar("📦");
-  const concurrentCount = parallel ? 5 : 1;
+  const { basePath, repos, groups } = loadConfig();
+  const selected = filterRepos(repos, selectors, groups);
+  const entries = [];
 
-  logExecutionMode(parallel, concurrentCount);
+  selected.forEach((repo) => {
+    const { repoName, repoPath } = getRepoInfo(repo, basePath);
+    let pkg;
+    try {
+      ({ pkg } = readPackageJson(repoPath));
+    } catch (e) {
+      console.warn(`⚠️ ${repoName}: ${e.message}`);
+      return;
+    }
 
-  if (!verbose) bar.start(selected.length, 0, { repo: "" });
+    const declared = collectDeclared(pkg);
+    const ranges = Object.fromEntries(
+      Object.entries(declared).map(([name, dep]) => [name, dep.range]),
+    );
+    let resolved = {};
+    try {
+      ({ resolved } = readResolvedVersions(repoPath, ranges));
+    } catch (e) {
+      console.warn(`⚠️ ${repoName}: could not read lockfile: ${e.message}`);
+    }
+    entries.push({ repo: repoName, declared, resolved });
+  });
 
-  const limit = pLimit(concurrentCount);
+  const report = buildReport(entries, { packages, divergentOnly });
 
-  const localBranchExists = async (repoPath, branch) => {
-    const cmd = `git -C "${repoPath}" show-ref --verify --quiet refs/heads/${branch}`;
-    const res = await runCmd(cmd);
-    return res.ok;
-  };
+  if (format === "json") console.log(formatJson(report));
+  else if (format === "csv") console.log(formatCsv(report));
+  else if (format === "markdown") console.log(formatMarkdown(report));
+  else if (!report.rows.length) console.log("\n📊 No matching packages.");
+  else {
+    const divergent = report.rows.filter((r) => r.divergent).length;
+    console.log(
+      `\n📊 ${report.rows.length} packages across ${report.repos.length} repos (${divergent} divergent ⚠️)\n`,
+    );
+    console.table(toTableRows(report));
+  }
+}
 
-  const ensureBranchFromLocalMain = async (repoPath, branchName, isVerbose) => {
-    const run = (cmd) =>
-      runCmd(`git -C "${repoPath}" ${cmd}`).then((res) => {
-        if (!res.ok && isVerbose) {
-          console.error(
-            `[${repoPath}] ❌ ${cmd} failed:\n`,
-            res.error || res.stdout,
-          );
-        }
-        return res.ok;
-      });
-
-    // Check if branch already exists
-    const exists = await run(`rev-parse --verify ${branchName}`);
-    if (exists) {
-      if (isVerbose)
-        console.log(
-          `[${repoPath}] ✅ Branch ${branchName} already exists locally`,
-        );
-      return true;
+function handlePkgGet(jsonPath, { json, ...selectors }) {
+  try {
+    parseJsonPath(jsonPath);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  const { basePath, repos, groups } = loadConfig();
+  const selected = filterRepos(repos, selectors, groups);
+  const rows = selected.map((repo) => {
+    const { repoName, repoPath } = getRepoInfo(repo, basePath);
+    try {
+      const { pkg } = readPackageJson(repoPath);
+      return { repo: repoName, ...getAtPath(pkg, jsonPath) };
+    } catch (e) {
+      return { repo: repoName, found: false, error: e.message };
     }
+  });
 
-    if (isVerbose)
-      console.log(
-        `[${repoPath}] 🆕 Creating branch '${branchName}' from local main`,
-      );
+  if (json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+
+  const values = new Set(
+    rows.filter((r) => r.found).map((r) => JSON.stringify(r.value)),
+  );
+  console.log(
+    `\n📦 ${jsonPath}: set in ${rows.filter((r) => r.found).length} of ${rows.length} repos (${values.size} distinct value(s))\n`,
+  );
+  console.table(
+    rows.map((r) => ({
+      repo: r.repo,
+      value: r.found
+        ? JSON.stringify(r.value)
+        : r.error
+          ? `⚠️ ${r.error}`
+          : "—",
+    })),
+  );
+}
 
-    // Fetch remote refs
-    await run(`fetch origin`);
+async function handleClone({ dryRun, ...options }) {
+  const { basePath, repos, groups, urlTemplate } = loadConfig();
+  const selected = filterRepos(repos, options, groups);
+  const control = getRunControl(options);
+  const results = [];
+  const reporter = getReporter(options, "📥");
+  const emit = createEmit(reporter.events);
 
-    // Fast-forward local main to match origin/main (but don't checkout it)
-    await run(`fetch origin main`);
-    await run(`branch --force main origin/main`);
+  emit("runStart", {
+    command: "clone",
+    repos: selected.map((repo) => getRepoInfo(repo, basePath).repoName),
+    concurrency: control.concurrency,
+  });
 
-    // Create new local branch from updated main (without tracking)
-    return await run(`checkout --no-track -b ${branchName} main`);
-  };
+  try {
+    await cloneRepos(selected, {
+      basePath,
+      urlTemplate,
+      limit: createTimedLimit(control, results, basePath, { emit }),
+      results,
+      dryRun,
+    });
+  } finally {
+    finishAndExit(reporter, results);
+  }
+}
 
-  const tasks = selected.map((repo) =>
-    limit(async () => {
-      const { repoName, repoPath } = getRepoInfo(repo, basePath);
+async function handleStatus({ json, ...options }) {
+  const { basePath, repos, groups } = loadConfig();
+  const selected = filterRepos(repos, options, groups);
+  const control = getRunControl(options);
+  // Only timeouts, Ctrl-C and thrown errors land here; every repo gets a status entry
+  const results = [];
+  const limit = createTimedLimit(control, results, basePath);
 
-      if (!verbose) bar.update({ repo: repoName });
-
-      if (!fs.existsSync(repoPath)) {
-        results.push({
-          repo: repoName,
-          ok: false,
-          error: `Path not found: ${repoPath}`,
-        });
-        if (verbose) console.error(`${repoName}: path not found: ${repoPath}`);
-        if (!verbose) bar.increment();
-        return;
-      }
-
-      // determine expected branch for this repo (from repos.json)
-      const expectedBranch = repo.branch || repo.branchName || undefined;
-
-      if (expectedBranch) {
-        let existsLocally = false;
-        try {
-          existsLocally = await localBranchExists(repoPath, expectedBranch);
-        } catch (e) {
-          existsLocally = false;
-        }
-
-        if (!existsLocally) {
-          if (verbose)
-            console.log(
-              `${repoName}: branch ${expectedBranch} not found locally — creating it locally`,
-            );
-
-          if (dryRun) {
-            results.push({
-              repo: repoName,
-              ok: true,
-              dryRun: true,
-              info: `Would create branch ${expectedBranch} after fetching remote refs`,
-            });
-            if (!verbose) bar.increment();
-            return;
-          }
-
-          const created = await ensureBranchFromLocalMain(
-            repoPath,
-            expectedBranch,
-            verbose,
-          );
-
-          if (!created) {
-            results.push({
-              repo: repoName,
-              ok: false,
-              error: `branch ${expectedBranch} still not present after attempted creation`,
-            });
-            if (verbose)
-              console.error(
-                `${repoName}: failed to create branch ${expectedBranch}`,
-              );
-            if (!verbose) bar.increment();
-            return;
-          }
-        }
-      }
-
-      // call processRepo
-      try {
-        if (dryRun) {
-          results.push({
-            repo: repoName,
-            ok: true,
-            dryRun: true,
-            info: `Would run processRepo for ${repoName}`,
-          });
-          if (!verbose) bar.increment();
-          return;
-        }
-
-        await processRepo(
-          repo,
-          command,
-          packages,
-          { dryRun, skipPush, bar, verbose },
-          basePath,
-          results,
-        );
-      } catch (err) {
-        results.push({ repo: repoName, ok: false, error: err.message || err });
-      }
+  const statuses = await Promise.all(
+    selected.map(async (repo) => {
+      const { repoName, repoPath } = getRepoInfo(repo, basePath);
+      const status = await limit(repo, (signal) =>
+        getRepoStatus(repoPath, {
+          branch: repo.branch,
+          remote: getRepoRemote(repo),
+          baseBranch: repo.baseBranch,
+          signal,
+        }),
+      );
+      const failed = results.find((r) => r.repo === repoName);
+      return {
+        repo: repoName,
+        ...(failed
+          ? { error: failed.message }
+          : status || { error: "unknown" }),
+      };
     }),
   );
+  const problems = statuses.map(getStatusProblems);
 
-  try {
-    await Promise.all(tasks);
-  } finally {
-    finishAndExit(bar, results, (r) => r.status.includes("Error"));
+  if (json) {
+    console.log(
+      JSON.stringify(
+        statuses.map((status, i) => ({ ...status, problems: problems[i] })),
+        null,
+        2,
+      ),
+    );
+  } else {
+    const flagged = problems.filter((p) => p.length).length;
+    console.log(
+      `\n📋 ${statuses.length} repos, ${flagged} with something to look at\n`,
+    );
+    console.log(
+      formatStatusTable(statuses, {
+        color: Boolean(process.stdout.isTTY) && !process.env.NO_COLOR,
+      }),
+    );
   }
+
+  process.exit(
+    statuses.some((s) => s.error) ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.OK,
+  );
 }
 
-async function handleExec(commandParts, { dryRun, parallel, verbose, only }) {
-  const results = [];
-  const command = commandParts.join(" ");
-  const { basePath, repos } = loadConfig();
+function handleConfigValidate(selectors) {
+  const { basePath, repos, groups } = loadConfig();
+  console.log(
+    `\n✅ repos.json matches the schema (${repos.length} repositories)`,
+  );
+
+  const selected = filterRepos(repos, selectors, groups);
+  const results = selected.map((repo) => {
+    const { repoName, repoPath } = getRepoInfo(repo, basePath);
+    const problem = checkRepoPath(repoPath);
+    return createResult({
+      repo: repoName,
+      phase: "validate",
+      outcome: problem ? OUTCOMES.FAILED : OUTCOMES.SUCCESS,
+      message: problem || repoPath,
+    });
+  });
+
+  printSummary(results);
+  const { exitCode } = checkResults(results);
+  process.exit(exitCode);
+}
+
+async function handleDiscover({ depth, ignore, basePath: newBasePath, write }) {
+  const configPath = "repos.json";
+  const exists = fs.existsSync(configPath);
+  let config;
+  let format = { indent: 2, newline: "\n" };
+
+  if (exists) {
+    if (newBasePath) {
+      console.error(
+        `❌ ${configPath} already exists; --base-path is only used to create it`,
+      );
+      process.exit(1);
+    }
+    loadConfig();
+    const raw = fs.readFileSync(configPath, "utf8");
+    config = JSON.parse(raw);
+    format = detectJsonFormat(raw);
+  } else if (newBasePath) {
+    config = { basePath: path.resolve(newBasePath), repositories: [] };
+  } else {
+    console.error(
+      `❌ ${configPath} not found; pass --base-path <dir> to create it`,
+    );
+    process.exit(1);
+  }
 
-  if (!command) {
-    console.error("❌ You must specify a command to execute.");
+  const maxDepth = Number(depth);
+  if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+    console.error(`❌ --depth must be a positive integer (got "${depth}")`);
     process.exit(1);
   }
 
-  const selected = filterRepos(repos, only);
-  const bar = createProgressBar("🚀");
-  const concurrentCount = parallel ? 5 : 1;
-  const logsDir = ensureLogsDir();
+  const found = findRepos(config.basePath, {
+    depth: maxDepth,
+    ignore: parseList(ignore),
+  });
+  console.log(
+    `\n🔎 Found ${found.length} git repositories with a package.json in ${config.basePath}`,
+  );
 
-  console.log(`\n📋 Command: ${command}`);
-  logExecutionMode(parallel, concurrentCount);
+  const discovered = [];
+  for (const repo of found) {
+    discovered.push({ ...repo, details: await readRepoDetails(repo.dir) });
+  }
 
-  if (!verbose) bar.start(selected.length, 0, { repo: "" });
+  const {
+    config: merged,
+    added,
+    updated,
+    missing,
+  } = mergeDiscovered(config, discovered);
+  const before = exists ? stringifyJson(config, format) : "";
+  const after = stringifyJson(merged, format);
+  const diff = formatDiff(diffLines(before.trimEnd(), after.trimEnd()));
 
-  const limit = pLimit(concurrentCount);
+  if (missing.length) {
+    console.warn(
+      `⚠️ Configured but not found on disk (kept as is): ${missing.join(", ")}`,
+    );
+  }
 
-  const tasks = selected.map((repo) =>
-    limit(async () => {
-      const { repoName, repoPath } = getRepoInfo(repo, basePath);
+  if (!diff) {
+    console.log(`\n✅ ${configPath} is up to date`);
+    return;
+  }
 
-      if (!verbose) bar.update({ repo: repoName });
-
-      if (!fs.existsSync(repoPath)) {
-        results.push({
-          name: repoName,
-          status: "❌ Error",
-          message: `Path not found: ${repoPath}`,
-        });
-        if (verbose) console.error(`${repoName}: path not found: ${repoPath}`);
-        if (!verbose) bar.increment();
-        return;
-      }
-
-      if (dryRun) {
-        results.push({
-          name: repoName,
-          status: "☑️ DRY RUN",
-          message: `Would execute: ${command}`,
-        });
-        if (verbose) console.log(`${repoName}: would execute: ${command}`);
-        if (!verbose) bar.increment();
-        return;
-      }
-
-      // Execute the command in the repo directory
-      const res = await runCmd(command, { cwd: repoPath });
-
-      // Write log file
-      const logFile = path.resolve(logsDir, `${repoName}-exec.log`);
-      const logContent = generateExecLogContent(command, repoPath, res);
-      fs.writeFileSync(logFile, logContent, "utf8");
-
-      if (verbose) {
-        console.log(`\n--- ${repoName} ---`);
-        if (res.stdout) console.log(res.stdout);
-        if (res.stderr) console.error(res.stderr);
-      }
-
-      if (res.ok) {
-        results.push({
-          name: repoName,
-          status: "✅ Success",
-          message: `Executed successfully (log: ${logFile})`,
-        });
-      } else {
-        results.push({
-          name: repoName,
-          status: "❌ Error",
-          message: `${res.error?.split("\n")[0] || "Command failed"} (log: ${logFile})`,
-        });
-      }
-
-      if (!verbose) bar.increment();
-    }),
+  console.log(`\n${diff}\n`);
+  if (added.length) console.log(`➕ New repos: ${added.join(", ")}`);
+  updated.forEach(({ name, fields }) =>
+    console.log(`✏️ ${name}: added ${fields.join(", ")}`),
+  );
+
+  if (!write) {
+    console.log(`\nℹ️ Nothing written; pass --write to update ${configPath}`);
+    return;
+  }
+
+  fs.writeFileSync(configPath, after, "utf8");
+  console.log(`\n💾 Wrote ${configPath}`);
+}
+
+async function handleUndo(runId, { only, exclude, force, ...options }) {
+  const results = [];
+
+  let manifest;
+  try {
+    manifest = loadManifest(runId);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  if (manifest.undoneAt && !force && !options.dryRun) {
+    console.error(
+      `❌ Run ${manifest.runId} was already undone at ${manifest.undoneAt} (use --force to run it again)`,
+    );
+    process.exit(1);
+  }
+
+  const entries = filterRepos(
+    manifest.repos.map((entry) => ({ ...entry, name: entry.repo })),
+    { only, exclude },
   );
+  const reporter = getReporter(options, "⏪");
+  const emit = createEmit(reporter.events);
+
+  reporter.print(
+    `\n⏪ Undoing run ${manifest.runId} (${manifest.command} ${manifest.packages.join(" ")})`,
+  );
+  emit("runStart", {
+    command: "undo",
+    repos: entries.map((entry) => entry.repo),
+    concurrency: 1,
+  });
 
   try {
-    await Promise.all(tasks);
+    // Sequential on purpose: undo should be easy to follow and stop-safe
+    for (const entry of entries) {
+      const { repo } = entry;
+      const first = results.length;
+      emit("repoStart", { repo });
+      await undoRepo(
+        entry,
+        {
+          ...options,
+          onLog: (message) => emit("log", { repo, level: "log", message }),
+        },
+        results,
+      );
+      emit("repoDone", { repo, results: results.slice(first) });
+    }
   } finally {
-    finishAndExit(bar, results, (r) => r.status.includes("Error"));
+    if (!options.dryRun && !results.some(isFailedResult)) {
+      manifest.undoneAt = new Date().toISOString();
+      saveManifest(manifest);
+    }
+    finishAndExit(reporter, results);
   }
 }
+
+async function handleRetry({ resume }) {
+  let state;
+  try {
+    state = loadRunState();
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  const targets = getRetryTargets(state, { resume });
+  if (!targets.length) {
+    console.log(
+      resume
+        ? "✅ Nothing to resume: every repo of the previous run finished."
+        : "✅ Nothing to retry: the previous run had no failures.",
+    );
+    return;
+  }
+
+  console.log(
+    `\n🔁 ${resume ? "Resuming" : "Retrying"} ${state.command} ${state.args.join(" ")} for ${targets.length} repo(s): ${targets.join(", ")}`,
+  );
+
+  // Target exactly the repos to retry: drop the original tag/group/exclude selection;
+  // render it the way this invocation asks for
+  const options = {
+    ...state.options,
+    reporter: program.opts().reporter,
+    only: targets.join(","),
+    tag: undefined,
+    group: undefined,
+    exclude: undefined,
+  };
+  if (state.command === "exec") await handleExec(state.args, options);
+  else await handleRepos(state.command, state.args, options);
+}
@@ -1,14 +1,19 @@
-const { execSync } = require("child_process");
+const { execSync, spawn } = require("child_process");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
 
 const CLI_PATH = path.resolve(__dirname, "batch.js");
 const TEST_DIR = path.resolve(__dirname, "__test_fixtures__");
+// Manifests and last-run.json of the CLI runs stay out of the tool's runs/
+const RUNS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "batch-runs-"));
+const CLI_ENV = { ...process.env, BATCH_BUMP_RUNS_DIR: RUNS_DIR };
 
-function runCli(args, cwd = TEST_DIR) {
+function runCli(args, cwd = TEST_DIR, env = CLI_ENV) {
   try {
     const stdout = execSync(`node "${CLI_PATH}" ${args} 2>&1`, {
       cwd,
+      env,
       encoding: "utf8",
       timeout: 30000,
     });
@@ -24,7 +29,12 @@ describe("batch CLI", () => {
     fs.mkdirSync(TEST_DIR, { recursive: true });
     ["test-repo-1", "test-repo-2"].forEach((repo) => {
       fs.mkdirSync(path.resolve(TEST_DIR, repo), { recursive: true });
+      execSync("git init -q", { cwd: path.resolve(TEST_DIR, repo) });
     });
+    fs.writeFileSync(
+      path.resolve(TEST_DIR, "test-repo-1", "package.json"),
+      JSON.stringify({ dependencies: { react: "^18.2.0" } })
+    );
     fs.writeFileSync(
       path.resolve(TEST_DIR, "repos.json"),
       JSON.stringify({
@@ -36,6 +46,7 @@ describe("batch CLI", () => {
 
   afterAll(() => {
     fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    fs.rmSync(RUNS_DIR, { recursive: true, force: true });
   });
 
   describe("exec command", () => {
@@ -62,6 +73,704 @@ describe("batch CLI", () => {
       expect(result.exitCode).toBe(2);
       expect(result.stdout).toContain("Error");
     });
+
+    it("should write a JUnit report with one testcase per repo", () => {
+      const reportFile = path.resolve(TEST_DIR, "reports", "exec.xml");
+      const result = runCli(
+        `exec "exit 1" --only=test-repo-2 --report-file "${reportFile}"`
+      );
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stdout).toContain("junit report written to");
+      const xml = fs.readFileSync(reportFile, "utf8");
+      expect(xml).toContain('tests="1" failures="1"');
+      expect(xml).toContain('name="test-repo-2"');
+    });
+  });
+
+  describe("--reporter", () => {
+    it("should print plain lines per repo when not on a terminal", () => {
+      const result = runCli('exec "echo hello" --parallel --verbose');
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain("[test-repo-1] hello");
+      expect(result.stdout).toContain("[test-repo-2] ✅ Success");
+      expect(result.stdout).not.toContain("\u001b[");
+    });
+
+    it("should stream events as NDJSON on stdout", () => {
+      const stdout = execSync(
+        `node "${CLI_PATH}" exec "echo hello" --reporter ndjson --verbose`,
+        {
+          cwd: TEST_DIR,
+          env: CLI_ENV,
+          encoding: "utf8",
+          stdio: "pipe",
+          timeout: 30000,
+        }
+      );
+      const events = stdout.trim().split("\n").map(JSON.parse);
+
+      expect(events.map((e) => e.event)).toEqual([
+        "runStart",
+        "repoStart",
+        "step",
+        "log",
+        "repoDone",
+        "repoStart",
+        "step",
+        "log",
+        "repoDone",
+        "runDone",
+      ]);
+      expect(events[3]).toMatchObject({
+        repo: "test-repo-1",
+        message: "hello\n",
+      });
+      expect(events[9]).toMatchObject({ exitCode: 0 });
+    });
+
+    it("should reject unknown reporters", () => {
+      const result = runCli('exec "echo hello" --reporter fancy');
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stdout).toContain('Unknown reporter "fancy"');
+    });
+  });
+
+  describe("timeouts and cancellation", () => {
+    it("should fail a repo that runs past --timeout", () => {
+      const result = runCli('exec "sleep 5" --only=test-repo-1 --timeout 1s');
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stdout).toContain("Timed out after 1s");
+    });
+
+    it("should mark unfinished repos as cancelled on SIGINT", async () => {
+      const child = spawn("node", [CLI_PATH, "exec", "sleep 5"], {
+        cwd: TEST_DIR,
+        env: CLI_ENV,
+      });
+      let stdout = "";
+      child.stdout.on("data", (chunk) => (stdout += chunk));
+      child.stderr.on("data", (chunk) => (stdout += chunk));
+      setTimeout(() => child.kill("SIGINT"), 1000);
+
+      const exitCode = await new Promise((resolve) =>
+        child.on("exit", (code) => resolve(code))
+      );
+
+      expect(exitCode).toBe(130);
+      expect(stdout).toContain("Cancelled by SIGINT");
+      expect(stdout).toContain("Not started: the run was cancelled");
+    });
+  });
+
+  describe("--retry-failed", () => {
+    const marker = path.resolve(TEST_DIR, "test-repo-2", "marker");
+    // A runs dir of their own, so earlier runs of this file do not leak into the retries
+    const runsDir = fs.mkdtempSync(path.join(os.tmpdir(), "batch-retry-"));
+    const env = { ...CLI_ENV, BATCH_BUMP_RUNS_DIR: runsDir };
+
+    afterAll(() => {
+      fs.rmSync(marker, { force: true });
+      fs.rmSync(runsDir, { recursive: true, force: true });
+    });
+
+    it("should fail when there is no previous run", () => {
+      const result = runCli("--retry-failed", TEST_DIR, env);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stdout).toContain("No previous run state found");
+    });
+
+    it("should re-run the previous command only for failed repos", () => {
+      const first = runCli(
+        'exec "test -f marker || test -f package.json"',
+        TEST_DIR,
+        env
+      );
+      expect(first.exitCode).toBe(2);
+
+      fs.writeFileSync(marker, "");
+      const retry = runCli("--retry-failed", TEST_DIR, env);
+
+      expect(retry.exitCode).toBe(0);
+      expect(retry.stdout).toContain("Retrying exec");
+      expect(retry.stdout).toContain("test-repo-2");
+      expect(retry.stdout).not.toContain("test-repo-1");
+    });
+
+    it("should report when there is nothing to retry", () => {
+      const result = runCli("--retry-failed", TEST_DIR, env);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain("Nothing to retry");
+    });
+  });
+
+  describe("config validate", () => {
+    it("should check the schema and that every repo is a git repository", () => {
+      const result = runCli("config validate");
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain("repos.json matches the schema");
+      expect(result.stdout).toContain("test-repo-2");
+    });
+
+    it("should fail on schema errors before running anything", () => {
+      const dir = path.resolve(TEST_DIR, "invalid-config");
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(
+        path.resolve(dir, "repos.json"),
+        JSON.stringify({
+          basePath: TEST_DIR,
+          repositories: [{ name: "test-repo-1", brnach: "x" }],
+        })
+      );
+
+      const validate = runCli("config validate", dir);
+      expect(validate.exitCode).toBe(3);
+      expect(validate.stdout).toContain(
+        '$.repositories[0].brnach: unknown key (did you mean "branch"?)'
+      );
+
+      const exec = runCli('exec "echo hi"', dir);
+      expect(exec.exitCode).toBe(3);
+      expect(exec.stdout).toContain("repos.json is invalid");
+    });
+  });
+
+  describe("--on-dirty", () => {
+    const repo = path.resolve(TEST_DIR, "test-repo-2");
+    const file = path.resolve(repo, "notes.txt");
+
+    beforeAll(() => {
+      fs.writeFileSync(file, "committed\n");
+      execSync(
+        "git add notes.txt && git -c user.email=t@t -c user.name=t commit -qm notes",
+        { cwd: repo }
+      );
+      fs.writeFileSync(file, "work in progress\n");
+    });
+
+    afterAll(() => execSync("git checkout -q notes.txt", { cwd: repo }));
+
+    it("should skip repos with uncommitted changes by default", () => {
+      const result = runCli("install lodash --dry-run");
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain("Uncommitted changes in 1 file(s)");
+      expect(result.stdout).toContain("Would install lodash");
+    });
+
+    it("should stop before touching any repo with --on-dirty=abort", () => {
+      const result = runCli("install lodash --dry-run --on-dirty=abort");
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stdout).toContain(
+        "Uncommitted changes in test-repo-2 (1 file(s))"
+      );
+      expect(result.stdout).not.toContain("Summary");
+    });
+  });
+
+  describe("--verify-cmd", () => {
+    const dir = path.resolve(TEST_DIR, "verify");
+    const repo = path.resolve(dir, "verify-repo");
+
+    beforeAll(() => {
+      fs.mkdirSync(repo, { recursive: true });
+      fs.writeFileSync(
+        path.resolve(repo, "package.json"),
+        JSON.stringify({ name: "verify-repo", dependencies: {} })
+      );
+      execSync(
+        "git init -q -b main && git add package.json && git -c user.email=t@t -c user.name=t commit -qm init",
+        { cwd: repo }
+      );
+      fs.writeFileSync(
+        path.resolve(dir, "repos.json"),
+        JSON.stringify({
+          basePath: dir,
+          repositories: [
+            {
+              name: "verify-repo",
+              branch: "chore/deps",
+              packageManager: "npm",
+            },
+          ],
+        })
+      );
+    });
+
+    it("should not commit when a verification command fails", () => {
+      const result = runCli(
+        'remove left-pad --skip-push --verify-cmd "echo lint ok" --verify-cmd "echo broken build && exit 3" --verify-reset',
+        dir
+      );
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stdout).toContain(
+        "Verification failed: echo broken build && exit 3"
+      );
+      const git = (args) =>
+        execSync(`git ${args}`, { cwd: repo, encoding: "utf8" }).trim();
+      expect(git("rev-list --count chore/deps")).toBe("1");
+      expect(git("branch --show-current")).toBe("main");
+      const log = fs.readFileSync(
+        path.resolve(__dirname, "..", "logs", "verify-repo.log"),
+        "utf8"
+      );
+      expect(log).toContain("lint ok");
+      expect(log).toContain("broken build");
+    });
+
+    it("should pass verification commands that print more than 1 MB", () => {
+      const result = runCli(
+        `remove left-pad --skip-push --verify-cmd "head -c 2000000 /dev/zero | tr '\\\\0' x" --verify-reset`,
+        dir
+      );
+
+      expect(result.stdout).not.toContain("Verification failed");
+      expect(result.stdout).not.toContain("maxBuffer");
+      const log = fs.readFileSync(
+        path.resolve(__dirname, "..", "logs", "verify-repo.log"),
+        "utf8"
+      );
+      expect(log).toContain("x".repeat(2000000));
+    });
+  });
+
+  describe("apply command", () => {
+    const dir = path.resolve(TEST_DIR, "apply");
+    const repo = path.resolve(dir, "apply-repo");
+    const recipe = path.resolve(dir, "recipe.json");
+    const git = (args) =>
+      execSync(`git ${args}`, { cwd: repo, encoding: "utf8" }).trim();
+
+    beforeAll(() => {
+      fs.mkdirSync(repo, { recursive: true });
+      fs.writeFileSync(path.resolve(repo, "config.js"), "retries: 1\n");
+      execSync(
+        "git init -q -b main && git config user.email t@t && git config user.name t && git add config.js && git commit -qm init && git branch chore/recipe",
+        { cwd: repo }
+      );
+      fs.writeFileSync(
+        path.resolve(dir, "repos.json"),
+        JSON.stringify({
+          basePath: dir,
+          repositories: [{ name: "apply-repo", branch: "chore/recipe" }],
+        })
+      );
+      fs.writeFileSync(
+        recipe,
+        JSON.stringify({
+          name: "retries",
+          steps: [
+            {
+              type: "edit",
+              file: "config.js",
+              replace: [{ find: "retries: 1", with: "retries: 3" }],
+            },
+            { type: "exec", command: "echo done > MIGRATED.md" },
+            {
+              type: "remove",
+              packages: ["moment"],
+              if: { hasPackage: "moment" },
+            },
+          ],
+        })
+      );
+    });
+
+    it("should list the steps in a dry run", () => {
+      const result = runCli(`apply "${recipe}" --dry-run`, dir);
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain("Would apply retries");
+      expect(result.stdout).toContain(
+        "3. remove moment (if hasPackage moment)"
+      );
+    });
+
+    it("should commit each step that changed something", () => {
+      const result = runCli(
+        `apply "${recipe}" --skip-push --commit-per-step`,
+        dir
+      );
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain("Applied 2 of 3 step(s)");
+      expect(git("log --format=%s chore/recipe").split("\n")).toEqual([
+        "Run: echo done > MIGRATED.md",
+        "Edit: config.js",
+        "init",
+      ]);
+      expect(git("show chore/recipe:config.js")).toBe("retries: 3");
+      expect(git("branch --show-current")).toBe("main");
+    });
+
+    it("should revert every step commit of the run on undo", () => {
+      const result = runCli("undo --revert", dir);
+
+      expect(result.stdout).toContain("git revert --no-edit");
+      expect(result.exitCode).toBe(0);
+      expect(git("log --format=%s chore/recipe").split("\n")).toEqual([
+        'Revert "Edit: config.js"',
+        'Revert "Run: echo done > MIGRATED.md"',
+        "Run: echo done > MIGRATED.md",
+        "Edit: config.js",
+        "init",
+      ]);
+      expect(git("show chore/recipe:config.js")).toBe("retries: 1");
+      expect(git("ls-tree --name-only chore/recipe")).toBe("config.js");
+      expect(git("branch --show-current")).toBe("main");
+    });
+
+    it("should reject an invalid recipe before touching any repo", () => {
+      const bad = path.resolve(dir, "bad.json");
+      fs.writeFileSync(bad, JSON.stringify({ steps: [{ type: "instal" }] }));
+      const result = runCli(`apply "${bad}"`, dir);
+
+      expect(result.exitCode).toBe(1);
+      expect(result.stdout).toContain("$.steps[0].type: must be one of");
+    });
+  });
+
+  describe("patch command", () => {
+    const dir = path.resolve(TEST_DIR, "patch");
+    const diff = path.resolve(dir, "retries.diff");
+
+    beforeAll(() => {
+      ["patch-ok", "patch-conflict"].forEach((name, i) => {
+        const repo = path.resolve(dir, name);
+        fs.mkdirSync(repo, { recursive: true });
+        fs.writeFileSync(
+          path.resolve(repo, "config.js"),
+          i === 0 ? "retries: 1\n" : "retries: 5\n"
+        );
+        execSync(
+          "git init -q -b main && git config user.email t@t && git config user.name t && git add config.js && git commit -qm init && git branch chore/patch",
+          { cwd: repo }
+        );
+      });
+      fs.writeFileSync(
+        path.resolve(dir, "repos.json"),
+        JSON.stringify({
+          basePath: dir,
+          repositories: [
+            { name: "patch-ok", branch: "chore/patch" },
+            { name: "patch-conflict", branch: "chore/patch" },
+          ],
+        })
+      );
+      fs.writeFileSync(
+        diff,
+        [
+          "--- a/config.js",
+          "+++ b/config.js",
+          "@@ -1 +1 @@",
+          "-retries: 1",
+          "+retries: 3",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should commit where the diff applies and report where it does not", () => {
+      const result = runCli(`patch "${diff}" --skip-push`, dir);
+
+      expect(result.exitCode).toBe(2);
+      expect(result.stdout).toContain("Applied retries.diff on chore/patch");
+      expect(result.stdout).toContain(
+        "Patch did not apply cleanly: error: patch failed: config.js:1"
+      );
+      const show = (name) =>
+        execSync("git show chore/patch:config.js", {
+          cwd: path.resolve(dir, name),
+          encoding: "utf8",
+        });
+      expect(show("patch-ok")).toBe("retries: 3\n");
+      expect(show("patch-conflict")).toBe("retries: 5\n");
+    });
+  });
+
+  describe("bump command", () => {
+    it("should only target repos that already depend on the package", () => {
+      const result = runCli("bump react@19.0.0 --dry-run");
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain("Would bump react ^18.2.0 → ^19.0.0");
+      expect(result.stdout).toContain("Not applicable");
+    });
+
+    it("should error when a package has no version", () => {
+      const result = runCli("bump react --dry-run");
+
+      expect(result.exitCode).not.toBe(0);
+      expect(result.stdout).toContain("needs a version");
+    });
+
+    it("should reject tags instead of writing them as a range", () => {
+      const result = runCli("bump react@latest --dry-run");
+
+      expect(result.stdout).toContain(
+        "bump needs a semver version such as 19.0.0, not a tag or range: react@latest"
+      );
+      expect(result.exitCode).toBe(1);
+    });
+
+    it("should report repos already at the version apart from the others", () => {
+      const result = runCli("bump react@18.2.0 --dry-run");
+
+      expect(result.stdout).toContain("Already at react@^18.2.0");
+      expect(result.stdout).toContain(
+        "Not applicable: does not depend on react"
+      );
+      expect(result.exitCode).toBe(0);
+    });
+  });
+
+  describe("pkg command", () => {
+    it("should print the current value for every repo", () => {
+      const result = runCli('pkg get "dependencies.react" --json');
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout)).toEqual([
+        { repo: "test-repo-1", found: true, value: "^18.2.0" },
+        {
+          repo: "test-repo-2",
+          found: false,
+          error: expect.stringContaining("Could not read"),
+        },
+      ]);
+    });
+
+    it("should show what set would change in a dry run", () => {
+      const result = runCli(
+        "pkg set engines.node '>=20' --only=test-repo-1 --dry-run"
+      );
+
+      expect(result.exitCode).toBe(0);
+      expect(result.stdout).toContain(
+        'commit "Update package.json: set engines.node = ">=20""'
+      );
+    });
+  });
+
+  describe("clone command", () => {
+    const dir = path.resolve(TEST_DIR, "clone");
+
+    beforeAll(() => {
+      fs.mkdirSync(dir, { recursive: true });
+      execSync(
+        "git init -q --bare -b main remote.git && git clone -q remote.git seed && git -C seed -c user.email=t@t -c user.name=t commit -q --allow-empty -m init && git -C seed push -q origin HEAD:main",
+        { cwd: dir }
+      );
+      fs.writeFileSync(
+        path.resolve(dir, "repos.json"),
+        JSON.stringify({
+          basePath: path.resolve(dir, "repos"),
+          urlTemplate: path.resolve(dir, "{name}.git"),
+          repositories: [{ name: "remote" }, { name: "missing" }],
+        })
+      );
+    });
+
+    it("should clone repos from the url template", () => {
+      const dry = runCli("clone --dry-run", dir);
+      expect(dry.exitCode).toBe(0);
+      expect(dry.stdout).toContain("Would clone");
+
+      const result = runCli("clone", dir);
+      expect(result.exitCode).toBe(2);
+      expect(result.stdout).toContain(
+        `Cloned ${path.resolve(dir, "remote.git")}`
+      );
+      expect(result.stdout).toContain("git clone failed");
+      expect(fs.existsSync(path.resolve(dir, "repos", "remote", ".git"))).toBe(
+        true
+      );
+    });
+
+    it("should clone missing repos before running with --clone-missing", () => {
+      fs.rmSync(path.resolve(dir, "repos"), { recursive: true, force: true });
+
+      const result = runCli('exec "git log --oneline" --clone-missing', dir);
+      expect(result.stdout).toContain("✅ remote: Cloned");
+      expect(result.stdout).toMatch(/remote.*exec.*Success/);
+      expect(result.stdout).toMatch(/missing.*clone.*Error/);
+    });
+  });
+
+  describe("discover command", () => {
+    const dir = path.resolve(TEST_DIR, "discover");
+    const repo = path.resolve(dir, "group", "web");
+    const dep = path.resolve(dir, "local-dep");
+
+    beforeAll(() => {
+      fs.mkdirSync(repo, { recursive: true });
+      fs.mkdirSync(dep, { recursive: true });
+      fs.writeFileSync(
+        path.resolve(dep, "package.json"),
+        JSON.stringify({ name: "local-dep", version: "1.0.0" })
+      );
+      fs.writeFileSync(
+        path.resolve(repo, "package.json"),
+        JSON.stringify({
+          name: "web",
+          packageManager: "npm@10.0.0",
+          dependencies: {},
+        })
+      );
+      fs.writeFileSync(path.resolve(repo, ".gitignore"), "node_modules\n");
+      execSync(
+        "git init -q -b main && git config user.email t@t && git config user.name t && git add . && git commit -qm init",
+        { cwd: repo }
+      );
+    });
+
+    it("should run install in a nested repo it discovered", () => {
+      const discover = runCli(`discover --base-path "${dir}" --write`, dir);
+      expect(discover.exitCode).toBe(0);
+      const { repositories } = JSON.parse(
+        fs.readFileSync(path.resolve(dir, "repos.json"), "utf8")
+      );
+      expect(repositories).toEqual([
+        { name: "web", path: "group/web", packageManager: "npm" },
+      ]);
+
+      const result = runCli(
+        `install "file:${dep}" --skip-push --reporter plain`,
+        dir
+      );
+      expect(result.stdout).toContain("[web] ✅ Success");
+      expect(result.exitCode).toBe(0);
+      const pkg = JSON.parse(
+        fs.readFileSync(path.resolve(repo, "package.json"), "utf8")
+      );
+      expect(pkg.dependencies).toHaveProperty("local-dep");
+      expect(
+        execSync("git log -1 --format=%s", { cwd: repo, encoding: "utf8" })
+      ).toContain("local-dep");
+    });
+  });
+
+  describe("remotes and default branches", () => {
+    const dir = path.resolve(TEST_DIR, "remotes");
+    const git = (args, cwd = dir) =>
+      execSync(`git -c user.email=t@t -c user.name=t ${args}`, {
+        cwd,
+        encoding: "utf8",
+      }).trim();
+
+    beforeAll(() => {
+      fs.mkdirSync(path.resolve(dir, "seed"), { recursive: true });
+      fs.writeFileSync(
+        path.resolve(dir, "seed", "package.json"),
+        JSON.stringify({ name: "legacy" })
+      );
+      git("init -q --bare -b main remote.git");
+      git("init -q -b main seed");
+      git("add package.json", path.resolve(dir, "seed"));
+      git("commit -qm init", path.resolve(dir, "seed"));
+      git("checkout -q -b develop", path.resolve(dir, "seed"));
+      git("commit -q --allow-empty -m develop", path.resolve(dir, "seed"));
+      git(
+        `push -q ${path.resolve(dir, "remote.git")} main develop`,
+        path.resolve(dir, "seed")
+      );
+      git("clone -q -o upstream remote.git legacy");
+      // processRepo commits without the -c identity above
+      git("config user.email t@t", path.resolve(dir, "legacy"));
+      git("config user.name t", path.resolve(dir, "legacy"));
+      fs.writeFileSync(
+        path.resolve(dir, "repos.json"),
+        JSON.stringify({
+          basePath: dir,
+          repositories: [
+            {
+              name: "legacy",
+              remote: "upstream",
+              baseBranch: "develop",
+              branch: "chore/deps",
+            },
+          ],
+        })
+      );
+    });
+
+    it("should branch from and push to the repo's remote and base branch", () => {
+      const dry = runCli("pkg set engines.node '>=20' --dry-run", dir);
+      expect(dry.stdout).toContain(
+        "Would create branch chore/deps from upstream/develop"
+      );
+
+      const result = runCli("pkg set engines.node '>=20'", dir);
+      expect(result.exitCode).toBe(0);
+      const remote = path.resolve(dir, "remote.git");
+      expect(git("rev-parse chore/deps~1", remote)).toBe(
+        git("rev-parse develop", remote)
+      );
+    });
+  });
+
+  describe("status command", () => {
+    it("should print every repo's git state as JSON", () => {
+      const result = runCli("status --json");
+
+      expect(result.exitCode).toBe(0);
+      expect(JSON.parse(result.stdout)).toEqual([
+        expect.objectContaining({
+          repo: "test-repo-1",
+          dirty: 0,
+          problems: [],
+        }),
+        expect.objectContaining({
+          repo: "test-repo-2",
+          dirty: 0,
+          problems: [],
+        }),
+      ]);
+    });
+
+    it("should fail for repos it cannot read", () => {
+      const dir = path.resolve(TEST_DIR, "status");
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(
+        path.resolve(dir, "repos.json"),
+        JSON.stringify({
+          basePath: TEST_DIR,
+          repositories: [{ name: "test-repo-1" }, { name: "gone" }],
+        })
+      );
+
+      const result = runCli("status", dir);
+      expect(result.exitCode).toBe(2);
+      expect(result.stdout).toContain("2 repos, 1 with something to look at");
+      expect(result.stdout).toMatch(/│ gone +│ Path not found/);
+    });
+  });
+
+  describe("report command", () => {
+    it("should print a version matrix as JSON", () => {
+      const result = runCli("report react --format json");
+
+      expect(result.exitCode).toBe(0);
+      const report = JSON.parse(
+        result.stdout.slice(result.stdout.indexOf("{"))
+      );
+      expect(report.rows[0].package).toBe("react");
+      expect(report.rows[0].versions["test-repo-1"].declared).toBe("^18.2.0");
+    });
+
+    it("should reject unknown formats", () => {
+      const result = runCli("report --format xml");
+
+      expect(result.exitCode).not.toBe(0);
+      expect(result.stdout).toContain("Unknown format");
+    });
   });
 
   describe("error handling", () => {
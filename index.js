@@ -0,0 +1,89 @@
+const { runRepos, runExec } = require("./runBatch");
+const { syncRepos } = require("./syncRepos");
+const { OUTCOMES } = require("./utils/result");
+const { EXIT_CODES } = require("./utils/utils");
+
+/**
+ * @typedef {object} RunOptions
+ * @property {string|object} [config] - Path to repos.json (default "repos.json") or the
+ *   config object itself
+ * @property {import("events").EventEmitter} [events] - Receives runStart, repoStart, step,
+ *   repoDone, warning and log events
+ * @property {AbortSignal} [signal] - Cancels the run; unfinished repos are `cancelled`
+ * @property {string|string[]} [only] - Also tag, group, exclude: repo selection
+ * @property {boolean} [dryRun]
+ * @property {boolean} [parallel]
+ * @property {number} [concurrency]
+ * @property {string|number} [timeout] - Per-repo time limit, e.g. "10m"
+ * @property {boolean} [verbose] - Command output as `log` events (or on the console when
+ *   nobody listens to them)
+ *
+ * Every other CLI flag works in camelCase, e.g. skipPush, onDirty, message, openPr,
+ * verifyCmd, cloneMissing, or for sync branch, updateBranches, strategy, push.
+ */
+
+/**
+ * @typedef {object} RunResult
+ * @property {Array<import("./utils/result").RepoResult>} results - The summary rows
+ * @property {number} exitCode - What the CLI would exit with (see EXIT_CODES)
+ * @property {string} [runId] - Run id for `batch undo` (install/remove/bump)
+ */
+
+/**
+ * Install packages in every selected repo, commit and push
+ * @param {string|string[]} packages
+ * @param {RunOptions} [options]
+ * @returns {Promise<RunResult>}
+ */
+function install(packages, options) {
+  return runRepos("install", [].concat(packages), options);
+}
+
+/**
+ * Remove packages from every selected repo, commit and push
+ * @param {string|string[]} packages
+ * @param {RunOptions} [options]
+ * @returns {Promise<RunResult>}
+ */
+function remove(packages, options) {
+  return runRepos("uninstall", [].concat(packages), options);
+}
+
+/**
+ * Bump packages in the repos that already depend on them, commit and push
+ * @param {string|string[]} packages - With versions, e.g. "react@19.0.0"
+ * @param {RunOptions} [options]
+ * @returns {Promise<RunResult>}
+ */
+function bump(packages, options) {
+  return runRepos("bump", [].concat(packages), options);
+}
+
+/**
+ * Run a shell command in every selected repo
+ * @param {string|string[]} command
+ * @param {RunOptions} [options]
+ * @returns {Promise<RunResult>}
+ */
+function exec(command, options) {
+  return runExec([].concat(command), options);
+}
+
+/**
+ * Fetch and pull every selected repo, or update feature branches (updateBranches)
+ * @param {RunOptions} [options]
+ * @returns {Promise<RunResult>}
+ */
+function sync(options) {
+  return syncRepos(options);
+}
+
+module.exports = {
+  install,
+  remove,
+  bump,
+  exec,
+  sync,
+  OUTCOMES,
+  EXIT_CODES,
+};
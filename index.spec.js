@@ -0,0 +1,113 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync, execFileSync } = require("child_process");
+
+// p-limit is ESM-only, so the API runs in a child process like the CLI specs
+function runApi(dir, code) {
+  const script = path.join(dir, "script.js");
+  fs.writeFileSync(
+    script,
+    `const { EventEmitter } = require("events");
+    const api = require(${JSON.stringify(path.resolve(__dirname, "index.js"))});
+    const events = new EventEmitter();
+    const seen = [];
+    ["runStart", "repoStart", "step", "repoDone", "warning"].forEach((name) =>
+      events.on(name, (payload) => seen.push({ name, ...payload })),
+    );
+    (async () => {
+      ${code}
+    })().then(
+      (run) => console.log(JSON.stringify({ run, seen })),
+      (error) => console.log(JSON.stringify({ error: error.code, seen })),
+    );`,
+  );
+  return JSON.parse(
+    execFileSync(process.execPath, [script], {
+      cwd: dir,
+      encoding: "utf8",
+      timeout: 30000,
+    }),
+  );
+}
+
+describe("Node API", () => {
+  let dir;
+  let config;
+  const git = (args, cwd = dir) =>
+    execSync(`git -c user.email=t@t -c user.name=t ${args}`, {
+      cwd,
+      encoding: "utf8",
+      stdio: "pipe",
+    }).trim();
+
+  beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "api-")));
+    git("init -q --bare -b main remote.git");
+    git("clone -q remote.git web");
+    git("commit -q --allow-empty -m init", path.join(dir, "web"));
+    git("push -q origin HEAD:main", path.join(dir, "web"));
+    config = { basePath: dir, repositories: [{ name: "web" }] };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should sync and emit the lifecycle of each repo", () => {
+    const { run, seen } = runApi(
+      dir,
+      `return api.sync({ config: ${JSON.stringify(config)}, events });`,
+    );
+
+    expect(run.exitCode).toBe(0);
+    expect(run.results).toEqual([
+      expect.objectContaining({
+        repo: "web",
+        phase: "pull",
+        outcome: "success",
+        message: "Pulled origin/main",
+      }),
+    ]);
+    expect(seen.map(({ name, phase }) => phase || name)).toEqual([
+      "runStart",
+      "repoStart",
+      "fetch",
+      "checkout",
+      "pull",
+      "repoDone",
+    ]);
+    expect(seen[5].results).toEqual(run.results);
+  });
+
+  it("should return results instead of exiting", () => {
+    const { run } = runApi(
+      dir,
+      `return api.exec("exit 3", {
+        config: ${JSON.stringify({
+          ...config,
+          repositories: [{ name: "web" }, { name: "gone" }],
+        })},
+        dryRun: true,
+      });`,
+    );
+
+    expect(run.exitCode).toBe(2);
+    expect(run.results.map((r) => [r.repo, r.outcome])).toEqual([
+      ["web", "dry-run"],
+      ["gone", "failed"],
+    ]);
+  });
+
+  it("should reject invalid options before touching any repo", () => {
+    expect(
+      runApi(
+        dir,
+        `return api.install([], { config: ${JSON.stringify(config)}, events });`,
+      ),
+    ).toEqual({ error: "PACKAGES_MISSING", seen: [] });
+    expect(
+      runApi(dir, `return api.exec("true", { config: "missing.json" });`).error,
+    ).toBe("CONFIG_READ_ERROR");
+  });
+});
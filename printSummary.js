@@ -1,5 +1,7 @@
 // printSummary.js
 
+const { getOutcomeLabel } = require("./utils/result");
+
 function printSummary(results) {
   if (!Array.isArray(results) || results.length === 0) {
     console.log("\n📊 No results to summarize.");
@@ -7,7 +9,18 @@ function printSummary(results) {
   }
 
   console.log("\n📊 Summary:\n");
-  console.table(results);
+  console.table(
+    results.map((result) => ({
+      repo: result.repo,
+      phase: result.phase,
+      status: getOutcomeLabel(result),
+      message: result.message,
+      ...(result.durationMs !== undefined
+        ? { time: `${(result.durationMs / 1000).toFixed(1)}s` }
+        : {}),
+      ...(result.pr ? { pr: result.pr } : {}),
+    }))
+  );
 }
 
 module.exports = { printSummary };
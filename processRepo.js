@@ -3,74 +3,127 @@ const path = require("path");
 const util = require("util");
 const exec = util.promisify(require("child_process").exec);
 const simpleGit = require("simple-git");
+const {
+  detectPackageManager,
+  getPackageCommand,
+  getWorkspaceCommands,
+  getInstallCommand,
+  getLockfiles,
+} = require("./utils/packageManager");
+const { writePackageJson } = require("./utils/packageJson");
+const {
+  planBumpInDirs,
+  applyBump,
+  describeNoBump,
+  describeBump,
+} = require("./utils/bump");
+const { resolveWorkspaces } = require("./utils/workspaces");
+const { openPullRequest } = require("./utils/pullRequest");
+const { getRepoRemote, resolveBaseBranch } = require("./utils/remote");
+const { OUTCOMES, createResult } = require("./utils/result");
+const { getRepoInfo, EXEC_MAX_BUFFER } = require("./utils/utils");
+const {
+  describePackages,
+  getCommitVars,
+  renderCommitMessage,
+  getCommitFlags,
+} = require("./utils/commitMessage");
+const {
+  checkCondition,
+  applyEdit,
+  applyCodemod,
+  applyPackageEdit,
+  describePackageEdit,
+  describeStep,
+} = require("./utils/recipe");
 
 async function processRepo(
   repo,
   command,
   packages,
-  { dryRun, skipPush, bar, verbose },
+  {
+    dryRun,
+    skipPush,
+    onStep = () => {},
+    onLog = (message, level = "log") => console[level](message),
+    verbose,
+    filter,
+    openPr,
+    record = {},
+    signal,
+    commit = {},
+    verifyCmds = [],
+    verifyReset,
+    recipe,
+  },
   basePath,
   results
 ) {
-  const repoPath = path.resolve(basePath, repo.name);
+  const { repoName, repoPath, logName } = getRepoInfo(repo, basePath);
   const branchName = repo.branch;
-  const git = simpleGit(repoPath);
-
-  bar.increment({ repo: `${repo.name}::${branchName}` });
+  // signal (timeout / Ctrl-C) kills running git and package manager processes
+  const git = simpleGit({ baseDir: repoPath, abort: signal });
+  const remote = getRepoRemote(repo);
 
   const log = [];
   const logsDir = path.resolve(__dirname, "logs");
   if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir);
-  const logFile = path.resolve(logsDir, `${repo.name}.log`);
+  const logFile = path.resolve(logsDir, `${logName}.log`);
 
   const writeLog = () => {
     fs.writeFileSync(logFile, log.join("\n"), "utf8");
     return logFile; // absolute path
   };
 
-  const run = async (cmd) => {
+  const run = async (cmd, cwd = ".") => {
+    const where = cwd === "." ? "" : `(${cwd}) `;
     try {
-      const { stdout = "", stderr = "" } = await exec(cmd, { cwd: repoPath });
+      // verify commands (tests, builds) easily print more than exec's default 1 MB
+      const { stdout = "", stderr = "" } = await exec(cmd, {
+        cwd: path.resolve(repoPath, cwd),
+        signal,
+        maxBuffer: EXEC_MAX_BUFFER,
+      });
       const out = [stdout, stderr].filter(Boolean).join("\n").trim();
 
-      if (verbose && out) console.log(out);
-      log.push(`$ ${cmd}\n${out}`);
+      if (verbose && out) onLog(out);
+      log.push(`${where}$ ${cmd}\n${out}`);
       return out;
     } catch (err) {
       const stdout = err.stdout?.toString?.().trim?.() || "";
       const stderr = err.stderr?.toString?.().trim?.() || "";
       const out = [stdout, stderr].filter(Boolean).join("\n");
       const message = `❌ ${cmd} failed\n${out}`;
-      if (verbose && out) console.error(message);
-      log.push(`$ ${cmd}\n${out}`);
+      if (verbose && out) onLog(message, "error");
+      log.push(`${where}$ ${cmd}\n${out}`);
       throw err;
     }
   };
 
   if (dryRun) {
-    results.push({
-      name: repo.name,
-      status: "☑️ DRY RUN",
-      message: `Would ${command} ${packages.join(
-        ", "
-      )} on branch ${branchName}`,
-    });
+    results.push(
+      createResult({
+        repo: repoName,
+        phase: command,
+        outcome: OUTCOMES.DRY_RUN,
+        message: `Would ${command} ${packages.join(
+          ", "
+        )} on branch ${branchName}`,
+      })
+    );
     return;
   }
 
-  try {
-    // Clean up stale git lock files
-    const lockFile = path.join(repoPath, ".git", "index.lock");
-    if (fs.existsSync(lockFile)) {
-      try {
-        fs.unlinkSync(lockFile);
-        if (verbose) console.warn(`🧹 Removed stale lock in ${repo.name}`);
-      } catch (e) {
-        console.error(`❌ Could not remove lock in ${repo.name}: ${e.message}`);
-      }
-    }
+  // Step in progress, reported with the result and to onStep as it starts
+  let phase;
+  const setPhase = (name) => {
+    phase = name;
+    onStep(name);
+  };
+  setPhase("checkout");
 
-    // Checkout or create branch
+  try {
+    // Checkout or create branch (stale index.lock and dirty trees are handled by batch.js)
     if (branchName) {
       try {
         // If branch exists locally this will succeed and simply checkout
@@ -90,22 +143,22 @@ async function processRepo(
             log.push(`$ git checkout ${branchName} (already present locally)`);
           } else {
             // Inspect remote branches (returns array like ['origin/HEAD', 'origin/main', 'origin/chore/test'])
-            const remote = await git.branch(["-r"]);
+            const remoteBranches = await git.branch(["-r"]);
             const remoteHas =
-              remote &&
-              Array.isArray(remote.all) &&
-              remote.all.includes(`origin/${branchName}`);
+              remoteBranches &&
+              Array.isArray(remoteBranches.all) &&
+              remoteBranches.all.includes(`${remote}/${branchName}`);
 
             if (remoteHas) {
-              // Create local branch that tracks origin/<branchName>
+              // Create local branch that tracks <remote>/<branchName>
               await git.checkout([
                 "--track",
                 "-b",
                 branchName,
-                `origin/${branchName}`,
+                `${remote}/${branchName}`,
               ]);
               log.push(
-                `$ git checkout --track -b ${branchName} origin/${branchName}`
+                `$ git checkout --track -b ${branchName} ${remote}/${branchName}`
               );
             } else {
               // Remote doesn't have it either — create a local branch (from current HEAD)
@@ -127,71 +180,438 @@ async function processRepo(
       }
     }
 
-    // Install or remove packages
-    await run(`pnpm ${command} ${packages.join(" ")}`);
+    // Install or remove packages with the repo's package manager
+    setPhase(command);
+    const pm = detectPackageManager(repoPath, repo);
+    log.push(`# package manager: ${pm.name} (from ${pm.source})`);
+
+    // Workspace targeting: --filter wins over repos.json `workspaces`
+    const selector = filter || repo.workspaces;
+    const workspaces = resolveWorkspaces(repoPath, selector);
+    if (workspaces && !workspaces.length) {
+      const file = writeLog();
+      results.push(
+        createResult({
+          repo: repoName,
+          phase,
+          outcome: OUTCOMES.SKIPPED,
+          message: `No workspace package matched ${selector} (log: ${file})`,
+          logFile: file,
+        })
+      );
+      return;
+    }
+    if (workspaces) {
+      log.push(
+        `# workspaces: ${workspaces.map((ws) => ws.name || ws.dir).join(", ")}`
+      );
+    }
+    const dirs = workspaces ? workspaces.map((ws) => ws.dir) : ["."];
 
-    // Add files
-    await git.add(["package.json", "pnpm-lock.yaml"]);
-    log.push("$ git add package.json pnpm-lock.yaml");
+    // Install, uninstall or bump; false when bump finds nothing to change
+    const changePackages = async (cmd, pkgs) => {
+      if (cmd === "bump") {
+        // Rewrite versions in place so section and range style are kept
+        const plans = planBumpInDirs(repoPath, dirs, pkgs);
+        if (!plans.length) return false;
 
-    // Commit changes
-    const commitMessage = `${
-      command === "install" ? "Install" : "Remove"
-    }: ${packages.join(", ")}`;
-    try {
-      await git.commit(commitMessage, { "--no-verify": null });
-      log.push(`$ git commit -m "${commitMessage}" --no-verify`);
-    } catch (commitErr) {
-      const message = commitErr.message || "";
-      if (
-        message.includes("nothing to commit") ||
-        message.includes("no changes added to commit")
-      ) {
-        const file = writeLog();
+        plans.forEach(({ dir, pkg, format, changes }) => {
+          writePackageJson(
+            path.join(repoPath, dir),
+            applyBump(pkg, changes),
+            format
+          );
+          log.push(`# bump ${dir}: ${describeBump(changes)}`);
+        });
+        await run(getInstallCommand(pm.name));
+      } else if (workspaces) {
+        const cmds = getWorkspaceCommands(pm.name, cmd, pkgs, workspaces);
+        for (const { cmd: wsCmd, cwd } of cmds) {
+          await run(wsCmd, cwd);
+        }
+      } else {
+        await run(getPackageCommand(pm.name, cmd, pkgs));
+      }
+      return true;
+    };
 
-        if (verbose)
-          console.warn(
-            `⚠️  No changes to commit in ${repo.name} (log: ${file})`
+    // Verify the change before committing; false once the repo is reported as failed
+    let resetTo = "HEAD";
+    const verifyChange = async (checks) => {
+      for (const cmd of checks) {
+        try {
+          await run(cmd);
+        } catch (verifyErr) {
+          if (signal && signal.aborted) throw verifyErr;
+          if (verifyReset) {
+            await git.reset(["--hard", resetTo]);
+            log.push(`$ git reset --hard ${resetTo} (change discarded)`);
+          }
+          const file = writeLog();
+          results.push(
+            createResult({
+              repo: repoName,
+              phase,
+              outcome: OUTCOMES.FAILED,
+              message: `Verification failed: ${cmd} (log: ${file})`,
+              logFile: file,
+              failedCheck: cmd,
+            })
           );
-        results.push({
-          name: repo.name,
-          status: "⚠️ Skipped",
-          // include absolute path and file:// URL
-          message: `No changes to commit (log: ${file})`,
+          return false;
+        }
+      }
+      return true;
+    };
+    // repos.json `verify` wins over --verify-cmd
+    const checks = repo.verify !== undefined ? repo.verify : verifyCmds;
+
+    // Commit what is staged: flags from --signoff/--gpg-sign/--author/--verify
+    const { flags, args } = getCommitFlags(commit);
+    const commitStaged = async (message) => {
+      if (record.headBefore === undefined) {
+        record.headBefore = (await git.revparse(["HEAD"])).trim();
+      }
+      await git.commit(message, flags);
+      log.push(`$ git commit -m "${message}" ${args.join(" ")}`.trim());
+      record.commit = (await git.revparse(["HEAD"])).trim();
+    };
+
+    let commitVars;
+    let commitMessage;
+    let done;
+    if (recipe) {
+      // Recipe steps (`apply`, `patch`), in order; each may be skipped by its `if`
+      commitVars = getCommitVars({
+        command,
+        packages: [recipe.name],
+        names: [recipe.name],
+        repo: repoName,
+        branch: branchName,
+      });
+      commitMessage = renderCommitMessage(commit.message, commitVars);
+      resetTo = (await git.revparse(["HEAD"])).trim();
+
+      // Stage what the steps changed: tracked files plus files they created
+      const untracked = (await git.status()).not_added;
+      const stageChanges = async () => {
+        const created = (await git.status()).not_added.filter(
+          (file) => !untracked.includes(file)
+        );
+        await git.add(["--update"]);
+        if (created.length) await git.add(created);
+        log.push(`$ git add --update ${created.join(" ")}`.trim());
+        return Boolean((await git.diff(["--cached", "--name-only"])).trim());
+      };
+
+      let applied = 0;
+      let commits = 0;
+      for (const [index, step] of recipe.steps.entries()) {
+        setPhase(`step ${index + 1}: ${step.type}`);
+        const skipReason = await checkCondition(step.if, {
+          repo,
+          repoPath,
+          dirs,
         });
+        if (skipReason) {
+          log.push(`# ${phase} skipped: ${skipReason}`);
+          continue;
+        }
+        log.push(`# ${phase}: ${describeStep(step)}`);
+        applied += 1;
+
+        let stepVars;
+        if (step.type === "verify") {
+          if (!(await verifyChange([step.command]))) return;
+          continue;
+        } else if (step.type === "exec") {
+          await run(step.command);
+          stepVars = {
+            command: "exec",
+            packages: [step.command],
+            names: [step.command],
+          };
+        } else if (step.type === "patch") {
+          try {
+            await run(`git apply --whitespace=nowarn "${step.diff}"`);
+          } catch (patchErr) {
+            if (signal && signal.aborted) throw patchErr;
+            // Already applied (e.g. on a re-run): nothing to change
+            const reverse = await exec(
+              `git apply --reverse --check "${step.diff}"`,
+              { cwd: repoPath, signal, maxBuffer: EXEC_MAX_BUFFER }
+            ).then(
+              () => true,
+              () => false
+            );
+            if (!reverse) {
+              const reason = String(patchErr.stderr || patchErr.message)
+                .trim()
+                .split("\n")[0];
+              const file = writeLog();
+              results.push(
+                createResult({
+                  repo: repoName,
+                  phase,
+                  outcome: OUTCOMES.FAILED,
+                  message: `Patch did not apply cleanly: ${reason} (log: ${file})`,
+                  logFile: file,
+                })
+              );
+              return;
+            }
+            log.push(`# ${path.basename(step.diff)} is already applied`);
+          }
+          stepVars = {
+            command: "patch",
+            packages: [path.basename(step.diff)],
+            names: [path.basename(step.diff)],
+          };
+        } else if (step.type === "codemod") {
+          const changed = await applyCodemod(repoPath, step, { signal });
+          log.push(
+            `# codemod changed ${changed.length} file(s)${
+              changed.length ? `: ${changed.join(", ")}` : ""
+            }`
+          );
+          const label =
+            typeof step.module === "string"
+              ? path.basename(step.module)
+              : "transform";
+          stepVars = { command: "codemod", packages: [label], names: [label] };
+        } else if (step.type === "pkg") {
+          const changed = applyPackageEdit(repoPath, step, dirs);
+          log.push(
+            `# package.json: ${describePackageEdit(step)} (${
+              changed.length ? `changed in ${changed.join(", ")}` : "unchanged"
+            })`
+          );
+          stepVars = {
+            command: "pkg",
+            packages: [describePackageEdit(step)],
+            names: [describePackageEdit(step)],
+          };
+        } else if (step.type === "edit") {
+          const changed = await applyEdit(repoPath, step, { repo });
+          log.push(`# ${step.file}: ${changed ? "edited" : "unchanged"}`);
+          stepVars = {
+            command: "edit",
+            packages: [step.file],
+            names: [step.file],
+          };
+        } else {
+          const cmd = step.type === "remove" ? "uninstall" : step.type;
+          if (!(await changePackages(cmd, step.packages))) {
+            log.push("# no matching dependency to bump");
+          }
+          stepVars = {
+            command: cmd,
+            packages: describePackages(cmd, step.packages, repoPath, dirs),
+          };
+        }
+
+        if (recipe.commitPerStep && (await stageChanges())) {
+          await commitStaged(
+            renderCommitMessage(
+              step.message || commit.message,
+              getCommitVars({
+                ...stepVars,
+                repo: repoName,
+                branch: branchName,
+              })
+            )
+          );
+          commits += 1;
+        }
+      }
+
+      if (!applied) {
+        const file = writeLog();
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "apply",
+            outcome: OUTCOMES.SKIPPED,
+            message: `Not applicable: no step of ${recipe.name} matched (log: ${file})`,
+            logFile: file,
+          })
+        );
+        return;
+      }
+
+      setPhase("verify");
+      if (!(await verifyChange(checks))) return;
+
+      setPhase("commit");
+      if (!recipe.commitPerStep) {
+        if (await stageChanges()) {
+          await commitStaged(commitMessage);
+          commits += 1;
+        }
+      }
+
+      if (!commits) {
+        const file = writeLog();
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "commit",
+            outcome: OUTCOMES.SKIPPED,
+            message: `No changes to commit (log: ${file})`,
+            logFile: file,
+          })
+        );
         return;
       }
-      throw commitErr;
+      if (command === "pkg") {
+        done = `Updated package.json (${recipe.name}) on ${branchName}`;
+      } else if (command === "patch") {
+        done = `Applied ${recipe.name} on ${branchName}`;
+      } else {
+        done = `Applied ${applied} of ${recipe.steps.length} step(s) of ${recipe.name} in ${commits} commit(s) on ${branchName}`;
+      }
+    } else {
+      if (!(await changePackages(command, packages))) {
+        const file = writeLog();
+        results.push(
+          createResult({
+            repo: repoName,
+            phase,
+            outcome: OUTCOMES.SKIPPED,
+            message: `${describeNoBump(repoPath, dirs, packages)} on ${branchName} (log: ${file})`,
+            logFile: file,
+          })
+        );
+        return;
+      }
+
+      setPhase("verify");
+      if (!(await verifyChange(checks))) return;
+
+      // Add every modified package.json (root and nested) plus the lockfile
+      setPhase("commit");
+      const status = await git.status();
+      const changedManifests = status.files
+        .map((f) => f.path)
+        .filter((file) => path.basename(file) === "package.json");
+      const filesToAdd = [
+        ...new Set([...changedManifests, ...getLockfiles(repoPath, pm.name)]),
+      ];
+      if (filesToAdd.length) await git.add(filesToAdd);
+      log.push(`$ git add ${filesToAdd.join(" ")}`);
+
+      // Commit message from the --message / repos.json template
+      commitVars = getCommitVars({
+        command,
+        packages: describePackages(command, packages, repoPath, dirs),
+        repo: repoName,
+        branch: branchName,
+      });
+      commitMessage = renderCommitMessage(commit.message, commitVars);
+      try {
+        await commitStaged(commitMessage);
+      } catch (commitErr) {
+        const message = commitErr.message || "";
+        if (
+          message.includes("nothing to commit") ||
+          message.includes("no changes added to commit")
+        ) {
+          const file = writeLog();
+
+          if (verbose) onLog(`⚠️  No changes to commit (log: ${file})`, "warn");
+          results.push(
+            createResult({
+              repo: repoName,
+              phase,
+              outcome: OUTCOMES.SKIPPED,
+              // include absolute path and file:// URL
+              message: `No changes to commit (log: ${file})`,
+              logFile: file,
+            })
+          );
+          return;
+        }
+        throw commitErr;
+      }
+      done = `Committed on ${branchName}`;
     }
 
     // Push changes if not skipped
     if (!skipPush) {
-      await git.push("origin", branchName, { "--no-verify": null });
-      log.push(`$ git push --set-upstream origin ${branchName} --no-verify`);
+      setPhase("push");
+      await git.push(remote, branchName, { "--no-verify": null });
+      log.push(`$ git push --set-upstream ${remote} ${branchName} --no-verify`);
+      record.pushed = true;
     } else {
       log.push("[skip-push] Skipped pushing to remote");
     }
 
+    // Open a pull/merge request for the pushed branch
+    let pr;
+    if (openPr && skipPush) {
+      log.push("[open-pr] Skipped: branch was not pushed");
+    } else if (openPr) {
+      setPhase("pr");
+      try {
+        const remoteUrl = (await git.remote(["get-url", remote])).trim();
+        const base =
+          openPr.base ||
+          (await resolveBaseBranch(repoPath, repo, { signal })).baseBranch;
+        pr = await openPullRequest({
+          remoteUrl,
+          head: branchName,
+          base,
+          vars: { ...commitVars, commitMessage },
+          options: openPr,
+        });
+        log.push(`[open-pr] ${pr.provider}: ${pr.url}`);
+      } catch (prErr) {
+        log.push(`[open-pr] failed: ${prErr.message || prErr}`);
+        const file = writeLog();
+        results.push(
+          createResult({
+            repo: repoName,
+            phase,
+            outcome: OUTCOMES.FAILED,
+            message: `Pushed ${branchName} but opening PR failed: ${
+              prErr.message || prErr
+            } (log: ${file})`,
+            logFile: file,
+          })
+        );
+        return;
+      }
+    }
+
     const file = writeLog();
 
-    if (verbose) console.log(`📄 Log saved to ${file}`);
+    if (verbose) onLog(`📄 Log saved to ${file}`);
 
-    results.push({
-      name: repo.name,
-      status: "✅ Success",
-      // show absolute path and file:// URL so terminals/editors can link it
-      message: `Committed on ${branchName} (log: ${file})`,
-    });
+    results.push(
+      createResult({
+        repo: repoName,
+        phase,
+        outcome: OUTCOMES.SUCCESS,
+        // show absolute path and file:// URL so terminals/editors can link it
+        message: `${done} (log: ${file})`,
+        logFile: file,
+        pr: pr ? pr.url : undefined,
+      })
+    );
   } catch (err) {
     const file = writeLog();
 
-    results.push({
-      name: repo.name,
-      status: "❌ Error",
-      message: `${
-        err && err.message ? err.message.split("\n")[0] : String(err)
-      } (log: ${file})`,
-    });
+    results.push(
+      createResult({
+        repo: repoName,
+        phase,
+        outcome: OUTCOMES.FAILED,
+        message: `${
+          err && err.message ? err.message.split("\n")[0] : String(err)
+        } (log: ${file})`,
+        logFile: file,
+      })
+    );
   }
 }
 
@@ -0,0 +1,839 @@
+const fs = require("fs");
+const path = require("path");
+const pLimit = require("p-limit").default;
+const { processRepo } = require("./processRepo");
+const {
+  runCmd,
+  loadConfig,
+  filterRepos,
+  getRepoInfo,
+  ensureLogsDir,
+  checkResults,
+  parseList,
+  generateExecLogContent,
+} = require("./utils/utils");
+const { OUTCOMES, createResult } = require("./utils/result");
+const {
+  checkBumpSpecs,
+  planBumpInDirs,
+  describeNoBump,
+  describeBump,
+} = require("./utils/bump");
+const { resolveWorkspaces } = require("./utils/workspaces");
+const { checkRepoPath } = require("./utils/configSchema");
+const { getRepoRemote, resolveBaseBranch } = require("./utils/remote");
+const { getRunSettings, createRepoLimit } = require("./utils/runControl");
+const {
+  DIRTY_POLICIES,
+  getDirtyFiles,
+  getCheckedOut,
+  clearStaleLock,
+  stashChanges,
+  restoreWorkingTree,
+} = require("./utils/workingTree");
+const {
+  createManifest,
+  saveManifest,
+  saveRunState,
+} = require("./utils/runManifest");
+const { getCommitVars, renderCommitMessage } = require("./utils/commitMessage");
+const { cloneMissing } = require("./utils/clone");
+const {
+  loadRecipe,
+  createPatchRecipe,
+  createPackageEditRecipe,
+  describeStep,
+} = require("./utils/recipe");
+
+// Runs behind batch.js and the Node API (index.js): they throw instead of exiting,
+// only print `verbose` output nobody listens to, and report progress as events:
+//   runStart {command, repos, concurrency}, repoStart {repo}, step {repo, phase},
+//   repoDone {repo, results}, warning {message},
+//   log {repo, level, message} (command output, with `verbose` only)
+
+/**
+ * Emit on the caller's EventEmitter, if any
+ * @param {import("events").EventEmitter} [events]
+ * @returns {(name: string, payload: object) => void}
+ */
+function createEmit(events) {
+  return (name, payload) => {
+    if (events) events.emit(name, payload);
+  };
+}
+
+/**
+ * Verbose output of a repo: a `log` event, or the console when nobody listens to them
+ * @param {boolean} verbose - Nothing is logged without it
+ * @param {import("events").EventEmitter} [events]
+ * @returns {(repo: string, message: string, level?: "log"|"warn"|"error") => void}
+ */
+function createLog(verbose, events) {
+  return (repo, message, level = "log") => {
+    if (!verbose || !message) return;
+    if (events && events.listenerCount("log")) {
+      events.emit("log", { repo, level, message });
+    } else console[level](`${repo}: ${message}`);
+  };
+}
+
+/**
+ * Concurrency and timeout of a run, and the signal that cancels it
+ * @param {{parallel?: boolean, concurrency?: string|number, timeout?: string|number, signal?: AbortSignal}} options
+ * @returns {{concurrency: number, timeoutMs?: number, signal?: AbortSignal}}
+ * @throws {Error} If concurrency or timeout is invalid
+ */
+function getRunControl(options) {
+  return { ...getRunSettings(options), signal: options.signal };
+}
+
+/**
+ * --only / --tag / --group / --exclude selection; unknown names are a warning
+ * @returns {object[]}
+ * @throws {Error} If the selection is empty or matches nothing
+ */
+function selectRepos(repos, selectors, groups, emit) {
+  const { matched, unknown } = filterRepos(repos, selectors, groups);
+  if (unknown.length) {
+    emit("warning", {
+      message: `these names from --only/--tag/--group/--exclude were not found and will be ignored: ${unknown.join(", ")}`,
+    });
+  }
+  return matched;
+}
+
+/**
+ * Per-repo limiter: times each repo's task, applies its timeout, cancels it with
+ * the run and attaches optional details (such as branch/commit) to its summary rows
+ * @param {object} control - From getRunControl
+ * @param {Array} results
+ * @param {string} basePath
+ * @param {{details?: (repo: object) => object, emit?: Function}} [options] - emit: sends
+ *   repoStart / repoDone
+ */
+function createTimedLimit(control, results, basePath, { details, emit } = {}) {
+  return createRepoLimit({
+    limit: pLimit(control.concurrency),
+    timeoutMs: control.timeoutMs,
+    signal: control.signal,
+    results,
+    getName: (repo) => getRepoInfo(repo, basePath).repoName,
+    details,
+    onStart: emit && ((repo) => emit("repoStart", { repo })),
+    onDone: emit && ((repo, rows) => emit("repoDone", { repo, results: rows })),
+  });
+}
+
+/**
+ * Start persisting run state for --retry-failed / --resume (dry runs are not tracked)
+ */
+function trackRunState(command, args, options, selected, results) {
+  if (options.dryRun) return null;
+  // Only what can be replayed from the CLI: no emitter, signal or config object
+  const { retryFailed, resume, events, signal, config, ...invocation } =
+    options;
+  if (typeof config === "string") invocation.config = config;
+  const state = {
+    command,
+    args,
+    options: invocation,
+    selected: selected.map((repo) => getRepoInfo(repo, ".").repoName),
+    results,
+    startedAt: new Date().toISOString(),
+  };
+  saveRunState(state);
+  return state;
+}
+
+function finishRunState(state) {
+  if (!state) return;
+  state.finishedAt = new Date().toISOString();
+  saveRunState(state);
+}
+
+/**
+ * --on-dirty=abort: stop before touching any repo if one has uncommitted changes
+ * @throws {Error} Listing the dirty repos
+ */
+async function abortIfDirty(selected, basePath) {
+  const dirty = [];
+  for (const repo of selected) {
+    const { repoName, repoPath } = getRepoInfo(repo, basePath);
+    if (checkRepoPath(repoPath)) continue;
+    const files = await getDirtyFiles(repoPath).catch(() => []);
+    if (files.length) dirty.push(`${repoName} (${files.length} file(s))`);
+  }
+  if (!dirty.length) return;
+
+  const error = new Error(
+    `Uncommitted changes in ${dirty.join(", ")}. Nothing was changed; commit them or use --on-dirty=skip or --on-dirty=stash.`,
+  );
+  error.code = "REPOS_DIRTY";
+  throw error;
+}
+
+/**
+ * --clone-missing: clone the selected repos that are not on disk yet. Repos that
+ * could not be cloned (or only would be, in a dry run) get their clone row in
+ * `results` and are left out of the run; each cloned repo is a `clone` step.
+ * @returns {Promise<object[]>} Repos to run on
+ */
+async function cloneMissingRepos(
+  selected,
+  config,
+  control,
+  results,
+  { dryRun, emit },
+) {
+  const { basePath, urlTemplate } = config;
+  const rows = [];
+  const { repos, cloned, failed } = await cloneMissing(selected, {
+    basePath,
+    urlTemplate,
+    limit: createTimedLimit(control, rows, basePath),
+    results: rows,
+    dryRun,
+  });
+
+  cloned.forEach((row) =>
+    emit("step", { repo: row.repo, phase: "clone", message: row.message }),
+  );
+  results.push(...failed);
+  return repos;
+}
+
+/**
+ * Build processRepo's openPr option from the --open-pr / --pr-* options
+ */
+function getPullRequestOptions(opts) {
+  if (!opts.openPr) return undefined;
+  return {
+    title: opts.prTitle,
+    body: opts.prBody,
+    labels: opts.prLabels,
+    reviewers: opts.prReviewers,
+    base: opts.prBase,
+    provider: opts.prProvider,
+    apiUrl: opts.prApiUrl,
+  };
+}
+
+/**
+ * install / uninstall / bump / apply / patch / pkg in every selected repo: branch,
+ * change, verify, commit, push and optionally open a PR
+ * @param {"install"|"uninstall"|"bump"|"apply"|"patch"|"pkg"} command
+ * @param {string[]} packages - Packages, or the recipe / patch file / pkg arguments
+ * @param {object} [options] - The CLI options in camelCase (dryRun, skipPush, only,
+ *   onDirty, message, openPr, ...) plus config (repos.json path or object, default
+ *   "repos.json"), signal (cancels the run) and events (EventEmitter)
+ * @returns {Promise<{results: Array, exitCode: number, runId?: string}>} runId: the run
+ *   manifest for `batch undo`, when one was recorded
+ * @throws {Error} On invalid options or config, before any repo is touched
+ */
+async function runRepos(
+  command,
+  packages,
+  { dryRun, skipPush, parallel, verbose, only, filter, onDirty, ...rest } = {},
+) {
+  const openPr = getPullRequestOptions(rest);
+  const results = [];
+  const emit = createEmit(rest.events);
+  const log = createLog(verbose, rest.events);
+  const config = loadConfig(rest.config);
+  const { basePath, repos, groups, commitMessage } = config;
+
+  if (!packages || !packages.length) {
+    const error = new Error("You must specify at least one package.");
+    error.code = "PACKAGES_MISSING";
+    throw error;
+  }
+
+  let recipe;
+  if (command === "apply") {
+    recipe = loadRecipe(packages[0]);
+    if (rest.commitPerStep) recipe.commitPerStep = true;
+  } else if (command === "pkg") {
+    recipe = createPackageEditRecipe(packages);
+  } else if (command === "patch") {
+    recipe = createPatchRecipe(packages[0], {
+      files: rest.files ? parseList(rest.files) : undefined,
+    });
+  }
+
+  const commit = {
+    message: rest.message || (recipe && recipe.message) || commitMessage,
+    signoff: rest.signoff,
+    gpgSign: rest.gpgSign,
+    author: rest.author,
+    verify: rest.verify,
+  };
+
+  if (command === "bump") {
+    const problem = checkBumpSpecs(packages);
+    if (problem) {
+      const error = new Error(problem.message);
+      error.code = problem.code;
+      throw error;
+    }
+  }
+
+  // Fail on a broken template before any repo is touched
+  renderCommitMessage(
+    commit.message,
+    getCommitVars({
+      command,
+      packages: recipe ? [recipe.name] : packages,
+      repo: "",
+      branch: "",
+    }),
+  );
+
+  const dirtyPolicy = onDirty || "skip";
+  if (!DIRTY_POLICIES.includes(dirtyPolicy)) {
+    const error = new Error(
+      `--on-dirty must be one of: ${DIRTY_POLICIES.join(", ")} (got "${onDirty}")`,
+    );
+    error.code = "ON_DIRTY_INVALID";
+    throw error;
+  }
+
+  const control = getRunControl({ parallel, ...rest });
+  const selected = selectRepos(repos, { only, ...rest }, groups, emit);
+  if (dirtyPolicy === "abort") await abortIfDirty(selected, basePath);
+  const targets = rest.cloneMissing
+    ? await cloneMissingRepos(selected, config, control, results, {
+        dryRun,
+        emit,
+      })
+    : selected;
+  const state = trackRunState(
+    command,
+    packages,
+    { dryRun, skipPush, parallel, verbose, only, filter, onDirty, ...rest },
+    selected,
+    results,
+  );
+  emit("runStart", {
+    command,
+    repos: targets.map((repo) => getRepoInfo(repo, basePath).repoName),
+    concurrency: control.concurrency,
+  });
+
+  // Run manifest for `batch undo` (not written for dry runs)
+  const manifest = dryRun
+    ? null
+    : createManifest({
+        command,
+        packages,
+        basePath,
+        options: { skipPush: !!skipPush, filter },
+      });
+
+  // Branch and commit for --report rows
+  const limit = createTimedLimit(control, results, basePath, {
+    emit,
+    details: (repo) => {
+      const { repoName } = getRepoInfo(repo, basePath);
+      const record =
+        manifest && manifest.repos.find((r) => r.repo === repoName);
+      return {
+        branch: repo.branch,
+        commit: record ? record.commit : undefined,
+      };
+    },
+  });
+
+  const recordRepo = async (repoPath, repoName, branch, remote, signal) => {
+    if (!manifest) return {};
+    const git = (args) => runCmd(`git -C "${repoPath}" ${args}`, { signal });
+    const current = await git("rev-parse --abbrev-ref HEAD");
+    const head = await git("rev-parse HEAD");
+    const record = {
+      repo: repoName,
+      repoPath,
+      branch,
+      remote,
+      originalBranch: current.ok ? current.stdout.trim() : undefined,
+      originalHead: head.ok ? head.stdout.trim() : undefined,
+      branchCreated: false,
+      headBefore: undefined,
+      commit: undefined,
+      pushed: false,
+    };
+    manifest.repos.push(record);
+    saveManifest(manifest);
+    return record;
+  };
+
+  const localBranchExists = async (repoPath, branch, signal) => {
+    const cmd = `git -C "${repoPath}" show-ref --verify --quiet refs/heads/${branch}`;
+    const res = await runCmd(cmd, { signal });
+    return res.ok;
+  };
+
+  const ensureBranchFromLocalMain = async (
+    repoPath,
+    branchName,
+    { remote, baseBranch },
+    logRepo,
+    signal,
+  ) => {
+    const run = (cmd) =>
+      runCmd(`git -C "${repoPath}" ${cmd}`, { signal }).then((res) => {
+        if (!res.ok) {
+          logRepo(`❌ ${cmd} failed:\n${res.error || res.stdout}`, "error");
+        }
+        return res.ok;
+      });
+
+    // Check if branch already exists
+    const exists = await run(`rev-parse --verify ${branchName}`);
+    if (exists) {
+      logRepo(`✅ Branch ${branchName} already exists locally`);
+      return true;
+    }
+
+    logRepo(`🆕 Creating branch '${branchName}' from local ${baseBranch}`);
+
+    // Fetch remote refs
+    await run(`fetch ${remote}`);
+
+    // Fast-forward the local default branch to match the remote's (but don't checkout it)
+    await run(`fetch ${remote} ${baseBranch}`);
+    await run(`branch --force ${baseBranch} ${remote}/${baseBranch}`);
+
+    // Create new local branch from the updated default branch (without tracking)
+    return await run(`checkout --no-track -b ${branchName} ${baseBranch}`);
+  };
+
+  const tasks = targets.map((repo) =>
+    limit(repo, async (signal) => {
+      const { repoName, repoPath } = getRepoInfo(repo, basePath);
+      const enterPhase = (phase) => emit("step", { repo: repoName, phase });
+      const logRepo = (message, level) => log(repoName, message, level);
+
+      enterPhase("preflight");
+      const pathProblem = checkRepoPath(repoPath);
+      if (pathProblem) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "preflight",
+            outcome: OUTCOMES.FAILED,
+            message: pathProblem,
+          }),
+        );
+        logRepo(pathProblem, "error");
+        return;
+      }
+
+      // Stale index.lock and uncommitted work, before anything touches the repo
+      let dirty = [];
+      try {
+        if (!dryRun) {
+          const { lock, pids } = await clearStaleLock(repoPath);
+          if (lock === "busy") {
+            throw new Error(
+              `git is running in this repo (pid ${pids.join(", ")}); .git/index.lock left in place`,
+            );
+          }
+          if (lock === "unknown") {
+            throw new Error(
+              ".git/index.lock exists and running git processes could not be listed; remove it if no git command is using the repo",
+            );
+          }
+          if (lock === "removed") logRepo("🧹 Removed stale lock", "warn");
+        }
+        dirty = await getDirtyFiles(repoPath, { signal });
+      } catch (e) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "preflight",
+            outcome: OUTCOMES.FAILED,
+            message: e.message,
+          }),
+        );
+        return;
+      }
+
+      if (dirty.length && dirtyPolicy !== "stash") {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "preflight",
+            outcome: OUTCOMES.SKIPPED,
+            message: `Uncommitted changes in ${dirty.length} file(s); use --on-dirty=stash to stash them`,
+          }),
+        );
+        logRepo("dirty working tree, skipping");
+        return;
+      }
+
+      // bump only touches repos that already list the package
+      if (command === "bump") {
+        enterPhase("plan");
+        let plans = [];
+        let dirs = [];
+        try {
+          const workspaces = resolveWorkspaces(
+            repoPath,
+            filter || repo.workspaces,
+          );
+          dirs = (workspaces ? workspaces.map((ws) => ws.dir) : ["."]).filter(
+            (dir) => fs.existsSync(path.join(repoPath, dir, "package.json")),
+          );
+          plans = planBumpInDirs(repoPath, dirs, packages);
+        } catch (e) {
+          results.push(
+            createResult({
+              repo: repoName,
+              phase: "plan",
+              outcome: OUTCOMES.FAILED,
+              message: e.message,
+            }),
+          );
+          return;
+        }
+
+        if (!plans.length) {
+          results.push(
+            createResult({
+              repo: repoName,
+              phase: "plan",
+              outcome: OUTCOMES.SKIPPED,
+              message: describeNoBump(repoPath, dirs, packages),
+            }),
+          );
+          logRepo("not applicable, skipping");
+          return;
+        }
+
+        if (dryRun) {
+          results.push(
+            createResult({
+              repo: repoName,
+              phase: "plan",
+              outcome: OUTCOMES.DRY_RUN,
+              message: `Would bump ${plans
+                .map(({ dir, changes }) =>
+                  dir === "."
+                    ? describeBump(changes)
+                    : `${dir}: ${describeBump(changes)}`,
+                )
+                .join("; ")}`,
+            }),
+          );
+          return;
+        }
+      }
+
+      // Remember what is checked out, stash if needed; restore() undoes both
+      let original;
+      let stash;
+      if (!dryRun) {
+        original = await getCheckedOut(repoPath, { signal });
+        if (dirty.length) {
+          try {
+            stash = await stashChanges(repoPath, { signal });
+            logRepo(`stashed ${dirty.length} file(s)`);
+          } catch (e) {
+            results.push(
+              createResult({
+                repo: repoName,
+                phase: "preflight",
+                outcome: OUTCOMES.FAILED,
+                message: e.message,
+              }),
+            );
+            return;
+          }
+        }
+      }
+      const restore = async () => {
+        if (!original) return;
+        const row = results.filter((r) => r.repo === repoName).pop();
+        // Without --verify-reset a change that failed verification stays on its branch
+        if (row && row.failedCheck && !rest.verifyReset) {
+          row.message = `${row.message} ⚠️ change left uncommitted on ${expectedBranch}${
+            stash ? "; your changes are still in git stash list" : ""
+          }`;
+          return;
+        }
+        // Dirty repos were skipped or stashed, so tracked changes left here are the run's
+        const problems = await restoreWorkingTree(repoPath, original, stash, {
+          discard: true,
+        });
+        if (problems.length && row) {
+          row.message = `${row.message} ⚠️ ${problems.join("; ")}`;
+        }
+      };
+
+      // determine expected branch for this repo (from repos.json)
+      const expectedBranch = repo.branch;
+      const record = await recordRepo(
+        repoPath,
+        repoName,
+        expectedBranch,
+        getRepoRemote(repo),
+        signal,
+      );
+
+      if (expectedBranch) {
+        let existsLocally = false;
+        try {
+          existsLocally = await localBranchExists(
+            repoPath,
+            expectedBranch,
+            signal,
+          );
+        } catch (e) {
+          existsLocally = false;
+        }
+
+        if (!existsLocally) {
+          enterPhase("checkout");
+          logRepo(
+            `branch ${expectedBranch} not found locally — creating it locally`,
+          );
+
+          const base = await resolveBaseBranch(repoPath, repo, { signal });
+          if (dryRun) {
+            results.push(
+              createResult({
+                repo: repoName,
+                phase: "checkout",
+                outcome: OUTCOMES.DRY_RUN,
+                message: `Would create branch ${expectedBranch} from ${base.remote}/${base.baseBranch} after fetching remote refs`,
+              }),
+            );
+            return;
+          }
+
+          const created = await ensureBranchFromLocalMain(
+            repoPath,
+            expectedBranch,
+            base,
+            logRepo,
+            signal,
+          );
+
+          if (!created) {
+            results.push(
+              createResult({
+                repo: repoName,
+                phase: "checkout",
+                outcome: OUTCOMES.FAILED,
+                message: `branch ${expectedBranch} still not present after attempted creation`,
+              }),
+            );
+            logRepo(`failed to create branch ${expectedBranch}`, "error");
+            await restore();
+            return;
+          }
+          record.branchCreated = true;
+        }
+      }
+
+      // call processRepo
+      try {
+        if (dryRun) {
+          const [subject] = renderCommitMessage(
+            commit.message,
+            getCommitVars({
+              command,
+              packages: recipe ? [recipe.name] : packages,
+              names: recipe ? [recipe.name] : undefined,
+              repo: repoName,
+              branch: expectedBranch,
+            }),
+          ).split("\n");
+          let change = `${command} ${packages.join(", ")}`;
+          if (command === "apply") {
+            change = `apply ${recipe.name} (${recipe.steps
+              .map((step, i) => `${i + 1}. ${describeStep(step)}`)
+              .join("; ")})`;
+          } else if (recipe) {
+            change = describeStep(recipe.steps[0]);
+          }
+          results.push(
+            createResult({
+              repo: repoName,
+              phase: command,
+              outcome: OUTCOMES.DRY_RUN,
+              message: `Would ${change} on branch ${expectedBranch} and ${
+                recipe && recipe.commitPerStep
+                  ? "commit each step"
+                  : `commit "${subject}"`
+              }`,
+            }),
+          );
+          return;
+        }
+
+        await processRepo(
+          repo,
+          command,
+          packages,
+          {
+            dryRun,
+            skipPush,
+            onStep: enterPhase,
+            onLog: logRepo,
+            verbose,
+            filter,
+            openPr,
+            record,
+            signal,
+            commit,
+            verifyCmds: rest.verifyCmd,
+            verifyReset: rest.verifyReset,
+            recipe,
+          },
+          basePath,
+          results,
+        );
+      } catch (err) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: command,
+            outcome: OUTCOMES.FAILED,
+            message: err.message || String(err),
+          }),
+        );
+      } finally {
+        await restore();
+        if (manifest) saveManifest(manifest);
+        if (state) saveRunState(state);
+      }
+    }),
+  );
+
+  try {
+    await Promise.all(tasks);
+  } finally {
+    finishRunState(state);
+  }
+  return {
+    results,
+    exitCode: checkResults(results).exitCode,
+    runId: manifest && manifest.repos.length ? manifest.runId : undefined,
+  };
+}
+
+/**
+ * Run a shell command in every selected repo
+ * @param {string[]} commandParts - Joined with spaces
+ * @param {object} [options] - As for runRepos (dryRun, parallel, verbose, selectors, ...)
+ * @returns {Promise<{results: Array, exitCode: number}>}
+ * @throws {Error} On invalid options or config
+ */
+async function runExec(commandParts, options = {}) {
+  const { dryRun, verbose } = options;
+  const results = [];
+  const emit = createEmit(options.events);
+  const log = createLog(verbose, options.events);
+  const command = commandParts.join(" ").trim();
+  const config = loadConfig(options.config);
+  const { basePath, repos, groups } = config;
+
+  if (!command) {
+    const error = new Error("You must specify a command to execute.");
+    error.code = "COMMAND_MISSING";
+    throw error;
+  }
+
+  const control = getRunControl(options);
+  const selected = selectRepos(repos, options, groups, emit);
+  const state = trackRunState("exec", commandParts, options, selected, results);
+  const targets = options.cloneMissing
+    ? await cloneMissingRepos(selected, config, control, results, {
+        dryRun,
+        emit,
+      })
+    : selected;
+  const logsDir = ensureLogsDir();
+
+  emit("runStart", {
+    command: "exec",
+    repos: targets.map((repo) => getRepoInfo(repo, basePath).repoName),
+    concurrency: control.concurrency,
+  });
+
+  const limit = createTimedLimit(control, results, basePath, { emit });
+
+  const tasks = targets.map((repo) =>
+    limit(repo, async (signal) => {
+      const { repoName, repoPath, logName } = getRepoInfo(repo, basePath);
+
+      if (!fs.existsSync(repoPath)) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "preflight",
+            outcome: OUTCOMES.FAILED,
+            message: `Path not found: ${repoPath}`,
+          }),
+        );
+        log(repoName, `path not found: ${repoPath}`, "error");
+        return;
+      }
+
+      if (dryRun) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "exec",
+            outcome: OUTCOMES.DRY_RUN,
+            message: `Would execute: ${command}`,
+          }),
+        );
+        log(repoName, `would execute: ${command}`);
+        return;
+      }
+
+      // Execute the command in the repo directory
+      emit("step", { repo: repoName, phase: "exec" });
+      const res = await runCmd(command, { cwd: repoPath, signal });
+
+      // Write log file
+      const logFile = path.resolve(logsDir, `${logName}-exec.log`);
+      const logContent = generateExecLogContent(command, repoPath, res);
+      fs.writeFileSync(logFile, logContent, "utf8");
+
+      log(repoName, res.stdout);
+      log(repoName, res.stderr, "error");
+
+      results.push(
+        createResult({
+          repo: repoName,
+          phase: "exec",
+          outcome: res.ok ? OUTCOMES.SUCCESS : OUTCOMES.FAILED,
+          message: res.ok
+            ? `Executed successfully (log: ${logFile})`
+            : `${res.error?.split("\n")[0] || "Command failed"} (log: ${logFile})`,
+          logFile,
+        }),
+      );
+    }).finally(() => {
+      if (state) saveRunState(state);
+    }),
+  );
+
+  try {
+    await Promise.all(tasks);
+  } finally {
+    finishRunState(state);
+  }
+  return { results, exitCode: checkResults(results).exitCode };
+}
+
+module.exports = {
+  runRepos,
+  runExec,
+  createEmit,
+  createLog,
+  selectRepos,
+  createTimedLimit,
+};
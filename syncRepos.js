@@ -0,0 +1,425 @@
+const pLimit = require("p-limit").default;
+const {
+  runCmd,
+  loadConfig,
+  getRepoInfo,
+  checkResults,
+} = require("./utils/utils");
+const { OUTCOMES, createResult } = require("./utils/result");
+const { checkRepoPath } = require("./utils/configSchema");
+const {
+  UPDATE_STRATEGIES,
+  countCommits,
+  updateBranch,
+  pushBranch,
+} = require("./utils/updateBranch");
+const { getDirtyFiles } = require("./utils/workingTree");
+const { resolveBaseBranch } = require("./utils/remote");
+const { cloneMissing } = require("./utils/clone");
+const { getRunSettings, createRepoLimit } = require("./utils/runControl");
+const { createEmit, createLog, selectRepos } = require("./runBatch");
+
+/**
+ * Fetch every selected repo and pull its branch (never creating it), or with
+ * `updateBranches` rebase/merge each repo's `branch` onto the fetched default branch.
+ * Runs behind sync.js and the Node API; emits the same events as runBatch.js.
+ * @param {object} [options] - The sync.js options in camelCase (branch, remote,
+ *   updateBranches, base, strategy, push, cloneMissing, dryRun, selectors, ...) plus
+ *   config, signal and events as for runRepos
+ * @returns {Promise<{results: Array, exitCode: number}>}
+ * @throws {Error} On invalid options or config
+ */
+async function syncRepos(options = {}) {
+  const opts = { remote: "origin", strategy: "rebase", ...options };
+  const emit = createEmit(opts.events);
+  const log = createLog(opts.verbose, opts.events);
+  const config = loadConfig(opts.config);
+  const { basePath, repos, groups, urlTemplate } = config;
+
+  if (!repos.length) {
+    const error = new Error("No repositories defined in repos.json");
+    error.code = "CONFIG_EMPTY";
+    throw error;
+  }
+
+  // --only / --tag / --group / --exclude selection
+  const selected = selectRepos(repos, opts, groups, emit);
+
+  const settings = getRunSettings(opts);
+  if (opts.updateBranches && !UPDATE_STRATEGIES.includes(opts.strategy)) {
+    const error = new Error(
+      `Unknown --strategy "${opts.strategy}" (expected ${UPDATE_STRATEGIES.join(" or ")})`,
+    );
+    error.code = "STRATEGY_INVALID";
+    throw error;
+  }
+
+  const results = [];
+
+  // Branch pulled per repo (each repo's default branch without --branch)
+  const pulledBranches = new Map();
+
+  // Time each repo so --report can include durations
+  const limit = createRepoLimit({
+    limit: pLimit(settings.concurrency),
+    timeoutMs: settings.timeoutMs,
+    signal: opts.signal,
+    results,
+    getName: (repo) => getRepoInfo(repo, basePath).repoName,
+    details: (repo) => ({
+      branch: opts.updateBranches ? repo.branch : pulledBranches.get(repo),
+    }),
+    onStart: (repo) => emit("repoStart", { repo }),
+    onDone: (repo, rows) => emit("repoDone", { repo, results: rows }),
+  });
+
+  // --clone-missing: repos that could not be cloned keep their clone row and are not synced
+  let targets = selected;
+  if (opts.cloneMissing) {
+    const rows = [];
+    const cloning = await cloneMissing(selected, {
+      basePath,
+      urlTemplate,
+      limit: createRepoLimit({
+        limit: pLimit(settings.concurrency),
+        timeoutMs: settings.timeoutMs,
+        signal: opts.signal,
+        results: rows,
+        getName: (repo) => getRepoInfo(repo, basePath).repoName,
+      }),
+      results: rows,
+      dryRun: opts.dryRun,
+    });
+    cloning.cloned.forEach((row) =>
+      emit("step", { repo: row.repo, phase: "clone", message: row.message }),
+    );
+    results.push(...cloning.failed);
+    targets = cloning.repos;
+  }
+
+  emit("runStart", {
+    command: "sync",
+    repos: targets.map((repo) => getRepoInfo(repo, basePath).repoName),
+    concurrency: settings.concurrency,
+  });
+
+  // repos.json `remote` wins over --remote
+  const getRemote = (repo) => repo.remote || opts.remote;
+  const getBaseBranch = async (repo, repoPath, signal) =>
+    (
+      await resolveBaseBranch(
+        repoPath,
+        { ...repo, remote: getRemote(repo) },
+        { signal },
+      )
+    ).baseBranch;
+
+  // --update-branches: rebase/merge the repo's `branch` onto the fetched default branch
+  const updateRepoBranch = async (repo, repoName, repoPath, signal) => {
+    const remote = getRemote(repo);
+    const base = opts.base || (await getBaseBranch(repo, repoPath, signal));
+    const onto = `${remote}/${base}`;
+    let phase = opts.strategy;
+
+    if (!repo.branch) {
+      results.push(
+        createResult({
+          repo: repoName,
+          phase,
+          outcome: OUTCOMES.SKIPPED,
+          message: "no branch configured in repos.json",
+        }),
+      );
+      return;
+    }
+
+    const dirty = await getDirtyFiles(repoPath, { signal });
+    if (dirty.length) {
+      results.push(
+        createResult({
+          repo: repoName,
+          phase,
+          outcome: OUTCOMES.SKIPPED,
+          message: `uncommitted changes (${dirty.length} file(s)); ${repo.branch} not updated`,
+        }),
+      );
+      return;
+    }
+
+    // Never overwrite commits someone else pushed to the branch
+    if (opts.push) {
+      const remoteBranch = `${remote}/${repo.branch}`;
+      const known = await runCmd(
+        `git -C "${repoPath}" rev-parse --verify --quiet "refs/remotes/${remoteBranch}"`,
+        { signal },
+      );
+      const missing = known.ok
+        ? await countCommits(repoPath, repo.branch, remoteBranch, { signal })
+        : 0;
+      if (missing) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase,
+            outcome: OUTCOMES.FAILED,
+            message: `${remoteBranch} has ${missing} commit(s) not in the local ${repo.branch}; pull them before updating`,
+          }),
+        );
+        return;
+      }
+    }
+
+    log(repoName, `git ${opts.strategy} ${onto} on ${repo.branch}`);
+    const update = await updateBranch(repoPath, {
+      branch: repo.branch,
+      onto,
+      strategy: opts.strategy,
+      signal,
+    });
+    const warnings = (update.problems || []).map((p) => ` ⚠️ ${p}`).join("");
+
+    if (update.status === "missing") {
+      results.push(
+        createResult({
+          repo: repoName,
+          phase,
+          outcome: OUTCOMES.SKIPPED,
+          message: `branch ${repo.branch} not present locally`,
+        }),
+      );
+      return;
+    }
+    if (update.status === "up-to-date") {
+      results.push(
+        createResult({
+          repo: repoName,
+          phase,
+          outcome: OUTCOMES.SKIPPED,
+          message: `${repo.branch} already up to date with ${onto}`,
+        }),
+      );
+      return;
+    }
+    if (update.status === "conflict") {
+      results.push(
+        createResult({
+          repo: repoName,
+          phase,
+          outcome: OUTCOMES.FAILED,
+          message: `Conflicts with ${onto} in ${update.conflicts.join(", ")}; ${
+            opts.strategy
+          } aborted, ${repo.branch} unchanged${warnings}`,
+          conflicts: update.conflicts,
+        }),
+      );
+      return;
+    }
+
+    const done =
+      opts.strategy === "rebase"
+        ? `Rebased ${repo.branch} onto ${onto} (${update.behind} new commit(s))`
+        : `Merged ${onto} into ${repo.branch} (${update.behind} new commit(s))`;
+    if (opts.push) {
+      phase = "push";
+      emit("step", { repo: repoName, phase });
+      log(repoName, `git push --force-with-lease ${remote} ${repo.branch}`);
+      try {
+        await pushBranch(repoPath, { branch: repo.branch, remote, signal });
+      } catch (e) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase,
+            outcome: OUTCOMES.FAILED,
+            message: `${done} locally, but ${e.message}${warnings}`,
+          }),
+        );
+        return;
+      }
+    }
+    results.push(
+      createResult({
+        repo: repoName,
+        phase,
+        outcome: OUTCOMES.SUCCESS,
+        message: `${done}${opts.push ? ", pushed" : ""}${warnings}`,
+      }),
+    );
+  };
+
+  const tasks = targets.map((repo) =>
+    limit(repo, async (signal) => {
+      const { repoName, repoPath } = getRepoInfo(repo, basePath);
+      const remote = getRemote(repo);
+
+      if (opts.dryRun && opts.updateBranches) {
+        const base = opts.base || (await getBaseBranch(repo, repoPath, signal));
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "fetch",
+            outcome: OUTCOMES.DRY_RUN,
+            message: repo.branch
+              ? `Would run: git fetch ${remote} --prune; git ${
+                  opts.strategy
+                } ${remote}/${base} on ${repo.branch}${
+                  opts.push
+                    ? `; git push --force-with-lease ${remote} ${repo.branch}`
+                    : ""
+                }`
+              : "no branch configured in repos.json",
+          }),
+        );
+        return;
+      }
+
+      if (opts.dryRun) {
+        const branch =
+          opts.branch || (await getBaseBranch(repo, repoPath, signal));
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "fetch",
+            outcome: OUTCOMES.DRY_RUN,
+            message: `Would run: git fetch ${remote} --prune; git checkout ${branch} (if exists locally); git pull ${remote} ${branch} (if checked out)`,
+          }),
+        );
+        log(
+          repoName,
+          `(dry) would fetch refs and attempt checkout/pull for ${branch}`,
+        );
+        return;
+      }
+
+      const pathProblem = checkRepoPath(repoPath);
+      if (pathProblem) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "preflight",
+            outcome: OUTCOMES.FAILED,
+            message: pathProblem,
+          }),
+        );
+        log(repoName, pathProblem, "error");
+        return;
+      }
+
+      let phase;
+      const setPhase = (name) => {
+        phase = name;
+        emit("step", { repo: repoName, phase });
+      };
+      setPhase("fetch");
+      try {
+        log(repoName, `git fetch ${remote} --prune`);
+        const fetchRes = await runCmd(
+          `git -C "${repoPath}" fetch ${remote} --prune`,
+          { signal },
+        );
+        if (!fetchRes.ok) {
+          results.push(
+            createResult({
+              repo: repoName,
+              phase,
+              outcome: OUTCOMES.FAILED,
+              message: `fetch failed: ${fetchRes.error || fetchRes.stdout}`,
+            }),
+          );
+          log(
+            repoName,
+            `fetch failed: ${fetchRes.error || fetchRes.stdout}`,
+            "error",
+          );
+          return;
+        }
+
+        if (opts.updateBranches) {
+          setPhase(opts.strategy);
+          await updateRepoBranch(repo, repoName, repoPath, signal);
+          return;
+        }
+
+        setPhase("checkout");
+        const branch =
+          opts.branch || (await getBaseBranch(repo, repoPath, signal));
+        pulledBranches.set(repo, branch);
+        log(repoName, `attempting to checkout ${branch} (no creation by sync)`);
+        const coRes = await runCmd(`git -C "${repoPath}" checkout ${branch}`, {
+          signal,
+        });
+        if (!coRes.ok) {
+          if (opts.verbose) {
+            log(
+              repoName,
+              `branch '${branch}' not present locally — sync will not create it (by design).`,
+              "warn",
+            );
+            const remotes = await runCmd(
+              `git -C "${repoPath}" branch -r --list`,
+            );
+            if (remotes.ok)
+              log(repoName, `remote branches:\n${remotes.stdout.trim()}`);
+          }
+          results.push(
+            createResult({
+              repo: repoName,
+              phase,
+              outcome: OUTCOMES.SKIPPED,
+              message: `fetched refs; branch ${branch} not present locally`,
+            }),
+          );
+          return;
+        }
+
+        setPhase("pull");
+        log(repoName, `git pull ${remote} ${branch}`);
+        const pullRes = await runCmd(
+          `git -C "${repoPath}" pull ${remote} ${branch}`,
+          { signal },
+        );
+        if (!pullRes.ok) {
+          results.push(
+            createResult({
+              repo: repoName,
+              phase,
+              outcome: OUTCOMES.FAILED,
+              message: `pull failed: ${pullRes.error || pullRes.stdout}`,
+            }),
+          );
+          log(
+            repoName,
+            `pull failed: ${pullRes.error || pullRes.stdout}`,
+            "error",
+          );
+          return;
+        }
+
+        results.push(
+          createResult({
+            repo: repoName,
+            phase,
+            outcome: OUTCOMES.SUCCESS,
+            message: `Pulled ${remote}/${branch}`,
+          }),
+        );
+        log(repoName, "synced ✅");
+      } catch (err) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase,
+            outcome: OUTCOMES.FAILED,
+            message: err.message || String(err),
+          }),
+        );
+        log(repoName, `error -> ${err.message || err}`, "error");
+      }
+    }),
+  );
+
+  await Promise.all(tasks);
+  return { results, exitCode: checkResults(results).exitCode };
+}
+
+module.exports = { syncRepos };
@@ -0,0 +1,129 @@
+const fs = require("fs");
+const simpleGit = require("simple-git");
+const { OUTCOMES, createResult } = require("./utils/result");
+
+const short = (sha) => (sha ? sha.slice(0, 7) : "?");
+
+/**
+ * Roll back what a batch run did in one repo, based on its manifest entry
+ * @param {object} entry - Repo record from the run manifest
+ * @param {{dryRun?: boolean, revert?: boolean, deleteRemote?: boolean, push?: boolean, verbose?: boolean, onLog?: (message: string) => void}} options
+ *   onLog: receives the verbose output (default: the console)
+ * @param {Array} results - Summary rows are pushed here
+ */
+async function undoRepo(
+  entry,
+  { dryRun, revert, deleteRemote, push, verbose, onLog },
+  results
+) {
+  const {
+    repo: name,
+    repoPath,
+    branch,
+    originalBranch,
+    originalHead,
+    branchCreated,
+    headBefore,
+    commit,
+    pushed,
+    // Manifests written before repos could set a remote have none
+    remote = "origin",
+  } = entry;
+  const done = (outcome, message) =>
+    results.push(createResult({ repo: name, phase: "undo", outcome, message }));
+
+  if (!fs.existsSync(repoPath)) {
+    done(OUTCOMES.FAILED, `Path not found: ${repoPath}`);
+    return;
+  }
+
+  const git = simpleGit(repoPath);
+  const restoreTarget =
+    originalBranch && originalBranch !== "HEAD" ? originalBranch : originalHead;
+
+  // Build the list of steps first so --dry-run can show them
+  const steps = [];
+  const step = (desc, fn) => steps.push({ desc, fn });
+
+  try {
+    const current = (await git.revparse(["--abbrev-ref", "HEAD"])).trim();
+
+    if (branchCreated && branch) {
+      if (current === branch && restoreTarget) {
+        step(`git checkout ${restoreTarget}`, () =>
+          git.checkout(restoreTarget)
+        );
+      }
+      step(`git branch -D ${branch}`, () => git.branch(["-D", branch]));
+
+      if (pushed && deleteRemote) {
+        step(`git push ${remote} --delete ${branch}`, () =>
+          git.raw(["push", remote, "--delete", branch])
+        );
+      } else if (pushed) {
+        step(`(kept ${remote}/${branch}; pass --delete-remote to delete it)`);
+      }
+    } else if (branch && commit) {
+      if (current !== branch) {
+        step(`git checkout ${branch}`, () => git.checkout(branch));
+      }
+
+      const tip = (await git.revparse([branch])).trim();
+      const canReset = !revert && !pushed && tip === commit && headBefore;
+
+      if (canReset) {
+        step(`git reset --keep ${short(headBefore)}`, () =>
+          git.raw(["reset", "--keep", headBefore])
+        );
+      } else {
+        // Every commit of the run (--commit-per-step makes several), newest first
+        const range = headBefore ? `${headBefore}..${commit}` : commit;
+        const label = headBefore
+          ? `${short(headBefore)}..${short(commit)}`
+          : short(commit);
+        step(`git revert --no-edit ${label}`, () =>
+          git.raw(["revert", "--no-edit", range])
+        );
+        if (pushed && push) {
+          step(`git push ${remote} ${branch}`, () => git.push(remote, branch));
+        }
+      }
+
+      if (restoreTarget && restoreTarget !== branch) {
+        step(`git checkout ${restoreTarget}`, () =>
+          git.checkout(restoreTarget)
+        );
+      }
+    } else if (restoreTarget && current !== originalBranch) {
+      step(`git checkout ${restoreTarget}`, () => git.checkout(restoreTarget));
+    }
+
+    if (!steps.length) {
+      done(OUTCOMES.SKIPPED, "Nothing to undo");
+      return;
+    }
+
+    if (dryRun) {
+      done(
+        OUTCOMES.DRY_RUN,
+        `Would run: ${steps.map((s) => s.desc).join("; ")}`
+      );
+      return;
+    }
+
+    for (const { desc, fn } of steps) {
+      if (verbose && onLog) onLog(desc);
+      else if (verbose) console.log(`[${name}] ${desc}`);
+      if (fn) await fn();
+    }
+
+    done(OUTCOMES.SUCCESS, `Undone: ${steps.map((s) => s.desc).join("; ")}`);
+  } catch (err) {
+    done(
+      OUTCOMES.FAILED,
+      err && err.message ? err.message.split("\n")[0] : String(err)
+    );
+  }
+}
+
+module.exports = { undoRepo };
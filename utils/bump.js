@@ -0,0 +1,208 @@
+const path = require("path");
+const { readPackageJson } = require("./packageJson");
+
+/**
+ * Dependency sections a bump may touch, in the order they are checked
+ */
+const DEPENDENCY_SECTIONS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+/**
+ * Split "name@range" (scoped names supported) into its parts
+ * @param {string} spec - e.g. "react@19.0.0" or "@scope/pkg@^2"
+ * @returns {{name: string, range: string|undefined}}
+ */
+function parsePackageSpec(spec) {
+  const at = spec.lastIndexOf("@");
+  if (at <= 0) return { name: spec, range: undefined };
+  return { name: spec.slice(0, at), range: spec.slice(at + 1) || undefined };
+}
+
+/**
+ * Range prefix style of a declared version
+ * @param {string} range - Declared range, e.g. "^1.2.3"
+ * @returns {string|null} "^", "~", "=", "" (exact) or null when not a plain semver range
+ */
+function getRangePrefix(range) {
+  const match =
+    /^(\^|~|=)?\s*v?\d+(\.(\d+|x|\*)){0,2}(-[\w.]+)?(\+[\w.]+)?$/.exec(
+      String(range).trim(),
+    );
+  return match ? match[1] || "" : null;
+}
+
+/**
+ * Version a bump sets, without the range prefix the request may carry
+ * @param {string} range - Requested range, e.g. "19.0.0" or "^4.17.21"
+ * @returns {string|null} e.g. "19.0.0", or null for tags ("latest") and other ranges
+ */
+function getBumpVersion(range) {
+  const match = /^[\^~=]?\s*v?(\d+\.\d+\.\d+(-[\w.]+)?(\+[\w.]+)?)$/.exec(
+    String(range).trim(),
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Check the requested "name@version" specs of a bump
+ * @param {string[]} specs
+ * @returns {{code: string, message: string}|null} What is wrong with them, or null
+ */
+function checkBumpSpecs(specs) {
+  const missing = specs.filter((spec) => !parsePackageSpec(spec).range);
+  if (missing.length) {
+    return {
+      code: "VERSION_MISSING",
+      message: `bump needs a version for each package (e.g. react@19.0.0): ${missing.join(", ")}`,
+    };
+  }
+  const invalid = specs.filter(
+    (spec) => !getBumpVersion(parsePackageSpec(spec).range),
+  );
+  if (invalid.length) {
+    return {
+      code: "VERSION_INVALID",
+      message: `bump needs a semver version such as 19.0.0, not a tag or range: ${invalid.join(", ")}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Work out which dependency entries a bump would change in a package.json
+ * @param {object} pkg - Parsed package.json
+ * @param {string[]} specs - Requested "name@range" specs
+ * @returns {{changes: Array<{name: string, section: string, from: string, to: string}>, current: Array<{name: string, section: string, from: string}>, skipped: Array<{name: string, section: string, from: string, reason: string}>}}
+ *   `current` lists entries already at the requested version
+ * @throws {Error} If a spec has no version or not a semver one
+ */
+function planBump(pkg, specs) {
+  const problem = checkBumpSpecs(specs);
+  if (problem) {
+    const error = new Error(problem.message);
+    error.code = problem.code;
+    throw error;
+  }
+
+  const changes = [];
+  const current = [];
+  const skipped = [];
+
+  specs.forEach((spec) => {
+    const { name, range } = parsePackageSpec(spec);
+    const version = getBumpVersion(range);
+
+    DEPENDENCY_SECTIONS.forEach((section) => {
+      const from = pkg[section] && pkg[section][name];
+      if (from === undefined) return;
+
+      const prefix = getRangePrefix(from);
+      if (prefix === null) {
+        skipped.push({ name, section, from, reason: "non-semver range" });
+        return;
+      }
+
+      const to = `${prefix}${version}`;
+      if (to === from) current.push({ name, section, from });
+      else changes.push({ name, section, from, to });
+    });
+  });
+
+  return { changes, current, skipped };
+}
+
+/**
+ * Apply planned changes to a package.json object (in place, key order kept)
+ * @param {object} pkg - Parsed package.json
+ * @param {Array<{name: string, section: string, to: string}>} changes - From planBump
+ * @returns {object} The same pkg object
+ */
+function applyBump(pkg, changes) {
+  changes.forEach(({ name, section, to }) => {
+    pkg[section][name] = to;
+  });
+  return pkg;
+}
+
+/**
+ * Plan a bump across several package.json files of one repo
+ * @param {string} repoPath - Absolute path to the repo
+ * @param {string[]} dirs - Directories relative to repoPath ("." for the root)
+ * @param {string[]} specs - Requested "name@range" specs
+ * @returns {Array<{dir: string, pkg: object, format: object, changes: Array}>} Only dirs with changes
+ */
+function planBumpInDirs(repoPath, dirs, specs) {
+  return dirs
+    .map((dir) => {
+      const { pkg, format } = readPackageJson(path.join(repoPath, dir));
+      return { dir, pkg, format, changes: planBump(pkg, specs).changes };
+    })
+    .filter((plan) => plan.changes.length);
+}
+
+/**
+ * Why a bump changes nothing in a repo: already at the version, a range left as is
+ * or no such dependency
+ * @param {string} repoPath - Absolute path to the repo
+ * @param {string[]} dirs - Directories relative to repoPath ("." for the root)
+ * @param {string[]} specs - Requested "name@range" specs
+ * @returns {string}
+ */
+function describeNoBump(repoPath, dirs, specs) {
+  const current = [];
+  const skipped = [];
+  dirs.forEach((dir) => {
+    const plan = planBump(readPackageJson(path.join(repoPath, dir)).pkg, specs);
+    current.push(...plan.current);
+    skipped.push(...plan.skipped);
+  });
+
+  const reasons = [];
+  if (current.length) {
+    reasons.push(
+      `Already at ${current.map(({ name, from }) => `${name}@${from}`).join(", ")}`,
+    );
+  }
+  if (skipped.length) {
+    reasons.push(
+      `Not applicable: ${skipped
+        .map(({ name, from, reason }) => `${name} ${from} (${reason})`)
+        .join(", ")}`,
+    );
+  }
+  if (!reasons.length) {
+    const names = specs.map((spec) => parsePackageSpec(spec).name);
+    reasons.push(`Not applicable: does not depend on ${names.join(", ")}`);
+  }
+  return reasons.join("; ");
+}
+
+/**
+ * One-line description of planned changes for logs and summaries
+ * @param {Array<{name: string, section: string, from: string, to: string}>} changes
+ * @returns {string}
+ */
+function describeBump(changes) {
+  return changes
+    .map(
+      ({ name, section, from, to }) => `${name} ${from} → ${to} (${section})`,
+    )
+    .join(", ");
+}
+
+module.exports = {
+  DEPENDENCY_SECTIONS,
+  parsePackageSpec,
+  getRangePrefix,
+  getBumpVersion,
+  checkBumpSpecs,
+  planBump,
+  planBumpInDirs,
+  applyBump,
+  describeNoBump,
+  describeBump,
+};
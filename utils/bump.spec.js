@@ -0,0 +1,198 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parsePackageSpec,
+  getRangePrefix,
+  getBumpVersion,
+  checkBumpSpecs,
+  planBump,
+  applyBump,
+  describeNoBump,
+} = require("./bump");
+
+describe("parsePackageSpec", () => {
+  it("should split name and range", () => {
+    expect(parsePackageSpec("react@19.0.0")).toEqual({
+      name: "react",
+      range: "19.0.0",
+    });
+  });
+
+  it("should support scoped packages", () => {
+    expect(parsePackageSpec("@scope/pkg@^2")).toEqual({
+      name: "@scope/pkg",
+      range: "^2",
+    });
+    expect(parsePackageSpec("@scope/pkg")).toEqual({
+      name: "@scope/pkg",
+      range: undefined,
+    });
+  });
+});
+
+describe("getRangePrefix", () => {
+  it("should detect caret, tilde and exact ranges", () => {
+    expect(getRangePrefix("^18.2.0")).toBe("^");
+    expect(getRangePrefix("~1.2.3")).toBe("~");
+    expect(getRangePrefix("1.2.3")).toBe("");
+    expect(getRangePrefix("=1.2.3")).toBe("=");
+    expect(getRangePrefix("1.2.3+build.5")).toBe("");
+  });
+
+  it("should return null for protocol and complex ranges", () => {
+    expect(getRangePrefix("workspace:*")).toBeNull();
+    expect(getRangePrefix(">=1 <2")).toBeNull();
+  });
+});
+
+describe("getBumpVersion", () => {
+  it("should strip the requested prefix", () => {
+    expect(getBumpVersion("19.0.0")).toBe("19.0.0");
+    expect(getBumpVersion("^4.17.21")).toBe("4.17.21");
+    expect(getBumpVersion("v2.0.0-rc.1")).toBe("2.0.0-rc.1");
+  });
+
+  it("should reject tags and ranges", () => {
+    expect(getBumpVersion("latest")).toBeNull();
+    expect(getBumpVersion(">=2.0.0")).toBeNull();
+    expect(getBumpVersion("19")).toBeNull();
+  });
+});
+
+describe("checkBumpSpecs", () => {
+  it("should report missing and non-semver versions", () => {
+    expect(checkBumpSpecs(["react@19.0.0"])).toBeNull();
+    expect(checkBumpSpecs(["react", "vue@3.4.0"])).toMatchObject({
+      code: "VERSION_MISSING",
+      message: expect.stringContaining(": react"),
+    });
+    expect(checkBumpSpecs(["react@latest"])).toMatchObject({
+      code: "VERSION_INVALID",
+      message: expect.stringContaining(": react@latest"),
+    });
+  });
+});
+
+describe("planBump", () => {
+  const pkg = {
+    dependencies: { react: "^18.2.0", lodash: "4.17.20" },
+    devDependencies: { typescript: "~5.3.0" },
+    peerDependencies: { react: ">=17" },
+  };
+
+  it("should keep section and prefix style", () => {
+    const { changes } = planBump(pkg, [
+      "react@19.0.0",
+      "lodash@^4.17.21",
+      "typescript@5.4.5",
+    ]);
+
+    expect(changes).toEqual([
+      {
+        name: "react",
+        section: "dependencies",
+        from: "^18.2.0",
+        to: "^19.0.0",
+      },
+      {
+        name: "lodash",
+        section: "dependencies",
+        from: "4.17.20",
+        to: "4.17.21",
+      },
+      {
+        name: "typescript",
+        section: "devDependencies",
+        from: "~5.3.0",
+        to: "~5.4.5",
+      },
+    ]);
+  });
+
+  it("should skip non-semver ranges and unknown packages", () => {
+    const { changes, skipped } = planBump(pkg, ["react@19.0.0", "vue@3.4.0"]);
+
+    expect(changes).toHaveLength(1);
+    expect(skipped).toEqual([
+      {
+        name: "react",
+        section: "peerDependencies",
+        from: ">=17",
+        reason: "non-semver range",
+      },
+    ]);
+  });
+
+  it("should keep exact and = ranges and list entries already at the version", () => {
+    const { changes, current } = planBump(
+      {
+        dependencies: { lodash: "4.17.20", react: "=18.2.0" },
+        devDependencies: { typescript: "~5.4.5" },
+      },
+      ["lodash@4.17.21", "react@19.0.0", "typescript@5.4.5"],
+    );
+
+    expect(changes.map(({ name, to }) => [name, to])).toEqual([
+      ["lodash", "4.17.21"],
+      ["react", "=19.0.0"],
+    ]);
+    expect(current).toEqual([
+      { name: "typescript", section: "devDependencies", from: "~5.4.5" },
+    ]);
+  });
+
+  it("should throw with the codes of checkBumpSpecs", () => {
+    expect(() => planBump(pkg, ["react"])).toThrow(
+      expect.objectContaining({
+        code: "VERSION_MISSING",
+        message: expect.stringContaining("needs a version"),
+      }),
+    );
+    expect(() => planBump(pkg, ["react@latest"])).toThrow(
+      expect.objectContaining({
+        code: "VERSION_INVALID",
+        message: expect.stringContaining("not a tag or range: react@latest"),
+      }),
+    );
+  });
+
+  it("should apply changes in place", () => {
+    const copy = JSON.parse(JSON.stringify(pkg));
+    const { changes } = planBump(copy, ["react@19.0.0"]);
+    applyBump(copy, changes);
+    expect(copy.dependencies.react).toBe("^19.0.0");
+    expect(Object.keys(copy.dependencies)).toEqual(["react", "lodash"]);
+  });
+});
+
+describe("describeNoBump", () => {
+  let repoPath;
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), "no-bump-"));
+    fs.writeFileSync(
+      path.join(repoPath, "package.json"),
+      JSON.stringify({
+        dependencies: { react: "^19.0.0" },
+        peerDependencies: { vue: ">=3" },
+      }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it("should tell repos already at the version from others", () => {
+    expect(describeNoBump(repoPath, ["."], ["react@19.0.0"])).toBe(
+      "Already at react@^19.0.0",
+    );
+    expect(describeNoBump(repoPath, ["."], ["vue@3.4.0"])).toBe(
+      "Not applicable: vue >=3 (non-semver range)",
+    );
+    expect(describeNoBump(repoPath, ["."], ["lodash@4.17.21"])).toBe(
+      "Not applicable: does not depend on lodash",
+    );
+  });
+});
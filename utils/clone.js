@@ -0,0 +1,154 @@
+const fs = require("fs");
+const { runCmd, getRepoInfo } = require("./utils");
+const { checkRepoPath } = require("./configSchema");
+const { OUTCOMES, createResult } = require("./result");
+
+/**
+ * URL to clone a repo from: its own `url`, else the top-level `urlTemplate`
+ * with {name} / {path} (or {{name}} / {{path}}) filled in
+ * @param {{name?: string, path?: string, url?: string}} repo
+ * @param {string} [urlTemplate] - e.g. "git@github.com:acme/{name}.git"
+ * @returns {string|undefined}
+ */
+function getCloneUrl(repo, urlTemplate) {
+  if (repo.url) return repo.url;
+  if (!urlTemplate) return undefined;
+  const vars = { name: repo.name || repo.path, path: repo.path || repo.name };
+  return urlTemplate.replace(/\{\{?\s*(\w+)\s*\}?\}/g, (match, key) =>
+    vars[key] !== undefined ? vars[key] : match,
+  );
+}
+
+/**
+ * Clone a repo into its path (parent directories are created by git)
+ * @param {string} url
+ * @param {string} repoPath
+ * @param {{remote?: string, signal?: AbortSignal}} [options] - remote: name for the
+ *   cloned remote (default: origin)
+ * @returns {Promise<void>}
+ * @throws {Error} If git clone fails (git removes the half-cloned directory)
+ */
+async function cloneRepo(url, repoPath, { remote, signal } = {}) {
+  const origin = remote && remote !== "origin" ? ` --origin ${remote}` : "";
+  const res = await runCmd(`git clone${origin} "${url}" "${repoPath}"`, {
+    signal,
+  });
+  if (!res.ok) {
+    const lines = res.error.trim().split("\n");
+    const reason = lines.find((line) => line.startsWith("fatal:")) || lines[0];
+    const error = new Error(`git clone failed: ${reason}`);
+    error.code = "CLONE_FAILED";
+    throw error;
+  }
+}
+
+/**
+ * Clone every repo that is not on disk yet. Repos already cloned are skipped;
+ * a directory that exists but is not a git repository is never cloned into.
+ * @param {object[]} repos - Selected repos from repos.json
+ * @param {object} options
+ * @param {string} options.basePath
+ * @param {string} [options.urlTemplate]
+ * @param {(repo: object, task: (signal: AbortSignal) => Promise<any>) => Promise<any>} options.limit
+ *   Per-repo limiter (createRepoLimit) that pushes timeouts/cancels into `results`
+ * @param {Array} options.results - One row per repo is pushed here
+ * @param {boolean} [options.dryRun]
+ * @param {(repoName: string) => void} [options.onDone] - Called after each repo (progress bars)
+ * @returns {Promise<Array>} results
+ */
+async function cloneRepos(
+  repos,
+  { basePath, urlTemplate, limit, results, dryRun, onDone = () => {} },
+) {
+  await Promise.all(
+    repos.map((repo) =>
+      limit(repo, async (signal) => {
+        const { repoName, repoPath } = getRepoInfo(repo, basePath);
+        const row = (outcome, message, details = {}) =>
+          results.push(
+            createResult({
+              repo: repoName,
+              phase: "clone",
+              outcome,
+              message,
+              ...details,
+            }),
+          );
+
+        try {
+          if (fs.existsSync(repoPath)) {
+            const problem = checkRepoPath(repoPath);
+            if (problem) {
+              row(
+                OUTCOMES.FAILED,
+                `${problem} (not cloning into an existing directory)`,
+              );
+            } else row(OUTCOMES.SKIPPED, "Already cloned");
+            return;
+          }
+
+          const url = getCloneUrl(repo, urlTemplate);
+          if (!url) {
+            row(
+              OUTCOMES.FAILED,
+              `Path not found: ${repoPath}, and no url to clone from (set \`url\` on the repo or \`urlTemplate\` in repos.json)`,
+            );
+            return;
+          }
+          if (dryRun) {
+            row(OUTCOMES.DRY_RUN, `Would clone ${url} into ${repoPath}`, {
+              url,
+            });
+            return;
+          }
+
+          try {
+            await cloneRepo(url, repoPath, { remote: repo.remote, signal });
+            row(OUTCOMES.SUCCESS, `Cloned ${url}`, { url, cloned: true });
+          } catch (e) {
+            row(OUTCOMES.FAILED, e.message, { url });
+          }
+        } finally {
+          onDone(repoName);
+        }
+      }),
+    ),
+  );
+  return results;
+}
+
+/**
+ * --clone-missing: clone the repos that are not on disk yet, before a run
+ * @param {object[]} repos - Selected repos
+ * @param {object} options - As for cloneRepos; `results` receives the clone rows
+ * @returns {Promise<{repos: object[], cloned: Array, failed: Array}>} repos: those to run
+ *   on (present or just cloned); cloned: rows of the repos cloned; failed: rows of the
+ *   repos that could not be cloned, or only would be in a dry run
+ */
+async function cloneMissing(repos, options) {
+  const { basePath, results } = options;
+  const missing = repos.filter(
+    (repo) => !fs.existsSync(getRepoInfo(repo, basePath).repoPath),
+  );
+  await cloneRepos(missing, options);
+
+  const cloned = results.filter((row) => row.cloned);
+  const failed = results.filter((row) => !row.cloned);
+  return {
+    repos: repos.filter(
+      (repo) =>
+        !failed.some(
+          (row) => row.repo === getRepoInfo(repo, basePath).repoName,
+        ),
+    ),
+    cloned,
+    failed,
+  };
+}
+
+module.exports = {
+  getCloneUrl,
+  cloneRepo,
+  cloneRepos,
+  cloneMissing,
+};
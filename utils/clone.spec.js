@@ -0,0 +1,122 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const { getCloneUrl, cloneRepos, cloneMissing } = require("./clone");
+
+describe("clone", () => {
+  let dir;
+  const git = (args, cwd = dir) =>
+    execSync(`git -c user.email=t@t -c user.name=t ${args}`, {
+      cwd,
+      encoding: "utf8",
+      stdio: "pipe",
+    }).trim();
+  // Runs tasks one by one, like createRepoLimit with a concurrency of 1
+  let queue = Promise.resolve();
+  const limit = (repo, task) => (queue = queue.then(() => task(undefined)));
+
+  beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "clone-")));
+    ["web", "shop"].forEach((name) => {
+      git(`init -q --bare -b main remotes/${name}.git`);
+      git(`clone -q remotes/${name}.git seed`);
+      git("commit -q --allow-empty -m init", path.join(dir, "seed"));
+      git("push -q origin HEAD:main", path.join(dir, "seed"));
+      fs.rmSync(path.join(dir, "seed"), { recursive: true, force: true });
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should prefer the repo url over the template", () => {
+    const template = "git@github.com:acme/{name}.git";
+    expect(getCloneUrl({ name: "web" }, template)).toBe(
+      "git@github.com:acme/web.git",
+    );
+    expect(
+      getCloneUrl({ name: "web", path: "apps/web" }, "https://x/{{path}}"),
+    ).toBe("https://x/apps/web");
+    expect(getCloneUrl({ name: "web", url: "/srv/web.git" }, template)).toBe(
+      "/srv/web.git",
+    );
+    expect(getCloneUrl({ name: "web" })).toBeUndefined();
+  });
+
+  it("should clone missing repos from a local bare repo and skip cloned ones", async () => {
+    const basePath = path.join(dir, "repos");
+    const repos = [
+      { name: "web" },
+      { name: "shop", path: "team/shop", remote: "upstream" },
+      { name: "gone" },
+    ];
+    const options = { basePath, limit };
+
+    const first = await cloneRepos(repos, {
+      ...options,
+      urlTemplate: path.join(dir, "remotes", "{name}.git"),
+      results: [],
+    });
+    expect(first.map((r) => [r.repo, r.outcome])).toEqual([
+      ["web", "success"],
+      ["shop", "success"],
+      ["gone", "failed"],
+    ]);
+    expect(first[2].message).toMatch(/^git clone failed: fatal:/);
+    expect(git("remote", path.join(basePath, "team", "shop"))).toBe("upstream");
+
+    const again = await cloneRepos(repos.slice(0, 2), {
+      ...options,
+      results: [],
+    });
+    expect(again.map((r) => r.message)).toEqual([
+      "Already cloned",
+      "Already cloned",
+    ]);
+  });
+
+  it("should not clone into a directory that is not a repo", async () => {
+    const basePath = path.join(dir, "repos");
+    fs.mkdirSync(path.join(basePath, "web"), { recursive: true });
+
+    const [row] = await cloneRepos([{ name: "web", url: "/srv/web.git" }], {
+      basePath,
+      limit,
+      results: [],
+    });
+    expect(row.outcome).toBe("failed");
+    expect(row.message).toContain("not cloning into an existing directory");
+  });
+
+  it("should leave repos that were not cloned out of the run", async () => {
+    const basePath = path.join(dir, "repos");
+    const repos = [{ name: "web" }, { name: "shop" }, { name: "gone" }];
+    git(`clone -q remotes/shop.git repos/shop`);
+
+    const dry = await cloneMissing(repos, {
+      basePath,
+      urlTemplate: path.join(dir, "remotes", "{name}.git"),
+      limit,
+      results: [],
+      dryRun: true,
+    });
+    expect(dry.repos).toEqual([{ name: "shop" }]);
+    expect(dry.failed.map((r) => r.outcome)).toEqual(["dry-run", "dry-run"]);
+
+    const {
+      repos: targets,
+      cloned,
+      failed,
+    } = await cloneMissing(repos, {
+      basePath,
+      urlTemplate: path.join(dir, "remotes", "{name}.git"),
+      limit,
+      results: [],
+    });
+    expect(targets).toEqual([{ name: "web" }, { name: "shop" }]);
+    expect(cloned.map((r) => r.repo)).toEqual(["web"]);
+    expect(failed.map((r) => r.repo)).toEqual(["gone"]);
+  });
+});
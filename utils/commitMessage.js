@@ -0,0 +1,121 @@
+const path = require("path");
+const { renderTemplate } = require("./utils");
+const { parsePackageSpec } = require("./bump");
+const { readPackageJson } = require("./packageJson");
+const { collectDeclared } = require("./versionReport");
+
+const COMMIT_VERBS = {
+  install: "Install",
+  uninstall: "Remove",
+  bump: "Bump",
+  apply: "Apply",
+  exec: "Run",
+  edit: "Edit",
+  patch: "Patch",
+  codemod: "Transform",
+  pkg: "Update package.json",
+};
+
+/**
+ * Default commit message; override with --message or `commitMessage` in repos.json
+ */
+const DEFAULT_COMMIT_MESSAGE = "{{verb}}: {{packages}}";
+
+/**
+ * Packages as "name@range", with the range now declared in package.json(s)
+ * (so `install lodash` reads "lodash@^4.17.21"). Removed packages are bare names.
+ * @param {string} command - install, uninstall or bump
+ * @param {string[]} packages - Specs as given on the command line
+ * @param {string} repoPath
+ * @param {string[]} [dirs] - Package dirs relative to the repo (workspaces), default: root
+ * @returns {string[]}
+ */
+function describePackages(command, packages, repoPath, dirs = ["."]) {
+  const declared = {};
+  if (command !== "uninstall") {
+    dirs.forEach((dir) => {
+      try {
+        const { pkg } = readPackageJson(path.join(repoPath, dir));
+        Object.entries(collectDeclared(pkg)).forEach(([name, { range }]) => {
+          if (!declared[name]) declared[name] = range;
+        });
+      } catch (e) {
+        /* package.json missing or unreadable: keep the spec as given */
+      }
+    });
+  }
+
+  return packages.map((spec) => {
+    const { name } = parsePackageSpec(spec);
+    if (command === "uninstall") return name;
+    return declared[name] ? `${name}@${declared[name]}` : spec;
+  });
+}
+
+/**
+ * Variables available to commit message (and PR) templates
+ * @param {{command: string, packages: string[], repo: string, branch?: string, names?: string[]}} params
+ *   packages: as returned by describePackages (or what a recipe step works on);
+ *   names: defaults to the package names in packages
+ * @returns {{command: string, verb: string, packages: string, names: string, repo: string, branch: string}}
+ */
+function getCommitVars({ command, packages, repo, branch, names }) {
+  const verb = COMMIT_VERBS[command] || command;
+  return {
+    command: verb.toLowerCase(),
+    verb,
+    packages: packages.join(", "),
+    names: (names || packages.map((spec) => parsePackageSpec(spec).name)).join(
+      ", ",
+    ),
+    repo,
+    branch: branch || "",
+  };
+}
+
+/**
+ * Render the commit message template
+ * @param {string} [template] - Defaults to DEFAULT_COMMIT_MESSAGE
+ * @param {object} vars - From getCommitVars
+ * @returns {string}
+ * @throws {Error} If the message renders empty
+ */
+function renderCommitMessage(template, vars) {
+  const message = renderTemplate(template || DEFAULT_COMMIT_MESSAGE, vars)
+    .replace(/\\n/g, "\n")
+    .trim();
+  if (!message) {
+    const error = new Error(`Commit message template "${template}" is empty`);
+    error.code = "COMMIT_MESSAGE_EMPTY";
+    throw error;
+  }
+  return message;
+}
+
+/**
+ * git commit flags for the --signoff / --gpg-sign / --author / --verify options
+ * @param {{signoff?: boolean, gpgSign?: boolean|string, author?: string, verify?: boolean}} [options]
+ *   gpgSign: true for the default key, or a key id
+ * @returns {{flags: Object<string, string|null>, args: string[]}} flags for simple-git, args for the log
+ */
+function getCommitFlags({ signoff, gpgSign, author, verify } = {}) {
+  const flags = {};
+  if (!verify) flags["--no-verify"] = null;
+  if (signoff) flags["--signoff"] = null;
+  if (gpgSign) flags["--gpg-sign"] = gpgSign === true ? null : gpgSign;
+  if (author) flags["--author"] = author;
+
+  const args = Object.entries(flags).map(([flag, value]) =>
+    value === null ? flag : `${flag}="${value}"`,
+  );
+  return { flags, args };
+}
+
+module.exports = {
+  COMMIT_VERBS,
+  DEFAULT_COMMIT_MESSAGE,
+  describePackages,
+  getCommitVars,
+  renderCommitMessage,
+  getCommitFlags,
+};
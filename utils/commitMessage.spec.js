@@ -0,0 +1,112 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  describePackages,
+  getCommitVars,
+  renderCommitMessage,
+  getCommitFlags,
+} = require("./commitMessage");
+
+describe("describePackages", () => {
+  let repo;
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), "commit-msg-"));
+    fs.writeFileSync(
+      path.join(repo, "package.json"),
+      JSON.stringify({
+        dependencies: { lodash: "^4.17.21" },
+        devDependencies: { jest: "^29.7.0" },
+      }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it("should use the range now declared in package.json", () => {
+    expect(
+      describePackages("install", ["lodash", "jest@29", "left-pad"], repo),
+    ).toEqual(["lodash@^4.17.21", "jest@^29.7.0", "left-pad"]);
+  });
+
+  it("should use bare names for removed packages", () => {
+    expect(describePackages("uninstall", ["lodash@4"], repo)).toEqual([
+      "lodash",
+    ]);
+  });
+});
+
+describe("renderCommitMessage", () => {
+  const vars = getCommitVars({
+    command: "install",
+    packages: ["lodash@^4.17.21", "@types/node@^20.0.0"],
+    repo: "web-home",
+    branch: "chore/deps",
+  });
+
+  it("should expose the verb, packages, names, repo and branch", () => {
+    expect(vars).toEqual({
+      command: "install",
+      verb: "Install",
+      packages: "lodash@^4.17.21, @types/node@^20.0.0",
+      names: "lodash, @types/node",
+      repo: "web-home",
+      branch: "chore/deps",
+    });
+  });
+
+  it("should default to the verb and packages", () => {
+    expect(renderCommitMessage(undefined, vars)).toBe(
+      "Install: lodash@^4.17.21, @types/node@^20.0.0",
+    );
+  });
+
+  it("should render conventional commits with a body", () => {
+    expect(
+      renderCommitMessage(
+        "chore(deps): {{command}} {{names}}\\n\\nBranch {{branch}} of {{repo}}",
+        vars,
+      ),
+    ).toBe(
+      "chore(deps): install lodash, @types/node\n\nBranch chore/deps of web-home",
+    );
+  });
+
+  it("should throw when the message renders empty", () => {
+    expect(() => renderCommitMessage("{{unknown}}", vars)).toThrow(
+      'Commit message template "{{unknown}}" is empty',
+    );
+  });
+});
+
+describe("getCommitFlags", () => {
+  it("should skip hooks by default", () => {
+    expect(getCommitFlags()).toEqual({
+      flags: { "--no-verify": null },
+      args: ["--no-verify"],
+    });
+  });
+
+  it("should add sign-off, signing key and author", () => {
+    const { flags, args } = getCommitFlags({
+      verify: true,
+      signoff: true,
+      gpgSign: "ABC123",
+      author: "Bot <bot@example.com>",
+    });
+    expect(flags).toEqual({
+      "--signoff": null,
+      "--gpg-sign": "ABC123",
+      "--author": "Bot <bot@example.com>",
+    });
+    expect(args).toEqual([
+      "--signoff",
+      '--gpg-sign="ABC123"',
+      '--author="Bot <bot@example.com>"',
+    ]);
+    expect(getCommitFlags({ gpgSign: true }).flags["--gpg-sign"]).toBeNull();
+  });
+});
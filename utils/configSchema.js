@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const { parsePackageManager } = require("./packageManager");
+const { parseDuration } = require("./runControl");
+
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+
+/**
+ * Schema of a single entry in `repositories`
+ */
+const REPO_SCHEMA = {
+  type: "object",
+  anyOf: [["name"], ["path"]],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    path: { type: "string", minLength: 1 },
+    branch: { type: "string", minLength: 1 },
+    // Older name of `branch`, still read (loadConfig copies it to `branch`)
+    branchName: { type: "string", minLength: 1 },
+    remote: { type: "string", minLength: 1 },
+    url: { type: "string", minLength: 1 },
+    baseBranch: { type: "string", minLength: 1 },
+    packageManager: {
+      type: "string",
+      check: (value) =>
+        parsePackageManager(value)
+          ? null
+          : "must be pnpm, npm, yarn, yarn-berry or bun (optionally with @version)",
+    },
+    workspaces: stringList,
+    tags: stringList,
+    verify: stringList,
+    timeout: {
+      check: (value) =>
+        parseDuration(value)
+          ? null
+          : 'must be a duration like "90s", "10m" or "1h" (or a number of seconds)',
+    },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * Schema of repos.json (a small JSON-Schema subset, see validateSchema)
+ */
+const CONFIG_SCHEMA = {
+  type: "object",
+  required: ["basePath"],
+  properties: {
+    basePath: { type: "string", minLength: 1 },
+    repositories: { type: "array", items: REPO_SCHEMA },
+    groups: { type: "object", additionalProperties: stringList },
+    commitMessage: { type: "string", minLength: 1 },
+    urlTemplate: { type: "string", minLength: 1 },
+  },
+  additionalProperties: false,
+};
+
+/**
+ * JSON type name of a value ("array" and "null" are distinguished from "object")
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Levenshtein distance, used to suggest a key for typos like "brnach"
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prev[j] + 1,
+        row[j - 1] + 1,
+        prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Closest known key, if it is close enough to be a typo
+ * @param {string} key
+ * @param {string[]} known
+ * @returns {string|undefined}
+ */
+function suggestKey(key, known) {
+  let best;
+  let bestDistance = Infinity;
+  known.forEach((candidate) => {
+    const d = distance(key.toLowerCase(), candidate.toLowerCase());
+    if (d < bestDistance) {
+      best = candidate;
+      bestDistance = d;
+    }
+  });
+  return bestDistance <= Math.max(1, Math.floor(key.length / 3))
+    ? best
+    : undefined;
+}
+
+/**
+ * Append a key or index to a JSON path ("$.repositories[2].branch")
+ */
+function childPath(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${parent}.${key}`
+    : `${parent}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Validate a value against a schema.
+ * Supported keywords: type, minLength, required, anyOf (lists of required keys),
+ * properties, additionalProperties (false or a schema), items, check (custom function).
+ * @param {any} value - Value to validate
+ * @param {object} schema - Schema object
+ * @param {string} [at] - JSON path of the value
+ * @returns {Array<{path: string, message: string}>} Errors (empty when valid)
+ */
+function validateSchema(value, schema, at = "$") {
+  const errors = [];
+  const fail = (p, message) => errors.push({ path: p, message });
+
+  const actual = typeOf(value);
+  if (schema.type && actual !== schema.type) {
+    fail(
+      at,
+      `must be ${schema.type === "array" ? "an" : "a"} ${schema.type} (got ${actual})`,
+    );
+    return errors;
+  }
+
+  if (
+    schema.minLength &&
+    actual === "string" &&
+    value.length < schema.minLength
+  ) {
+    fail(at, "must not be empty");
+  }
+
+  if (actual === "object") {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) fail(childPath(at, key), "is required");
+    });
+
+    if (
+      schema.anyOf &&
+      !schema.anyOf.some((keys) => keys.every((k) => value[k] !== undefined))
+    ) {
+      fail(
+        at,
+        `needs ${schema.anyOf.map((keys) => `"${keys.join('" + "')}"`).join(" or ")}`,
+      );
+    }
+
+    const known = Object.keys(schema.properties || {});
+    Object.keys(value).forEach((key) => {
+      const keyPath = childPath(at, key);
+      if (schema.properties && schema.properties[key]) {
+        errors.push(
+          ...validateSchema(value[key], schema.properties[key], keyPath),
+        );
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, known);
+        fail(
+          keyPath,
+          `unknown key${suggestion ? ` (did you mean "${suggestion}"?)` : ""}`,
+        );
+      } else if (schema.additionalProperties) {
+        errors.push(
+          ...validateSchema(value[key], schema.additionalProperties, keyPath),
+        );
+      }
+    });
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(item, schema.items, childPath(at, i)));
+    });
+  }
+
+  if (schema.check && !errors.length) {
+    const message = schema.check(value);
+    if (message) fail(at, message);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a parsed repos.json: schema plus duplicate repo names/paths
+ * @param {object} config - Parsed repos.json
+ * @returns {Array<{path: string, message: string}>} Errors (empty when valid)
+ */
+function validateConfig(config) {
+  const errors = validateSchema(config, CONFIG_SCHEMA);
+  if (!config || !Array.isArray(config.repositories)) return errors;
+
+  ["name", "path"].forEach((key) => {
+    const seen = new Map();
+    config.repositories.forEach((repo, i) => {
+      if (!repo || typeof repo[key] !== "string") return;
+      if (seen.has(repo[key])) {
+        errors.push({
+          path: childPath(childPath("$.repositories", i), key),
+          message: `duplicate ${key} "${repo[key]}" (also at $.repositories[${seen.get(repo[key])}])`,
+        });
+      } else {
+        seen.set(repo[key], i);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Format validation errors, one per line
+ * @param {Array<{path: string, message: string}>} errors
+ * @returns {string}
+ */
+function formatConfigErrors(errors) {
+  return errors.map((e) => `  - ${e.path}: ${e.message}`).join("\n");
+}
+
+/**
+ * Check that a repo path exists and is a git work tree
+ * @param {string} repoPath - Absolute path to the repo
+ * @returns {string|null} Problem description, or null when fine
+ */
+function checkRepoPath(repoPath) {
+  if (!fs.existsSync(repoPath)) return `Path not found: ${repoPath}`;
+  if (!fs.statSync(repoPath).isDirectory()) {
+    return `Not a directory: ${repoPath}`;
+  }
+  // .git is a directory for clones and a file for worktrees/submodules
+  if (!fs.existsSync(path.join(repoPath, ".git"))) {
+    return `Not a git repository: ${repoPath}`;
+  }
+  return null;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  REPO_SCHEMA,
+  validateSchema,
+  validateConfig,
+  formatConfigErrors,
+  checkRepoPath,
+};
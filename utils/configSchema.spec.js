@@ -0,0 +1,120 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const {
+  validateSchema,
+  validateConfig,
+  checkRepoPath,
+} = require("./configSchema");
+
+describe("validateConfig", () => {
+  const valid = {
+    basePath: "/projects",
+    groups: { web: ["web-*"] },
+    repositories: [
+      { name: "web-home", branch: "chore/deps", tags: ["frontend"] },
+      { path: "nested/api", remote: "upstream", packageManager: "yarn@4.1.0" },
+    ],
+  };
+
+  it("should accept a valid config", () => {
+    expect(validateConfig(valid)).toEqual([]);
+  });
+
+  it("should report unknown keys with a suggestion and the JSON path", () => {
+    const errors = validateConfig({
+      basePath: "/projects",
+      repositories: [{ name: "a", brnach: "main" }],
+    });
+    expect(errors).toEqual([
+      {
+        path: "$.repositories[0].brnach",
+        message: 'unknown key (did you mean "branch"?)',
+      },
+    ]);
+  });
+
+  it("should report wrong types, missing keys and entries without name or path", () => {
+    const errors = validateConfig({
+      repositories: [{ branch: 42 }, { name: "" }],
+    });
+    const paths = errors.map((e) => e.path);
+    expect(paths).toContain("$.basePath");
+    expect(paths).toContain("$.repositories[0]");
+    expect(paths).toContain("$.repositories[0].branch");
+    expect(paths).toContain("$.repositories[1].name");
+    expect(
+      errors.find((e) => e.path === "$.repositories[0].branch").message,
+    ).toBe("must be a string (got number)");
+  });
+
+  it("should report duplicate names", () => {
+    const errors = validateConfig({
+      basePath: "/projects",
+      repositories: [{ name: "a" }, { name: "b" }, { name: "a" }],
+    });
+    expect(errors).toEqual([
+      {
+        path: "$.repositories[2].name",
+        message: 'duplicate name "a" (also at $.repositories[0])',
+      },
+    ]);
+  });
+
+  it("should validate packageManager values and group members", () => {
+    const errors = validateConfig({
+      basePath: "/projects",
+      groups: { web: "web-*" },
+      repositories: [{ name: "a", packageManager: "cargo" }],
+    });
+    expect(errors.map((e) => e.path)).toEqual([
+      "$.groups.web",
+      "$.repositories[0].packageManager",
+    ]);
+  });
+
+  it("should validate per-repo timeouts", () => {
+    const errors = validateConfig({
+      basePath: "/projects",
+      repositories: [
+        { name: "a", timeout: "10m" },
+        { name: "b", timeout: 90 },
+        { name: "c", timeout: "soon" },
+      ],
+    });
+    expect(errors.map((e) => e.path)).toEqual(["$.repositories[2].timeout"]);
+  });
+});
+
+describe("validateSchema", () => {
+  it("should quote keys that are not identifiers", () => {
+    const errors = validateSchema(
+      { "@acme/ui": 1 },
+      { type: "object", additionalProperties: { type: "string" } },
+    );
+    expect(errors[0].path).toBe('$["@acme/ui"]');
+  });
+});
+
+describe("checkRepoPath", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "config-check-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should report missing paths and non-git directories", () => {
+    expect(checkRepoPath(path.join(dir, "missing"))).toMatch(/Path not found/);
+    expect(checkRepoPath(dir)).toMatch(/Not a git repository/);
+  });
+
+  it("should accept git work trees", () => {
+    execSync("git init -q", { cwd: dir });
+    expect(checkRepoPath(dir)).toBeNull();
+  });
+});
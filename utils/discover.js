@@ -0,0 +1,221 @@
+const fs = require("fs");
+const path = require("path");
+const { runCmd, matchesPattern, getRepoInfo } = require("./utils");
+const { detectPackageManager } = require("./packageManager");
+
+const ALWAYS_IGNORED = ["node_modules"];
+
+/**
+ * Find git repositories containing a package.json below basePath.
+ * Repos are not descended into; dot-directories and node_modules are skipped.
+ * @param {string} basePath - Directory to scan
+ * @param {{depth?: number, ignore?: string[]}} [options] - depth 1 = direct children; ignore = globs for dir names or relative paths
+ * @returns {Array<{path: string, dir: string}>} path is relative to basePath (posix separators)
+ */
+function findRepos(basePath, { depth = 2, ignore = [] } = {}) {
+  const root = path.resolve(basePath);
+  const found = [];
+  const patterns = [...ALWAYS_IGNORED, ...ignore];
+
+  const walk = (dir, level) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (e) {
+      return;
+    }
+
+    entries
+      .filter((e) => e.isDirectory() && !e.name.startsWith("."))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach((entry) => {
+        const abs = path.join(dir, entry.name);
+        const rel = path.relative(root, abs).split(path.sep).join("/");
+        if (
+          patterns.some(
+            (p) => matchesPattern(entry.name, p) || matchesPattern(rel, p),
+          )
+        ) {
+          return;
+        }
+
+        if (fs.existsSync(path.join(abs, ".git"))) {
+          if (fs.existsSync(path.join(abs, "package.json"))) {
+            found.push({ path: rel, dir: abs });
+          }
+          return;
+        }
+        if (level < depth) walk(abs, level + 1);
+      });
+  };
+
+  walk(root, 1);
+  return found;
+}
+
+/**
+ * Read remote URL, default branch and package manager of a repo
+ * @param {string} dir - Absolute path to the repo
+ * @returns {Promise<{url?: string, baseBranch?: string, packageManager?: string}>} Only what could be determined
+ */
+async function readRepoDetails(dir) {
+  const details = {};
+  const git = (args) => runCmd(`git -C "${dir}" ${args}`);
+
+  const remotes = await git("remote");
+  const names = remotes.ok ? remotes.stdout.split(/\s+/).filter(Boolean) : [];
+  const remote = names.includes("origin") ? "origin" : names[0];
+
+  if (remote) {
+    const url = await git(`remote get-url ${remote}`);
+    if (url.ok && url.stdout.trim()) details.url = url.stdout.trim();
+
+    const head = await git(
+      `symbolic-ref --quiet --short refs/remotes/${remote}/HEAD`,
+    );
+    if (head.ok && head.stdout.trim()) {
+      details.baseBranch = head.stdout.trim().slice(remote.length + 1);
+    }
+  }
+
+  try {
+    const pm = detectPackageManager(dir);
+    if (pm.source !== "default") details.packageManager = pm.name;
+  } catch (e) {
+    /* leave packageManager to runtime detection */
+  }
+
+  return details;
+}
+
+/**
+ * Merge discovered repos into a repos.json object.
+ * Existing entries keep every field; discovered values only fill missing keys.
+ * New repos are appended; configured repos that were not found are left alone.
+ * @param {object} config - Parsed repos.json (not mutated)
+ * @param {Array<{path: string, dir: string, details: object}>} discovered
+ * @returns {{config: object, added: string[], updated: Array<{name: string, fields: string[]}>, missing: string[]}}
+ */
+function mergeDiscovered(config, discovered) {
+  const basePath = config.basePath;
+  const repositories = (config.repositories || []).map((r) => ({ ...r }));
+  const byDir = new Map(
+    repositories.map((r) => [getRepoInfo(r, basePath).repoPath, r]),
+  );
+  const names = new Set(repositories.map((r) => r.name).filter(Boolean));
+
+  const added = [];
+  const updated = [];
+  const seen = new Set();
+
+  discovered.forEach(({ path: rel, dir, details }) => {
+    const existing = byDir.get(path.resolve(dir));
+
+    if (existing) {
+      seen.add(existing);
+      const fields = Object.keys(details).filter(
+        (key) => existing[key] === undefined,
+      );
+      fields.forEach((key) => {
+        existing[key] = details[key];
+      });
+      if (fields.length) {
+        updated.push({
+          name: getRepoInfo(existing, basePath).repoName,
+          fields,
+        });
+      }
+      return;
+    }
+
+    const base = path.posix.basename(rel);
+    const entry = names.has(base) ? { name: rel } : { name: base };
+    if (entry.name !== rel) entry.path = rel;
+    Object.assign(entry, details);
+
+    names.add(entry.name);
+    repositories.push(entry);
+    added.push(entry.name);
+  });
+
+  const missing = repositories
+    .filter((r) => !seen.has(r) && !added.includes(r.name))
+    .map((r) => getRepoInfo(r, basePath).repoName);
+
+  return {
+    config: { ...config, repositories },
+    added,
+    updated,
+    missing,
+  };
+}
+
+/**
+ * Line diff between two texts (longest common subsequence)
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{op: " "|"+"|"-", line: string}>}
+ */
+function diffLines(before, after) {
+  const a = before ? before.split("\n") : [];
+  const b = after ? after.split("\n") : [];
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0),
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ op: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ op: "-", line: a[i++] });
+    } else {
+      out.push({ op: "+", line: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ op: "-", line: a[i++] });
+  while (j < b.length) out.push({ op: "+", line: b[j++] });
+  return out;
+}
+
+/**
+ * Render a line diff, keeping a few unchanged lines around each change
+ * @param {Array<{op: string, line: string}>} diff - From diffLines
+ * @param {number} [context]
+ * @returns {string} Empty when nothing changed
+ */
+function formatDiff(diff, context = 2) {
+  const changed = diff.map((d) => d.op !== " ");
+  if (!changed.includes(true)) return "";
+
+  const keep = diff.map((_, i) =>
+    changed.slice(Math.max(0, i - context), i + context + 1).some(Boolean),
+  );
+
+  const lines = [];
+  diff.forEach((d, i) => {
+    if (keep[i]) lines.push(`${d.op} ${d.line}`);
+    else if (keep[i - 1]) lines.push("  ...");
+  });
+  return lines.join("\n");
+}
+
+module.exports = {
+  findRepos,
+  readRepoDetails,
+  mergeDiscovered,
+  diffLines,
+  formatDiff,
+};
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const {
+  findRepos,
+  readRepoDetails,
+  mergeDiscovered,
+  diffLines,
+  formatDiff,
+} = require("./discover");
+
+describe("findRepos / readRepoDetails", () => {
+  let basePath;
+
+  const repo = (rel, pkg = {}) => {
+    const dir = path.join(basePath, rel);
+    fs.mkdirSync(dir, { recursive: true });
+    execSync("git init -q", { cwd: dir });
+    if (pkg)
+      fs.writeFileSync(path.join(dir, "package.json"), JSON.stringify(pkg));
+    return dir;
+  };
+
+  beforeEach(() => {
+    basePath = fs.mkdtempSync(path.join(os.tmpdir(), "discover-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(basePath, { recursive: true, force: true });
+  });
+
+  it("should find git repos with a package.json up to the given depth", () => {
+    repo("web");
+    repo("no-pkg", null);
+    repo("org/api");
+    repo("org/team/deep");
+    repo("node_modules/dep");
+
+    expect(findRepos(basePath, { depth: 1 }).map((r) => r.path)).toEqual([
+      "web",
+    ]);
+    expect(findRepos(basePath).map((r) => r.path)).toEqual(["org/api", "web"]);
+    expect(
+      findRepos(basePath, { depth: 3, ignore: ["team"] }).map((r) => r.path),
+    ).toEqual(["org/api", "web"]);
+  });
+
+  it("should read the remote URL, default branch and package manager", async () => {
+    const dir = repo("web", { packageManager: "yarn@1.22.19" });
+    execSync("git remote add origin git@github.com:acme/web.git", { cwd: dir });
+    execSync(
+      "git symbolic-ref refs/remotes/origin/HEAD refs/remotes/origin/develop",
+      {
+        cwd: dir,
+      },
+    );
+
+    await expect(readRepoDetails(dir)).resolves.toEqual({
+      url: "git@github.com:acme/web.git",
+      baseBranch: "develop",
+      packageManager: "yarn",
+    });
+  });
+});
+
+describe("mergeDiscovered", () => {
+  const config = {
+    basePath: "/projects",
+    repositories: [
+      { name: "web", branch: "chore/deps", tags: ["frontend"], url: "old-url" },
+      { name: "gone" },
+    ],
+  };
+
+  it("should keep hand-edited fields and only fill missing ones", () => {
+    const { config: merged, updated } = mergeDiscovered(config, [
+      {
+        path: "web",
+        dir: "/projects/web",
+        details: { url: "new-url", baseBranch: "main" },
+      },
+    ]);
+
+    expect(merged.repositories[0]).toEqual({
+      name: "web",
+      branch: "chore/deps",
+      tags: ["frontend"],
+      url: "old-url",
+      baseBranch: "main",
+    });
+    expect(updated).toEqual([{ name: "web", fields: ["baseBranch"] }]);
+    expect(config.repositories[0].baseBranch).toBeUndefined();
+  });
+
+  it("should append new repos and report configured repos that were not found", () => {
+    const {
+      config: merged,
+      added,
+      missing,
+    } = mergeDiscovered(config, [
+      { path: "web", dir: "/projects/web", details: {} },
+      { path: "org/web", dir: "/projects/org/web", details: {} },
+      {
+        path: "org/api",
+        dir: "/projects/org/api",
+        details: { packageManager: "npm" },
+      },
+    ]);
+
+    expect(added).toEqual(["org/web", "api"]);
+    expect(merged.repositories.slice(2)).toEqual([
+      { name: "org/web" },
+      { name: "api", path: "org/api", packageManager: "npm" },
+    ]);
+    expect(missing).toEqual(["gone"]);
+  });
+});
+
+describe("diffLines / formatDiff", () => {
+  it("should mark added and removed lines with context", () => {
+    const before = ["a", "b", "c", "d", "e", "f", "g"].join("\n");
+    const after = ["a", "b", "c", "d", "e", "F", "g"].join("\n");
+
+    expect(formatDiff(diffLines(before, after), 1)).toBe(
+      ["  e", "- f", "+ F", "  g"].join("\n"),
+    );
+    expect(formatDiff(diffLines(before, before))).toBe("");
+  });
+});
@@ -0,0 +1,192 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Strip surrounding quotes from a YAML scalar
+ * @param {string} value
+ * @returns {string}
+ */
+function unquote(value) {
+  const v = value.trim();
+  if (
+    (v.startsWith("'") && v.endsWith("'")) ||
+    (v.startsWith('"') && v.endsWith('"'))
+  ) {
+    return v.slice(1, -1);
+  }
+  return v;
+}
+
+/**
+ * Parse the block-mapping subset of YAML used by pnpm-lock.yaml.
+ * List items and flow collections are kept as raw strings (or skipped).
+ * @param {string} raw - File contents
+ * @returns {object}
+ */
+function parseYamlMappings(raw) {
+  const root = {};
+  const stack = [{ indent: -1, node: root }];
+
+  raw.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || /^\s*#/.test(line)) return;
+
+    const indent = line.length - line.trimStart().length;
+    const text = line.trim();
+    if (text.startsWith("- ")) return;
+
+    const match = /^((?:'[^']*'|"[^"]*"|[^:])+):(?:\s+(.*))?$/.exec(text);
+    if (!match) return;
+
+    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1].node;
+    const key = unquote(match[1]);
+
+    if (match[2] === undefined || match[2] === "") {
+      parent[key] = {};
+      stack.push({ indent, node: parent[key] });
+    } else {
+      parent[key] = unquote(match[2]);
+    }
+  });
+
+  return root;
+}
+
+/**
+ * Remove pnpm peer-dependency suffixes: "18.2.0(react@18.2.0)" / "18.2.0_react@18.2.0"
+ * @param {string} version
+ * @returns {string}
+ */
+function cleanPnpmVersion(version) {
+  return String(version).replace(/\(.*$/, "").replace(/_.*$/, "");
+}
+
+/**
+ * Resolved versions of the root importer's direct dependencies in pnpm-lock.yaml
+ * @param {string} raw - File contents
+ * @returns {Object<string, string>}
+ */
+function readPnpmLock(raw) {
+  const data = parseYamlMappings(raw);
+  const importer = (data.importers && data.importers["."]) || data;
+  const resolved = {};
+
+  ["dependencies", "devDependencies", "optionalDependencies"].forEach(
+    (section) => {
+      Object.entries(importer[section] || {}).forEach(([name, entry]) => {
+        const version = typeof entry === "string" ? entry : entry.version;
+        if (version) resolved[name] = cleanPnpmVersion(version);
+      });
+    },
+  );
+
+  return resolved;
+}
+
+/**
+ * Resolved versions of top-level packages in package-lock.json (v1–v3)
+ * @param {string} raw - File contents
+ * @returns {Object<string, string>}
+ */
+function readPackageLock(raw) {
+  const data = JSON.parse(raw);
+  const resolved = {};
+
+  if (data.packages) {
+    Object.entries(data.packages).forEach(([key, entry]) => {
+      const match = /^node_modules\/((?:@[^/]+\/)?[^/]+)$/.exec(key);
+      if (match && entry.version) resolved[match[1]] = entry.version;
+    });
+  } else if (data.dependencies) {
+    Object.entries(data.dependencies).forEach(([name, entry]) => {
+      if (entry.version) resolved[name] = entry.version;
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * Resolved versions by descriptor ("name@range") in yarn.lock (classic and berry)
+ * @param {string} raw - File contents
+ * @returns {Object<string, string>} e.g. { "react@^18.2.0": "18.2.0" }
+ */
+function readYarnLock(raw) {
+  const byDescriptor = {};
+  let current = [];
+
+  raw.split(/\r?\n/).forEach((line) => {
+    if (!line.trim() || line.startsWith("#")) return;
+
+    if (!/^\s/.test(line) && line.trimEnd().endsWith(":")) {
+      current = line
+        .trimEnd()
+        .slice(0, -1)
+        .split(/,\s*/)
+        .map((d) => unquote(d))
+        .map((d) => d.replace(/@npm:/, "@"));
+      return;
+    }
+
+    const version = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+    if (version && current.length) {
+      current.forEach((d) => {
+        byDescriptor[d] = version[1];
+      });
+      current = [];
+    }
+  });
+
+  return byDescriptor;
+}
+
+/**
+ * Look up the resolved version of each declared dependency in the repo's lockfile
+ * @param {string} repoPath - Absolute path to the repo
+ * @param {Object<string, string>} declared - name → declared range
+ * @returns {{lockfile: string|null, resolved: Object<string, string>}}
+ */
+function readResolvedVersions(repoPath, declared) {
+  const read = (file) => {
+    try {
+      return fs.readFileSync(path.join(repoPath, file), "utf8");
+    } catch (e) {
+      return null;
+    }
+  };
+
+  const pnpm = read("pnpm-lock.yaml");
+  if (pnpm !== null) {
+    return { lockfile: "pnpm-lock.yaml", resolved: readPnpmLock(pnpm) };
+  }
+
+  const npm = read("package-lock.json") ?? read("npm-shrinkwrap.json");
+  if (npm !== null) {
+    return { lockfile: "package-lock.json", resolved: readPackageLock(npm) };
+  }
+
+  const yarn = read("yarn.lock");
+  if (yarn !== null) {
+    const byDescriptor = readYarnLock(yarn);
+    const resolved = {};
+    // Only the entry of the declared range: other entries of the same name are
+    // transitive copies, so without it the version stays unknown
+    Object.entries(declared).forEach(([name, range]) => {
+      const version = byDescriptor[`${name}@${range.replace(/^npm:/, "")}`];
+      if (version) resolved[name] = version;
+    });
+    return { lockfile: "yarn.lock", resolved };
+  }
+
+  return { lockfile: null, resolved: {} };
+}
+
+module.exports = {
+  parseYamlMappings,
+  readPnpmLock,
+  readPackageLock,
+  readYarnLock,
+  readResolvedVersions,
+};
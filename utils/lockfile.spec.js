@@ -0,0 +1,160 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseYamlMappings,
+  readPnpmLock,
+  readPackageLock,
+  readYarnLock,
+  readResolvedVersions,
+} = require("./lockfile");
+
+describe("parseYamlMappings", () => {
+  it("should parse nested mappings and quoted keys", () => {
+    const data = parseYamlMappings(
+      [
+        "lockfileVersion: '9.0'",
+        "importers:",
+        "  .:",
+        "    dependencies:",
+        "      '@scope/pkg':",
+        "        specifier: ^1.0.0",
+        "        version: 1.2.0",
+      ].join("\n"),
+    );
+    expect(data.lockfileVersion).toBe("9.0");
+    expect(data.importers["."].dependencies["@scope/pkg"]).toEqual({
+      specifier: "^1.0.0",
+      version: "1.2.0",
+    });
+  });
+});
+
+describe("readPnpmLock", () => {
+  it("should read v6+/v9 importers and strip peer suffixes", () => {
+    const raw = [
+      "lockfileVersion: '9.0'",
+      "importers:",
+      "  .:",
+      "    dependencies:",
+      "      react-dom:",
+      "        specifier: ^18.2.0",
+      "        version: 18.2.0(react@18.2.0)",
+      "    devDependencies:",
+      "      typescript:",
+      "        specifier: ~5.3.0",
+      "        version: 5.3.3",
+      "packages:",
+      "  react@18.2.0:",
+      "    resolution: {integrity: sha512-abc}",
+    ].join("\n");
+    expect(readPnpmLock(raw)).toEqual({
+      "react-dom": "18.2.0",
+      typescript: "5.3.3",
+    });
+  });
+
+  it("should read v5 flat dependencies", () => {
+    const raw = [
+      "lockfileVersion: 5.4",
+      "dependencies:",
+      "  react-dom: 18.2.0_react@18.2.0",
+      "  lodash: 4.17.21",
+    ].join("\n");
+    expect(readPnpmLock(raw)).toEqual({
+      "react-dom": "18.2.0",
+      lodash: "4.17.21",
+    });
+  });
+});
+
+describe("readPackageLock", () => {
+  it("should read top-level packages from v2/v3", () => {
+    const raw = JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        "": { name: "app" },
+        "node_modules/react": { version: "18.2.0" },
+        "node_modules/@scope/pkg": { version: "1.0.0" },
+        "node_modules/a/node_modules/react": { version: "17.0.0" },
+      },
+    });
+    expect(readPackageLock(raw)).toEqual({
+      react: "18.2.0",
+      "@scope/pkg": "1.0.0",
+    });
+  });
+
+  it("should read v1 dependencies", () => {
+    const raw = JSON.stringify({
+      lockfileVersion: 1,
+      dependencies: { react: { version: "16.14.0" } },
+    });
+    expect(readPackageLock(raw)).toEqual({ react: "16.14.0" });
+  });
+});
+
+describe("readYarnLock", () => {
+  it("should read yarn classic descriptors", () => {
+    const raw = [
+      "# yarn lockfile v1",
+      "",
+      '"@scope/pkg@^1.0.0", "@scope/pkg@^1.1.0":',
+      '  version "1.2.0"',
+      "",
+      "react@^18.2.0:",
+      '  version "18.2.0"',
+    ].join("\n");
+    expect(readYarnLock(raw)).toEqual({
+      "@scope/pkg@^1.0.0": "1.2.0",
+      "@scope/pkg@^1.1.0": "1.2.0",
+      "react@^18.2.0": "18.2.0",
+    });
+  });
+
+  it("should read yarn berry descriptors", () => {
+    const raw = [
+      "__metadata:",
+      "  version: 8",
+      "",
+      '"react@npm:^18.2.0":',
+      "  version: 18.2.0",
+      '  resolution: "react@npm:18.2.0"',
+    ].join("\n");
+    expect(readYarnLock(raw)["react@^18.2.0"]).toBe("18.2.0");
+  });
+});
+
+describe("readResolvedVersions", () => {
+  let repoPath;
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), "lockfile-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it("should only take the yarn.lock entry of the declared range", () => {
+    fs.writeFileSync(
+      path.join(repoPath, "yarn.lock"),
+      [
+        "# yarn lockfile v1",
+        "",
+        "lodash@^3.10.0:",
+        '  version "3.10.1"',
+        "",
+        "react@^18.2.0:",
+        '  version "18.2.0"',
+      ].join("\n"),
+    );
+
+    expect(
+      readResolvedVersions(repoPath, {
+        react: "npm:^18.2.0",
+        lodash: "^4.17.21",
+      }),
+    ).toEqual({ lockfile: "yarn.lock", resolved: { react: "18.2.0" } });
+  });
+});
@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Read a package.json and remember how it was formatted
+ * @param {string} dir - Directory containing package.json
+ * @returns {{pkg: object, format: {indent: string|number, newline: string}, file: string}}
+ * @throws {Error} If the file cannot be read or parsed
+ */
+function readPackageJson(dir) {
+  const file = path.join(dir, "package.json");
+
+  let raw;
+  try {
+    raw = fs.readFileSync(file, "utf8");
+  } catch (e) {
+    const error = new Error(`Could not read ${file}: ${e.message}`);
+    error.code = "PKG_READ_ERROR";
+    throw error;
+  }
+
+  let pkg;
+  try {
+    pkg = JSON.parse(raw);
+  } catch (e) {
+    const error = new Error(`${file} is not valid JSON: ${e.message}`);
+    error.code = "PKG_PARSE_ERROR";
+    throw error;
+  }
+
+  return { pkg, format: detectJsonFormat(raw), file };
+}
+
+/**
+ * Detect indentation and trailing newline of a JSON document
+ * @param {string} raw - File contents
+ * @returns {{indent: string|number, newline: string}}
+ */
+function detectJsonFormat(raw) {
+  const match = raw.match(/^[{[][^\S\r\n]*\r?\n([ \t]+)\S/);
+  const indent = match ? match[1] : 2;
+  const eol = raw.includes("\r\n") ? "\r\n" : "\n";
+  const newline = /\r?\n$/.test(raw) ? eol : "";
+  return { indent, newline };
+}
+
+/**
+ * Serialize JSON with the given formatting (see detectJsonFormat)
+ * @param {any} data
+ * @param {{indent: string|number, newline: string}} [format]
+ * @returns {string}
+ */
+function stringifyJson(data, format = { indent: 2, newline: "\n" }) {
+  let out = JSON.stringify(data, null, format.indent);
+  if (format.newline === "\r\n") out = out.replace(/\n/g, "\r\n");
+  return out + format.newline;
+}
+
+/**
+ * Write a package.json back using the original formatting
+ * @param {string} dir - Directory containing package.json
+ * @param {object} pkg - Package contents
+ * @param {{indent: string|number, newline: string}} [format] - From readPackageJson
+ */
+function writePackageJson(dir, pkg, format = { indent: 2, newline: "\n" }) {
+  fs.writeFileSync(
+    path.join(dir, "package.json"),
+    stringifyJson(pkg, format),
+    "utf8",
+  );
+}
+
+/**
+ * Split a JSON path into keys: "scripts.test", "engines.node", "files[0]",
+ * 'exports["./utils"]' (brackets for keys containing dots)
+ * @param {string} jsonPath
+ * @returns {Array<string|number>} Object keys and array indexes
+ * @throws {Error} If the path is empty or malformed
+ */
+function parseJsonPath(jsonPath) {
+  const segment = /\[(\d+)\]|\[(["'])(.*?)\2\]|([^.[\]]+)/y;
+  const keys = [];
+  let i = 0;
+  while (i < jsonPath.length) {
+    if (keys.length && jsonPath[i] === ".") i += 1;
+    segment.lastIndex = i;
+    const match = segment.exec(jsonPath);
+    if (!match) {
+      const error = new Error(
+        `Invalid JSON path "${jsonPath}" at position ${i}`,
+      );
+      error.code = "JSON_PATH_INVALID";
+      throw error;
+    }
+    if (match[1] !== undefined) keys.push(Number(match[1]));
+    else keys.push(match[3] !== undefined ? match[3] : match[4]);
+    i = segment.lastIndex;
+  }
+  if (!keys.length) {
+    const error = new Error("JSON path must not be empty");
+    error.code = "JSON_PATH_INVALID";
+    throw error;
+  }
+  return keys;
+}
+
+/**
+ * Follow keys from parseJsonPath
+ * @param {any} data
+ * @param {Array<string|number>} keys
+ * @returns {{found: boolean, value?: any}}
+ */
+function walkKeys(data, keys) {
+  let current = data;
+  for (const key of keys) {
+    if (
+      current === null ||
+      typeof current !== "object" ||
+      !Object.prototype.hasOwnProperty.call(current, key)
+    ) {
+      return { found: false };
+    }
+    current = current[key];
+  }
+  return { found: true, value: current };
+}
+
+/**
+ * Value at a JSON path
+ * @param {object} data
+ * @param {string} jsonPath
+ * @returns {{found: boolean, value?: any}}
+ * @throws {Error} If the path is malformed
+ */
+function getAtPath(data, jsonPath) {
+  return walkKeys(data, parseJsonPath(jsonPath));
+}
+
+/**
+ * Set a value at a JSON path in place. Existing keys keep their position,
+ * new keys are appended and missing parents are created.
+ * @param {object} data
+ * @param {string} jsonPath
+ * @param {any} value
+ * @throws {Error} If a parent on the path is not an object or array
+ */
+function setAtPath(data, jsonPath, value) {
+  const keys = parseJsonPath(jsonPath);
+  let current = data;
+  keys.slice(0, -1).forEach((key, i) => {
+    if (current[key] === undefined || current[key] === null) {
+      current[key] = typeof keys[i + 1] === "number" ? [] : {};
+    } else if (typeof current[key] !== "object") {
+      const error = new Error(
+        `Cannot set ${jsonPath}: ${keys.slice(0, i + 1).join(".")} is a ${typeof current[key]}`,
+      );
+      error.code = "JSON_PATH_CONFLICT";
+      throw error;
+    }
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Delete the value at a JSON path in place (array items are spliced out)
+ * @param {object} data
+ * @param {string} jsonPath
+ * @returns {boolean} Whether something was deleted
+ * @throws {Error} If the path is malformed
+ */
+function deleteAtPath(data, jsonPath) {
+  const keys = parseJsonPath(jsonPath);
+  const key = keys[keys.length - 1];
+  const parent = walkKeys(data, keys.slice(0, -1)).value;
+  if (
+    parent === null ||
+    typeof parent !== "object" ||
+    !Object.prototype.hasOwnProperty.call(parent, key)
+  ) {
+    return false;
+  }
+  if (Array.isArray(parent)) parent.splice(key, 1);
+  else delete parent[key];
+  return true;
+}
+
+/**
+ * Value given on the command line: JSON when it parses (true, 3, {"a":1}), else a string
+ * @param {string} raw
+ * @param {{string?: boolean}} [options] - string: always keep the raw string
+ * @returns {any}
+ */
+function parseFieldValue(raw, { string } = {}) {
+  if (string) return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    return raw;
+  }
+}
+
+module.exports = {
+  readPackageJson,
+  detectJsonFormat,
+  stringifyJson,
+  writePackageJson,
+  parseJsonPath,
+  getAtPath,
+  setAtPath,
+  deleteAtPath,
+  parseFieldValue,
+};
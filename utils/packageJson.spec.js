@@ -0,0 +1,95 @@
+const {
+  parseJsonPath,
+  getAtPath,
+  setAtPath,
+  deleteAtPath,
+  parseFieldValue,
+} = require("./packageJson");
+
+describe("parseJsonPath", () => {
+  it("should split dotted paths, indexes and quoted keys", () => {
+    expect(parseJsonPath("engines.node")).toEqual(["engines", "node"]);
+    expect(parseJsonPath("files[0]")).toEqual(["files", 0]);
+    expect(parseJsonPath('exports["./utils"].import')).toEqual([
+      "exports",
+      "./utils",
+      "import",
+    ]);
+    expect(parseJsonPath("dependencies['@types/node']")).toEqual([
+      "dependencies",
+      "@types/node",
+    ]);
+  });
+
+  it("should reject empty or malformed paths", () => {
+    expect(() => parseJsonPath("")).toThrow("must not be empty");
+    expect(() => parseJsonPath("scripts..test")).toThrow(
+      'Invalid JSON path "scripts..test" at position 8',
+    );
+  });
+});
+
+describe("getAtPath / setAtPath / deleteAtPath", () => {
+  const pkg = () => ({
+    name: "web",
+    scripts: { build: "tsc" },
+    files: ["dist", "src"],
+    main: "index.js",
+  });
+
+  it("should read values and report missing ones", () => {
+    expect(getAtPath(pkg(), "scripts.build")).toEqual({
+      found: true,
+      value: "tsc",
+    });
+    expect(getAtPath(pkg(), "scripts.test")).toEqual({ found: false });
+    expect(getAtPath(pkg(), "main.field")).toEqual({ found: false });
+  });
+
+  it("should keep existing keys in place and append new ones", () => {
+    const data = pkg();
+    setAtPath(data, "name", "web-app");
+    setAtPath(data, "engines.node", ">=20");
+    setAtPath(data, "scripts.test", "jest");
+
+    expect(Object.keys(data)).toEqual([
+      "name",
+      "scripts",
+      "files",
+      "main",
+      "engines",
+    ]);
+    expect(data.scripts).toEqual({ build: "tsc", test: "jest" });
+    expect(data.engines).toEqual({ node: ">=20" });
+  });
+
+  it("should refuse to set below a non-object value", () => {
+    expect(() => setAtPath(pkg(), "main.field", 1)).toThrow(
+      "Cannot set main.field: main is a string",
+    );
+  });
+
+  it("should delete keys and array items", () => {
+    const data = pkg();
+    expect(deleteAtPath(data, "scripts.build")).toBe(true);
+    expect(deleteAtPath(data, "files[0]")).toBe(true);
+    expect(deleteAtPath(data, "engines.node")).toBe(false);
+    expect(data).toEqual({
+      name: "web",
+      scripts: {},
+      files: ["src"],
+      main: "index.js",
+    });
+  });
+});
+
+describe("parseFieldValue", () => {
+  it("should parse JSON and fall back to strings", () => {
+    expect(parseFieldValue("true")).toBe(true);
+    expect(parseFieldValue("20")).toBe(20);
+    expect(parseFieldValue('{"node":">=20"}')).toEqual({ node: ">=20" });
+    expect(parseFieldValue("module")).toBe("module");
+    expect(parseFieldValue(">=20")).toBe(">=20");
+    expect(parseFieldValue("20", { string: true })).toBe("20");
+  });
+});
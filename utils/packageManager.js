@@ -0,0 +1,229 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Supported package managers: binary, verbs for install/remove, extra flags,
+ * the command that re-syncs the lockfile after package.json was edited, and
+ * the lockfiles they write (in order of preference).
+ */
+const PACKAGE_MANAGERS = {
+  pnpm: {
+    bin: "pnpm",
+    install: "add",
+    remove: "remove",
+    flags: [],
+    refresh: ["install", "--no-frozen-lockfile"],
+    lockfiles: ["pnpm-lock.yaml"],
+  },
+  npm: {
+    bin: "npm",
+    install: "install",
+    remove: "uninstall",
+    flags: ["--no-audit", "--no-fund"],
+    refresh: ["install", "--no-audit", "--no-fund"],
+    lockfiles: ["package-lock.json", "npm-shrinkwrap.json"],
+  },
+  yarn: {
+    bin: "yarn",
+    install: "add",
+    remove: "remove",
+    flags: ["--non-interactive"],
+    refresh: ["install", "--non-interactive"],
+    lockfiles: ["yarn.lock"],
+  },
+  "yarn-berry": {
+    bin: "yarn",
+    install: "add",
+    remove: "remove",
+    flags: [],
+    refresh: ["install", "--no-immutable"],
+    lockfiles: ["yarn.lock"],
+  },
+  bun: {
+    bin: "bun",
+    install: "add",
+    remove: "remove",
+    flags: [],
+    refresh: ["install"],
+    lockfiles: ["bun.lock", "bun.lockb"],
+  },
+};
+
+const DEFAULT_PACKAGE_MANAGER = "pnpm";
+
+/**
+ * Parse a package manager spec such as "pnpm", "yarn@4.1.0" or "yarn-berry"
+ * @param {string} spec - Value of `packageManager` (package.json or repos.json)
+ * @returns {string|undefined} Key of PACKAGE_MANAGERS, or undefined if unknown
+ */
+function parsePackageManager(spec) {
+  if (!spec || typeof spec !== "string") return undefined;
+
+  const [name, version = ""] = spec.trim().split("@");
+  if (PACKAGE_MANAGERS[name] && name !== "yarn") return name;
+
+  if (name === "yarn") {
+    const major = parseInt(version, 10);
+    return major >= 2 ? "yarn-berry" : "yarn";
+  }
+
+  return undefined;
+}
+
+/**
+ * Read the `packageManager` field from a repo's package.json
+ * @param {string} repoPath - Absolute path to the repo
+ * @returns {string|undefined}
+ */
+function readPackageManagerField(repoPath) {
+  try {
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(repoPath, "package.json"), "utf8"),
+    );
+    return pkg.packageManager;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Detect the package manager from lockfiles present in the repo
+ * @param {string} repoPath - Absolute path to the repo
+ * @returns {string|undefined}
+ */
+function detectFromLockfile(repoPath) {
+  const exists = (file) => fs.existsSync(path.join(repoPath, file));
+
+  if (exists("pnpm-lock.yaml")) return "pnpm";
+  if (exists("bun.lock") || exists("bun.lockb")) return "bun";
+  if (exists("yarn.lock")) {
+    return exists(".yarnrc.yml") ? "yarn-berry" : "yarn";
+  }
+  if (exists("package-lock.json") || exists("npm-shrinkwrap.json")) {
+    return "npm";
+  }
+  return undefined;
+}
+
+/**
+ * Detect which package manager a repo uses.
+ * Precedence: repos.json `packageManager` override, package.json
+ * `packageManager` field, lockfile on disk, then pnpm as the default.
+ * @param {string} repoPath - Absolute path to the repo
+ * @param {{packageManager?: string}} [repo] - Repository entry from repos.json
+ * @returns {{name: string, source: string}}
+ */
+function detectPackageManager(repoPath, repo = {}) {
+  if (repo.packageManager) {
+    const name = parsePackageManager(repo.packageManager);
+    if (!name) {
+      const error = new Error(
+        `Unknown packageManager "${repo.packageManager}" in repos.json`,
+      );
+      error.code = "PM_UNKNOWN";
+      throw error;
+    }
+    return { name, source: "repos.json" };
+  }
+
+  const fromField = parsePackageManager(readPackageManagerField(repoPath));
+  if (fromField) return { name: fromField, source: "package.json" };
+
+  const fromLock = detectFromLockfile(repoPath);
+  if (fromLock) return { name: fromLock, source: "lockfile" };
+
+  return { name: DEFAULT_PACKAGE_MANAGER, source: "default" };
+}
+
+/**
+ * Build the shell command to install or remove packages
+ * @param {string} pmName - Key of PACKAGE_MANAGERS
+ * @param {string} command - "install", "uninstall" or "remove"
+ * @param {string[]} packages - Packages to install/remove
+ * @returns {string}
+ */
+function getPackageCommand(pmName, command, packages) {
+  const pm = PACKAGE_MANAGERS[pmName];
+  if (!pm) throw new Error(`Unsupported package manager: ${pmName}`);
+
+  const verb = command === "install" ? pm.install : pm.remove;
+  return [pm.bin, verb, ...pm.flags, ...packages].join(" ");
+}
+
+/**
+ * Build the commands to install or remove packages in selected workspace packages
+ * @param {string} pmName - Key of PACKAGE_MANAGERS
+ * @param {string} command - "install", "uninstall" or "remove"
+ * @param {string[]} packages - Packages to install/remove
+ * @param {Array<{name?: string, dir: string}>} workspaces - Target workspace packages
+ * @returns {Array<{cmd: string, cwd?: string}>} cwd is relative to the repo root
+ */
+function getWorkspaceCommands(pmName, command, packages, workspaces) {
+  const pm = PACKAGE_MANAGERS[pmName];
+  if (!pm) throw new Error(`Unsupported package manager: ${pmName}`);
+
+  const verb = command === "install" ? pm.install : pm.remove;
+  const tail = [verb, ...pm.flags, ...packages];
+
+  switch (pmName) {
+    case "pnpm": {
+      const filters = workspaces.flatMap((ws) => [
+        "--filter",
+        ws.name || `./${ws.dir}`,
+      ]);
+      return [{ cmd: [pm.bin, ...filters, ...tail].join(" ") }];
+    }
+    case "npm": {
+      const flags = workspaces.flatMap((ws) => ["--workspace", ws.dir]);
+      return [{ cmd: [pm.bin, ...tail, ...flags].join(" ") }];
+    }
+    case "yarn":
+    case "yarn-berry":
+      return workspaces.map((ws) =>
+        ws.name
+          ? { cmd: [pm.bin, "workspace", ws.name, ...tail].join(" ") }
+          : { cmd: [pm.bin, ...tail].join(" "), cwd: ws.dir },
+      );
+    default:
+      return workspaces.map((ws) => ({
+        cmd: [pm.bin, ...tail].join(" "),
+        cwd: ws.dir,
+      }));
+  }
+}
+
+/**
+ * Build the shell command that installs from package.json and updates the lockfile
+ * @param {string} pmName - Key of PACKAGE_MANAGERS
+ * @returns {string}
+ */
+function getInstallCommand(pmName) {
+  const pm = PACKAGE_MANAGERS[pmName];
+  if (!pm) throw new Error(`Unsupported package manager: ${pmName}`);
+  return [pm.bin, ...pm.refresh].join(" ");
+}
+
+/**
+ * Lockfiles that exist in the repo for the given package manager
+ * @param {string} repoPath - Absolute path to the repo
+ * @param {string} pmName - Key of PACKAGE_MANAGERS
+ * @returns {string[]} Lockfile names relative to repoPath
+ */
+function getLockfiles(repoPath, pmName) {
+  const pm = PACKAGE_MANAGERS[pmName];
+  if (!pm) return [];
+  return pm.lockfiles.filter((file) =>
+    fs.existsSync(path.join(repoPath, file)),
+  );
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  DEFAULT_PACKAGE_MANAGER,
+  parsePackageManager,
+  detectPackageManager,
+  getPackageCommand,
+  getWorkspaceCommands,
+  getInstallCommand,
+  getLockfiles,
+};
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parsePackageManager,
+  detectPackageManager,
+  getPackageCommand,
+  getWorkspaceCommands,
+  getLockfiles,
+} = require("./packageManager");
+
+describe("parsePackageManager", () => {
+  it("should parse plain names and versioned specs", () => {
+    expect(parsePackageManager("pnpm")).toBe("pnpm");
+    expect(parsePackageManager("npm@10.2.0")).toBe("npm");
+    expect(parsePackageManager("bun@1.1.0")).toBe("bun");
+  });
+
+  it("should distinguish yarn classic from yarn berry", () => {
+    expect(parsePackageManager("yarn@1.22.19")).toBe("yarn");
+    expect(parsePackageManager("yarn@4.1.0")).toBe("yarn-berry");
+    expect(parsePackageManager("yarn-berry")).toBe("yarn-berry");
+  });
+
+  it("should return undefined for unknown values", () => {
+    expect(parsePackageManager("cargo@1.0.0")).toBeUndefined();
+    expect(parsePackageManager(undefined)).toBeUndefined();
+  });
+});
+
+describe("detectPackageManager", () => {
+  let repoPath;
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), "pm-detect-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  const write = (file, content = "") =>
+    fs.writeFileSync(path.join(repoPath, file), content);
+
+  it("should prefer the repos.json override", () => {
+    write("package.json", JSON.stringify({ packageManager: "pnpm@9.0.0" }));
+    const result = detectPackageManager(repoPath, { packageManager: "npm" });
+    expect(result).toEqual({ name: "npm", source: "repos.json" });
+  });
+
+  it("should use the packageManager field before lockfiles", () => {
+    write("package.json", JSON.stringify({ packageManager: "yarn@4.0.2" }));
+    write("package-lock.json", "{}");
+    expect(detectPackageManager(repoPath).name).toBe("yarn-berry");
+  });
+
+  it("should detect from lockfiles", () => {
+    write("package.json", "{}");
+    write("yarn.lock");
+    expect(detectPackageManager(repoPath)).toEqual({
+      name: "yarn",
+      source: "lockfile",
+    });
+  });
+
+  it("should fall back to pnpm", () => {
+    expect(detectPackageManager(repoPath)).toEqual({
+      name: "pnpm",
+      source: "default",
+    });
+  });
+
+  it("should throw on an unknown override", () => {
+    expect(() =>
+      detectPackageManager(repoPath, { packageManager: "cargo" }),
+    ).toThrow(/Unknown packageManager/);
+  });
+
+  it("should list only lockfiles that exist", () => {
+    write("package-lock.json", "{}");
+    expect(getLockfiles(repoPath, "npm")).toEqual(["package-lock.json"]);
+    expect(getLockfiles(repoPath, "pnpm")).toEqual([]);
+  });
+});
+
+describe("getPackageCommand", () => {
+  it("should map install/remove to each manager's verbs", () => {
+    expect(getPackageCommand("pnpm", "install", ["lodash"])).toBe(
+      "pnpm add lodash",
+    );
+    expect(getPackageCommand("npm", "uninstall", ["a", "b"])).toBe(
+      "npm uninstall --no-audit --no-fund a b",
+    );
+    expect(getPackageCommand("yarn-berry", "uninstall", ["a"])).toBe(
+      "yarn remove a",
+    );
+    expect(getPackageCommand("bun", "install", ["a"])).toBe("bun add a");
+  });
+});
+
+describe("getWorkspaceCommands", () => {
+  const workspaces = [
+    { name: "@acme/ui", dir: "packages/ui" },
+    { name: "web", dir: "apps/web" },
+  ];
+
+  it("should use filters for pnpm and workspace flags for npm", () => {
+    expect(getWorkspaceCommands("pnpm", "install", ["a"], workspaces)).toEqual([
+      { cmd: "pnpm --filter @acme/ui --filter web add a" },
+    ]);
+    expect(getWorkspaceCommands("npm", "uninstall", ["a"], workspaces)).toEqual(
+      [
+        {
+          cmd: "npm uninstall --no-audit --no-fund a --workspace packages/ui --workspace apps/web",
+        },
+      ],
+    );
+  });
+
+  it("should run one command per workspace for yarn and bun", () => {
+    expect(
+      getWorkspaceCommands("yarn-berry", "install", ["a"], workspaces),
+    ).toEqual([
+      { cmd: "yarn workspace @acme/ui add a" },
+      { cmd: "yarn workspace web add a" },
+    ]);
+    expect(getWorkspaceCommands("bun", "install", ["a"], workspaces)).toEqual([
+      { cmd: "bun add a", cwd: "packages/ui" },
+      { cmd: "bun add a", cwd: "apps/web" },
+    ]);
+  });
+});
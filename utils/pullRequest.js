@@ -0,0 +1,306 @@
+const { renderTemplate, parseList } = require("./utils");
+
+/**
+ * Parse a git remote URL into host and project path
+ * @param {string} url - e.g. "git@github.com:owner/repo.git" or "https://gitlab.com/group/sub/repo"
+ * @returns {{host: string, owner: string, repo: string, path: string}|null} null for local paths
+ */
+function parseRemoteUrl(url) {
+  if (!url) return null;
+  const trimmed = String(url).trim();
+
+  let host;
+  let projectPath;
+
+  const scp = /^(?:[\w.-]+@)?([\w.-]+):(?!\/)(.+)$/.exec(trimmed);
+  if (/^[a-z+]+:\/\//i.test(trimmed)) {
+    let parsed;
+    try {
+      parsed = new URL(trimmed);
+    } catch (e) {
+      return null;
+    }
+    if (parsed.protocol === "file:") return null;
+    host = parsed.hostname;
+    projectPath = parsed.pathname;
+  } else if (scp) {
+    host = scp[1];
+    projectPath = scp[2];
+  } else {
+    return null;
+  }
+
+  projectPath = projectPath.replace(/^\/+/, "").replace(/\.git\/?$/, "");
+  const parts = projectPath.split("/").filter(Boolean);
+  if (parts.length < 2) return null;
+
+  const repo = parts.pop();
+  const owner = parts.join("/");
+  return { host, owner, repo, path: `${owner}/${repo}` };
+}
+
+/**
+ * Small JSON-over-HTTP helper around fetch
+ * @returns {Promise<{status: number, data: any}>}
+ * @throws {Error} With `status` and `data` for non-2xx responses
+ */
+async function request(method, url, headers, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+
+  const text = await res.text();
+  let data;
+  try {
+    data = text ? JSON.parse(text) : undefined;
+  } catch (e) {
+    data = text;
+  }
+
+  if (!res.ok) {
+    const detail =
+      (data && (data.message || data.error)) || res.statusText || "failed";
+    const error = new Error(
+      `${method} ${url} → ${res.status}: ${
+        typeof detail === "string" ? detail : JSON.stringify(detail)
+      }`,
+    );
+    error.status = res.status;
+    error.data = data;
+    throw error;
+  }
+
+  return { status: res.status, data };
+}
+
+/**
+ * GitHub REST provider
+ */
+const github = {
+  name: "github",
+  tokenEnv: ["GITHUB_TOKEN", "GH_TOKEN"],
+  defaultApiUrl: () => "https://api.github.com",
+
+  async createPullRequest({
+    apiUrl,
+    token,
+    remote,
+    head,
+    base,
+    title,
+    body,
+    labels,
+    reviewers,
+  }) {
+    const headers = {
+      Accept: "application/vnd.github+json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    };
+    const repoUrl = `${apiUrl}/repos/${remote.owner}/${remote.repo}`;
+
+    let pr;
+    try {
+      ({ data: pr } = await request("POST", `${repoUrl}/pulls`, headers, {
+        title,
+        head,
+        base,
+        body,
+      }));
+    } catch (err) {
+      // 422 when a PR for this head already exists: reuse it
+      if (err.status !== 422) throw err;
+      const query = `head=${encodeURIComponent(`${remote.owner}:${head}`)}&state=open`;
+      const { data } = await request(
+        "GET",
+        `${repoUrl}/pulls?${query}`,
+        headers,
+      );
+      if (!Array.isArray(data) || !data.length) throw err;
+      pr = data[0];
+    }
+
+    if (labels.length) {
+      await request("POST", `${repoUrl}/issues/${pr.number}/labels`, headers, {
+        labels,
+      });
+    }
+    if (reviewers.length) {
+      await request(
+        "POST",
+        `${repoUrl}/pulls/${pr.number}/requested_reviewers`,
+        headers,
+        { reviewers },
+      );
+    }
+
+    return { url: pr.html_url, number: pr.number };
+  },
+};
+
+/**
+ * GitLab REST provider (merge requests)
+ */
+const gitlab = {
+  name: "gitlab",
+  tokenEnv: ["GITLAB_TOKEN"],
+  defaultApiUrl: (remote) => `https://${remote.host}/api/v4`,
+
+  async createPullRequest({
+    apiUrl,
+    token,
+    remote,
+    head,
+    base,
+    title,
+    body,
+    labels,
+    reviewers,
+  }) {
+    const headers = token ? { "PRIVATE-TOKEN": token } : {};
+    const projectUrl = `${apiUrl}/projects/${encodeURIComponent(remote.path)}`;
+
+    const reviewerIds = [];
+    for (const username of reviewers) {
+      const { data } = await request(
+        "GET",
+        `${apiUrl}/users?username=${encodeURIComponent(username)}`,
+        headers,
+      );
+      if (!Array.isArray(data) || !data.length) {
+        throw new Error(`GitLab user not found: ${username}`);
+      }
+      reviewerIds.push(data[0].id);
+    }
+
+    let mr;
+    try {
+      ({ data: mr } = await request(
+        "POST",
+        `${projectUrl}/merge_requests`,
+        headers,
+        {
+          source_branch: head,
+          target_branch: base,
+          title,
+          description: body,
+          ...(labels.length ? { labels: labels.join(",") } : {}),
+          ...(reviewerIds.length ? { reviewer_ids: reviewerIds } : {}),
+        },
+      ));
+    } catch (err) {
+      // 409 when an MR for this source branch already exists: reuse it
+      if (err.status !== 409) throw err;
+      const query = `source_branch=${encodeURIComponent(head)}&state=opened`;
+      const { data } = await request(
+        "GET",
+        `${projectUrl}/merge_requests?${query}`,
+        headers,
+      );
+      if (!Array.isArray(data) || !data.length) throw err;
+      mr = data[0];
+    }
+
+    return { url: mr.web_url, number: mr.iid };
+  },
+};
+
+const PR_PROVIDERS = { github, gitlab };
+
+/**
+ * Register a custom provider (must implement createPullRequest)
+ * @param {{name: string, tokenEnv?: string[], defaultApiUrl: function, createPullRequest: function}} provider
+ */
+function registerProvider(provider) {
+  if (
+    !provider ||
+    !provider.name ||
+    typeof provider.createPullRequest !== "function"
+  ) {
+    throw new Error(
+      "A PR provider needs a name and a createPullRequest function",
+    );
+  }
+  PR_PROVIDERS[provider.name] = provider;
+}
+
+/**
+ * Pick a provider by name or from the remote host
+ * @param {string|undefined} name - Explicit provider name
+ * @param {{host: string}} remote - Parsed remote
+ * @returns {object} Provider
+ * @throws {Error} If the provider is unknown or cannot be inferred
+ */
+function getProvider(name, remote) {
+  let key = name;
+  if (!key && /gitlab/i.test(remote.host)) key = "gitlab";
+  if (!key && /github/i.test(remote.host)) key = "github";
+
+  const provider = key && PR_PROVIDERS[key];
+  if (!provider) {
+    const error = new Error(
+      name
+        ? `Unknown PR provider "${name}" (available: ${Object.keys(PR_PROVIDERS).join(", ")})`
+        : `Cannot infer PR provider from host ${remote.host}; pass --pr-provider`,
+    );
+    error.code = "PR_PROVIDER_UNKNOWN";
+    throw error;
+  }
+  return provider;
+}
+
+/**
+ * Open a pull/merge request for a pushed branch
+ * @param {object} params
+ * @param {string} params.remoteUrl - URL of the git remote
+ * @param {string} params.head - Branch that was pushed
+ * @param {string} params.base - Target branch
+ * @param {object} params.vars - Template variables (repo, branch, command, packages, commitMessage)
+ * @param {{provider?: string, apiUrl?: string, token?: string, title?: string, body?: string, labels?: string|string[], reviewers?: string|string[]}} params.options
+ * @returns {Promise<{url: string, number: number, provider: string}>}
+ */
+async function openPullRequest({ remoteUrl, head, base, vars, options = {} }) {
+  const remote = parseRemoteUrl(remoteUrl);
+  if (!remote) {
+    const error = new Error(
+      `Cannot parse owner/repo from remote URL: ${remoteUrl}`,
+    );
+    error.code = "PR_REMOTE_UNPARSEABLE";
+    throw error;
+  }
+
+  const provider = getProvider(options.provider, remote);
+  const token =
+    options.token ||
+    (provider.tokenEnv || []).map((key) => process.env[key]).find(Boolean);
+  const apiUrl = (options.apiUrl || provider.defaultApiUrl(remote)).replace(
+    /\/+$/,
+    "",
+  );
+
+  const result = await provider.createPullRequest({
+    apiUrl,
+    token,
+    remote,
+    head,
+    base,
+    title: renderTemplate(options.title || "{{commitMessage}}", vars),
+    body: renderTemplate(
+      options.body || "{{commitMessage}}\n\nOpened by batch-bump for {{repo}}.",
+      vars,
+    ),
+    labels: parseList(options.labels),
+    reviewers: parseList(options.reviewers),
+  });
+
+  return { ...result, provider: provider.name };
+}
+
+module.exports = {
+  PR_PROVIDERS,
+  parseRemoteUrl,
+  registerProvider,
+  getProvider,
+  openPullRequest,
+};
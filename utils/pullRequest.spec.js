@@ -0,0 +1,203 @@
+const http = require("http");
+const {
+  parseRemoteUrl,
+  getProvider,
+  openPullRequest,
+} = require("./pullRequest");
+
+describe("parseRemoteUrl", () => {
+  it("should parse scp-style and https remotes", () => {
+    expect(parseRemoteUrl("git@github.com:acme/web-app.git")).toEqual({
+      host: "github.com",
+      owner: "acme",
+      repo: "web-app",
+      path: "acme/web-app",
+    });
+    expect(parseRemoteUrl("https://gitlab.example.com/group/sub/api")).toEqual({
+      host: "gitlab.example.com",
+      owner: "group/sub",
+      repo: "api",
+      path: "group/sub/api",
+    });
+    expect(parseRemoteUrl("ssh://git@github.com:22/acme/x.git").path).toBe(
+      "acme/x",
+    );
+  });
+
+  it("should return null for local paths", () => {
+    expect(parseRemoteUrl("/srv/git/repo.git")).toBeNull();
+    expect(parseRemoteUrl("file:///srv/git/repo.git")).toBeNull();
+  });
+});
+
+describe("getProvider", () => {
+  it("should infer the provider from the host", () => {
+    expect(getProvider(undefined, { host: "github.com" }).name).toBe("github");
+    expect(getProvider(undefined, { host: "gitlab.acme.io" }).name).toBe(
+      "gitlab",
+    );
+  });
+
+  it("should throw when it cannot infer a provider", () => {
+    expect(() => getProvider(undefined, { host: "git.acme.io" })).toThrow(
+      /--pr-provider/,
+    );
+  });
+});
+
+describe("openPullRequest", () => {
+  let server;
+  let apiUrl;
+  let requests;
+  let respond;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const entry = {
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: body ? JSON.parse(body) : undefined,
+        };
+        requests.push(entry);
+        const [status, data] = respond(entry);
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(data));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const vars = {
+    repo: "web-app",
+    branch: "chore/deps",
+    packages: "lodash",
+    commitMessage: "Install: lodash",
+  };
+
+  it("should create a GitHub PR with labels and reviewers", async () => {
+    respond = ({ url }) =>
+      url.endsWith("/pulls")
+        ? [
+            201,
+            { number: 7, html_url: "https://github.com/acme/web-app/pull/7" },
+          ]
+        : [200, {}];
+
+    const pr = await openPullRequest({
+      remoteUrl: "git@github.com:acme/web-app.git",
+      head: "chore/deps",
+      base: "main",
+      vars,
+      options: {
+        apiUrl,
+        token: "t0k",
+        title: "chore({{repo}}): {{packages}}",
+        labels: "deps,automated",
+        reviewers: ["alice"],
+      },
+    });
+
+    expect(pr).toEqual({
+      url: "https://github.com/acme/web-app/pull/7",
+      number: 7,
+      provider: "github",
+    });
+    expect(requests.map((r) => `${r.method} ${r.url}`)).toEqual([
+      "POST /repos/acme/web-app/pulls",
+      "POST /repos/acme/web-app/issues/7/labels",
+      "POST /repos/acme/web-app/pulls/7/requested_reviewers",
+    ]);
+    expect(requests[0].headers.authorization).toBe("Bearer t0k");
+    expect(requests[0].body).toMatchObject({
+      title: "chore(web-app): lodash",
+      head: "chore/deps",
+      base: "main",
+    });
+    expect(requests[1].body).toEqual({ labels: ["deps", "automated"] });
+  });
+
+  it("should reuse an existing GitHub PR", async () => {
+    respond = ({ method }) =>
+      method === "POST"
+        ? [422, { message: "A pull request already exists" }]
+        : [
+            200,
+            [{ number: 3, html_url: "https://github.com/acme/web-app/pull/3" }],
+          ];
+
+    const pr = await openPullRequest({
+      remoteUrl: "https://github.com/acme/web-app.git",
+      head: "chore/deps",
+      base: "main",
+      vars,
+      options: { apiUrl },
+    });
+
+    expect(pr.number).toBe(3);
+    expect(requests[1].url).toBe(
+      "/repos/acme/web-app/pulls?head=acme%3Achore%2Fdeps&state=open",
+    );
+  });
+
+  it("should create a GitLab MR and resolve reviewer ids", async () => {
+    respond = ({ url }) =>
+      url.startsWith("/users")
+        ? [200, [{ id: 42 }]]
+        : [
+            201,
+            {
+              iid: 5,
+              web_url: "https://gitlab.com/group/api/-/merge_requests/5",
+            },
+          ];
+
+    const pr = await openPullRequest({
+      remoteUrl: "git@gitlab.com:group/api.git",
+      head: "chore/deps",
+      base: "develop",
+      vars,
+      options: { apiUrl, token: "gl", labels: "deps", reviewers: "bob" },
+    });
+
+    expect(pr).toEqual({
+      url: "https://gitlab.com/group/api/-/merge_requests/5",
+      number: 5,
+      provider: "gitlab",
+    });
+    expect(requests[1].url).toBe("/projects/group%2Fapi/merge_requests");
+    expect(requests[1].headers["private-token"]).toBe("gl");
+    expect(requests[1].body).toEqual({
+      source_branch: "chore/deps",
+      target_branch: "develop",
+      title: "Install: lodash",
+      description: "Install: lodash\n\nOpened by batch-bump for web-app.",
+      labels: "deps",
+      reviewer_ids: [42],
+    });
+  });
+
+  it("should surface API errors", async () => {
+    respond = () => [401, { message: "Bad credentials" }];
+
+    await expect(
+      openPullRequest({
+        remoteUrl: "git@github.com:acme/web-app.git",
+        head: "x",
+        base: "main",
+        vars,
+        options: { apiUrl },
+      }),
+    ).rejects.toThrow(/401: Bad credentials/);
+  });
+});
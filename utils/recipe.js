@@ -0,0 +1,530 @@
+const fs = require("fs");
+const path = require("path");
+const { runCmd, matchesPattern } = require("./utils");
+const { validateSchema, formatConfigErrors } = require("./configSchema");
+const { checkBumpSpecs } = require("./bump");
+const {
+  readPackageJson,
+  writePackageJson,
+  stringifyJson,
+  parseJsonPath,
+  setAtPath,
+  deleteAtPath,
+} = require("./packageJson");
+const { collectDeclared } = require("./versionReport");
+
+const STEP_TYPES = [
+  "install",
+  "remove",
+  "bump",
+  "exec",
+  "edit",
+  "patch",
+  "codemod",
+  "pkg",
+  "verify",
+];
+
+/**
+ * Condition keys accepted in a step's `if` (all given keys must hold)
+ */
+const CONDITIONS = [
+  "hasPackage",
+  "missingPackage",
+  "fileExists",
+  "fileMissing",
+];
+
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+
+/**
+ * Fields each step type needs, checked after the schema
+ * @param {object} step
+ * @returns {string|null} Problem, or null when fine
+ */
+function checkStep(step) {
+  switch (step.type) {
+    case "install":
+    case "remove":
+    case "bump":
+      if (!step.packages || !step.packages.length) {
+        return `${step.type} needs "packages"`;
+      }
+      if (step.type === "bump") {
+        const problem = checkBumpSpecs(step.packages);
+        if (problem) return problem.message;
+      }
+      return null;
+    case "exec":
+    case "verify":
+      return step.command ? null : `${step.type} needs "command"`;
+    case "edit":
+      if (!step.file) return 'edit needs "file"';
+      return step.replace || step.content !== undefined || step.transform
+        ? null
+        : 'edit needs "replace", "content" or "transform"';
+    case "patch":
+      return step.diff ? null : 'patch needs "diff"';
+    case "codemod":
+      return step.module ? null : 'codemod needs "module"';
+    case "pkg": {
+      const paths = [...Object.keys(step.set || {}), ...(step.delete || [])];
+      if (!paths.length) return 'pkg needs "set" or "delete"';
+      try {
+        paths.forEach(parseJsonPath);
+      } catch (e) {
+        return e.message;
+      }
+      return null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Schema of one recipe step (JS recipes may use functions for `if` and `transform`)
+ */
+const STEP_SCHEMA = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: {
+      type: "string",
+      check: (value) =>
+        STEP_TYPES.includes(value)
+          ? null
+          : `must be one of: ${STEP_TYPES.join(", ")}`,
+    },
+    name: { type: "string", minLength: 1 },
+    message: { type: "string", minLength: 1 },
+    packages: stringList,
+    command: { type: "string", minLength: 1 },
+    file: { type: "string", minLength: 1 },
+    replace: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["find", "with"],
+        properties: {
+          find: { type: "string", minLength: 1 },
+          with: { type: "string" },
+          regex: { type: "boolean" },
+        },
+        additionalProperties: false,
+      },
+    },
+    content: { type: "string" },
+    diff: { type: "string", minLength: 1 },
+    module: {
+      check: (value) =>
+        (typeof value === "string" && value) || typeof value === "function"
+          ? null
+          : "must be a path to a JS module (or a function in JS recipes)",
+    },
+    files: stringList,
+    set: { type: "object" },
+    delete: stringList,
+    transform: {
+      check: (value) =>
+        typeof value === "function"
+          ? null
+          : "must be a function (content, context) => content",
+    },
+    if: {
+      check: (value) => {
+        if (typeof value === "function") return null;
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+          return "must be an object or a function";
+        }
+        const keys = Object.keys(value);
+        const unknown = keys.filter((key) => !CONDITIONS.includes(key));
+        if (!keys.length || unknown.length) {
+          return `must use ${CONDITIONS.join(", ")}`;
+        }
+        return keys.every((key) => typeof value[key] === "string" && value[key])
+          ? null
+          : "condition values must be non-empty strings";
+      },
+    },
+  },
+  additionalProperties: false,
+  check: checkStep,
+};
+
+/**
+ * Schema of a recipe file
+ */
+const RECIPE_SCHEMA = {
+  type: "object",
+  required: ["steps"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    description: { type: "string" },
+    message: { type: "string", minLength: 1 },
+    commitPerStep: { type: "boolean" },
+    steps: { type: "array", items: STEP_SCHEMA },
+  },
+  additionalProperties: false,
+  check: (value) => (value.steps.length ? null : "needs at least one step"),
+};
+
+/**
+ * Make `diff` and `module` paths absolute, relative to the recipe's directory
+ * @param {object} step
+ * @param {string} baseDir
+ * @returns {object}
+ */
+function resolveStepPaths(step, baseDir) {
+  const resolved = { ...step };
+  if (typeof step.diff === "string") {
+    resolved.diff = path.resolve(baseDir, step.diff);
+  }
+  if (typeof step.module === "string") {
+    resolved.module = path.resolve(baseDir, step.module);
+  }
+  return resolved;
+}
+
+/**
+ * Load and validate a recipe (.json, or .js/.cjs exporting the recipe object)
+ * @param {string} file
+ * @returns {{name: string, file: string, message?: string, commitPerStep: boolean, steps: Array<object>}}
+ * @throws {Error} If the recipe cannot be read or is invalid
+ */
+function loadRecipe(file) {
+  const absolute = path.resolve(file);
+  const isJs = [".js", ".cjs"].includes(path.extname(absolute));
+
+  let recipe;
+  try {
+    recipe = isJs
+      ? require(absolute)
+      : JSON.parse(fs.readFileSync(absolute, "utf8"));
+  } catch (e) {
+    const error = new Error(`Could not load recipe ${file}: ${e.message}`);
+    error.code = "RECIPE_READ_ERROR";
+    throw error;
+  }
+
+  const errors = validateSchema(recipe, RECIPE_SCHEMA);
+  if (errors.length) {
+    const error = new Error(
+      `Recipe ${file} is invalid:\n${formatConfigErrors(errors)}`,
+    );
+    error.code = "RECIPE_INVALID";
+    error.errors = errors;
+    throw error;
+  }
+
+  return {
+    ...recipe,
+    name: recipe.name || path.basename(absolute, path.extname(absolute)),
+    file: absolute,
+    commitPerStep: Boolean(recipe.commitPerStep),
+    steps: recipe.steps.map((step) =>
+      resolveStepPaths(step, path.dirname(absolute)),
+    ),
+  };
+}
+
+/**
+ * One-step recipe for `batch patch`: a unified diff, or a JS transform module (.js/.cjs)
+ * @param {string} file - Diff or module path
+ * @param {{files?: string[]}} [options] - Globs of files a transform module runs on
+ * @returns {{name: string, file: string, commitPerStep: boolean, steps: Array<object>}}
+ * @throws {Error} If the file is missing or the module does not export a transform
+ */
+function createPatchRecipe(file, { files } = {}) {
+  const absolute = path.resolve(file);
+  if (!fs.existsSync(absolute)) {
+    const error = new Error(`Patch file not found: ${file}`);
+    error.code = "PATCH_NOT_FOUND";
+    throw error;
+  }
+
+  const isJs = [".js", ".cjs"].includes(path.extname(absolute));
+  const step = isJs
+    ? { type: "codemod", module: absolute, files }
+    : { type: "patch", diff: absolute };
+  if (isJs) loadCodemod(absolute);
+
+  return {
+    name: path.basename(absolute),
+    file: absolute,
+    commitPerStep: false,
+    steps: [step],
+  };
+}
+
+/**
+ * Resolve a path from a recipe inside the repo
+ * @param {string} repoPath
+ * @param {string} file - Relative to the repo root
+ * @returns {string}
+ * @throws {Error} If the path points outside the repo
+ */
+function resolveRepoFile(repoPath, file) {
+  const resolved = path.resolve(repoPath, file);
+  const relative = path.relative(repoPath, resolved);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    throw new Error(`${file} is outside the repository`);
+  }
+  return resolved;
+}
+
+/**
+ * Dependency names declared in package.json (workspace dirs included)
+ * @param {string} repoPath
+ * @param {string[]} dirs - Package dirs relative to the repo
+ * @returns {Set<string>}
+ */
+function getDeclaredNames(repoPath, dirs) {
+  const names = new Set();
+  dirs.forEach((dir) => {
+    try {
+      const { pkg } = readPackageJson(path.join(repoPath, dir));
+      Object.keys(collectDeclared(pkg)).forEach((name) => names.add(name));
+    } catch (e) {
+      /* no package.json in this dir */
+    }
+  });
+  return names;
+}
+
+/**
+ * Check a step's `if` against the repo as it is now (after the previous steps)
+ * @param {object|Function} [condition]
+ * @param {{repo: object, repoPath: string, dirs?: string[]}} context
+ *   dirs: package dirs relative to the repo (workspaces), default: root
+ * @returns {Promise<string|null>} Why the step is skipped, or null to run it
+ */
+async function checkCondition(condition, { repo, repoPath, dirs = ["."] }) {
+  if (!condition) return null;
+
+  if (typeof condition === "function") {
+    return (await condition({ repo, repoPath, dirs }))
+      ? null
+      : "condition not met";
+  }
+
+  const declared = getDeclaredNames(repoPath, dirs);
+  const exists = (file) => fs.existsSync(resolveRepoFile(repoPath, file));
+  if (condition.hasPackage && !declared.has(condition.hasPackage)) {
+    return `${condition.hasPackage} is not a dependency`;
+  }
+  if (condition.missingPackage && declared.has(condition.missingPackage)) {
+    return `${condition.missingPackage} is already a dependency`;
+  }
+  if (condition.fileExists && !exists(condition.fileExists)) {
+    return `${condition.fileExists} does not exist`;
+  }
+  if (condition.fileMissing && exists(condition.fileMissing)) {
+    return `${condition.fileMissing} already exists`;
+  }
+  return null;
+}
+
+/**
+ * Apply an edit step: `content` replaces the file, then `replace` rules and
+ * `transform` run in order on the text
+ * @param {string} repoPath
+ * @param {object} step
+ * @param {{repo: object}} context - Passed to transform
+ * @returns {Promise<boolean>} Whether the file changed
+ * @throws {Error} If the file is missing (and no content is given) or outside the repo
+ */
+async function applyEdit(repoPath, step, { repo } = {}) {
+  const file = resolveRepoFile(repoPath, step.file);
+  const exists = fs.existsSync(file);
+  if (!exists && step.content === undefined) {
+    throw new Error(`${step.file} not found`);
+  }
+
+  const before = exists ? fs.readFileSync(file, "utf8") : null;
+  let text = step.content !== undefined ? step.content : before;
+  (step.replace || []).forEach((rule) => {
+    text = rule.regex
+      ? text.replace(new RegExp(rule.find, "g"), rule.with)
+      : text.split(rule.find).join(rule.with);
+  });
+  if (step.transform) {
+    text = await step.transform(text, { repo, repoPath, file: step.file });
+  }
+
+  if (text === before) return false;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text, "utf8");
+  return true;
+}
+
+/**
+ * Load a transform module: it exports `(filePath, contents) => newContents`, or
+ * `{ transform, files }` with default globs. Return undefined to leave a file as is.
+ * @param {string|Function} module - Module path, or the function itself
+ * @returns {{transform: Function, files?: string[]}}
+ * @throws {Error} If the module cannot be loaded or exports no function
+ */
+function loadCodemod(module) {
+  if (typeof module === "function") return { transform: module };
+
+  let exported;
+  try {
+    exported = require(module);
+  } catch (e) {
+    const error = new Error(`Could not load ${module}: ${e.message}`);
+    error.code = "CODEMOD_LOAD_ERROR";
+    throw error;
+  }
+
+  const codemod =
+    typeof exported === "function" ? { transform: exported } : exported;
+  if (!codemod || typeof codemod.transform !== "function") {
+    const error = new Error(
+      `${module} must export a function (filePath, contents) => contents, or { transform, files }`,
+    );
+    error.code = "CODEMOD_INVALID";
+    throw error;
+  }
+  return codemod;
+}
+
+/**
+ * Run a codemod step on the repo's tracked files that match its globs
+ * (step `files`, else the module's `files`, else every tracked file)
+ * @param {string} repoPath
+ * @param {object} step
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<string[]>} Changed files, relative to the repo
+ * @throws {Error} If git ls-files fails or the transform throws
+ */
+async function applyCodemod(repoPath, step, { signal } = {}) {
+  const { transform, files: defaultFiles } = loadCodemod(step.module);
+  const globs = step.files || defaultFiles || ["**"];
+
+  const res = await runCmd(`git -C "${repoPath}" ls-files -z`, { signal });
+  if (!res.ok) {
+    throw new Error(`git ls-files failed: ${res.error.split("\n")[0]}`);
+  }
+
+  const changed = [];
+  const tracked = res.stdout
+    .split("\0")
+    .filter((file) => file && globs.some((glob) => matchesPattern(file, glob)));
+  for (const file of tracked) {
+    const absolute = path.join(repoPath, file);
+    if (!fs.existsSync(absolute)) continue;
+    const before = fs.readFileSync(absolute, "utf8");
+    const after = await transform(file, before);
+    if (typeof after === "string" && after !== before) {
+      fs.writeFileSync(absolute, after, "utf8");
+      changed.push(file);
+    }
+  }
+  return changed;
+}
+
+/**
+ * Apply a pkg step to package.json in each dir, keeping key order and formatting
+ * @param {string} repoPath
+ * @param {{set?: Object<string, any>, delete?: string[]}} step - JSON paths as keys
+ * @param {string[]} [dirs] - Package dirs relative to the repo (workspaces), default: root
+ * @returns {string[]} Dirs whose package.json changed
+ * @throws {Error} If a package.json cannot be read or a path conflicts with a value
+ */
+function applyPackageEdit(repoPath, step, dirs = ["."]) {
+  const changed = [];
+  dirs.forEach((dir) => {
+    const { pkg, format } = readPackageJson(path.join(repoPath, dir));
+    const before = stringifyJson(pkg, format);
+    Object.entries(step.set || {}).forEach(([jsonPath, value]) =>
+      setAtPath(pkg, jsonPath, value),
+    );
+    (step.delete || []).forEach((jsonPath) => deleteAtPath(pkg, jsonPath));
+    if (stringifyJson(pkg, format) === before) return;
+    writePackageJson(path.join(repoPath, dir), pkg, format);
+    changed.push(dir);
+  });
+  return changed;
+}
+
+/**
+ * Short description of a pkg step, e.g. 'set engines.node = ">=20", delete browserslist'
+ * @param {{set?: Object<string, any>, delete?: string[]}} step
+ * @returns {string}
+ */
+function describePackageEdit(step) {
+  const shorten = (value) => {
+    const json = JSON.stringify(value);
+    return json.length > 40 ? `${json.slice(0, 39)}…` : json;
+  };
+  return [
+    ...Object.entries(step.set || {}).map(
+      ([jsonPath, value]) => `set ${jsonPath} = ${shorten(value)}`,
+    ),
+    ...(step.delete || []).map((jsonPath) => `delete ${jsonPath}`),
+  ].join(", ");
+}
+
+/**
+ * One-step recipe for `batch pkg set` / `batch pkg delete`
+ * @param {string[]} args - ["set", jsonPath, jsonValue] or ["delete", jsonPath]
+ * @returns {{name: string, commitPerStep: boolean, steps: Array<object>}}
+ * @throws {Error} If the JSON path is malformed
+ */
+function createPackageEditRecipe([action, jsonPath, json]) {
+  parseJsonPath(jsonPath);
+  const step =
+    action === "delete"
+      ? { type: "pkg", delete: [jsonPath] }
+      : { type: "pkg", set: { [jsonPath]: JSON.parse(json) } };
+  return {
+    name: describePackageEdit(step),
+    commitPerStep: false,
+    steps: [step],
+  };
+}
+
+/**
+ * One-line description of a step, e.g. "remove moment (if hasPackage moment)"
+ * @param {object} step
+ * @returns {string}
+ */
+function describeStep(step) {
+  let text;
+  if (step.name) text = step.name;
+  else if (step.packages) text = `${step.type} ${step.packages.join(", ")}`;
+  else if (step.type === "edit") text = `edit ${step.file}`;
+  else if (step.type === "patch") text = `patch ${path.basename(step.diff)}`;
+  else if (step.type === "pkg") text = `pkg ${describePackageEdit(step)}`;
+  else if (step.type === "codemod") {
+    text = `codemod ${
+      typeof step.module === "string" ? path.basename(step.module) : "function"
+    }`;
+  } else text = `${step.type} "${step.command}"`;
+
+  if (!step.if) return text;
+  const condition =
+    typeof step.if === "function"
+      ? "custom condition"
+      : Object.entries(step.if)
+          .map(([key, value]) => `${key} ${value}`)
+          .join(", ");
+  return `${text} (if ${condition})`;
+}
+
+module.exports = {
+  STEP_TYPES,
+  CONDITIONS,
+  RECIPE_SCHEMA,
+  loadRecipe,
+  createPatchRecipe,
+  checkCondition,
+  applyEdit,
+  loadCodemod,
+  applyCodemod,
+  applyPackageEdit,
+  describePackageEdit,
+  createPackageEditRecipe,
+  describeStep,
+};
@@ -0,0 +1,282 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const {
+  loadRecipe,
+  createPatchRecipe,
+  checkCondition,
+  applyEdit,
+  applyCodemod,
+  applyPackageEdit,
+  createPackageEditRecipe,
+  describeStep,
+} = require("./recipe");
+
+describe("recipe", () => {
+  let dir;
+  const write = (file, content) => {
+    const target = path.join(dir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(
+      target,
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+    return target;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "recipe-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("loadRecipe", () => {
+    it("should load a JSON recipe and name it after the file", () => {
+      const file = write("moment-to-dayjs.json", {
+        steps: [
+          { type: "remove", packages: ["moment"] },
+          { type: "install", packages: ["dayjs"] },
+        ],
+      });
+
+      expect(loadRecipe(file)).toMatchObject({
+        name: "moment-to-dayjs",
+        file,
+        commitPerStep: false,
+      });
+    });
+
+    it("should load a JS recipe with function conditions", () => {
+      const file = write(
+        "recipe.js",
+        `module.exports = {
+          name: "js",
+          commitPerStep: true,
+          steps: [{ type: "exec", command: "true", if: () => true }],
+        };`,
+      );
+
+      const recipe = loadRecipe(file);
+      expect(recipe.commitPerStep).toBe(true);
+      expect(typeof recipe.steps[0].if).toBe("function");
+    });
+
+    it("should list every problem of an invalid recipe", () => {
+      const file = write("bad.json", {
+        steps: [
+          { type: "instal", packages: ["x"] },
+          { type: "bump", packages: ["react"] },
+          { type: "edit", file: "a.txt" },
+          { type: "exec", command: "true", if: { hasPkg: "x" } },
+        ],
+      });
+
+      let error;
+      try {
+        loadRecipe(file);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).toBe("RECIPE_INVALID");
+      expect(error.errors.map((e) => e.path)).toEqual([
+        "$.steps[0].type",
+        "$.steps[1]",
+        "$.steps[2]",
+        "$.steps[3].if",
+      ]);
+      expect(error.message).toContain("bump needs a version");
+    });
+
+    it("should report unreadable recipes", () => {
+      expect(() => loadRecipe(path.join(dir, "missing.json"))).toThrow(
+        "Could not load recipe",
+      );
+    });
+  });
+
+  describe("checkCondition", () => {
+    beforeEach(() => {
+      write("package.json", { dependencies: { moment: "^2.30.0" } });
+      write("packages/web/package.json", { devDependencies: { jest: "^29" } });
+    });
+
+    it("should check dependencies in the root and workspace dirs", async () => {
+      const context = { repoPath: dir, dirs: [".", "packages/web"] };
+
+      expect(await checkCondition({ hasPackage: "moment" }, context)).toBe(
+        null,
+      );
+      expect(await checkCondition({ hasPackage: "jest" }, context)).toBe(null);
+      expect(await checkCondition({ hasPackage: "dayjs" }, context)).toBe(
+        "dayjs is not a dependency",
+      );
+      expect(await checkCondition({ missingPackage: "moment" }, context)).toBe(
+        "moment is already a dependency",
+      );
+    });
+
+    it("should check files and custom functions", async () => {
+      const context = { repo: { name: "web" }, repoPath: dir };
+
+      expect(
+        await checkCondition({ fileExists: "tsconfig.json" }, context),
+      ).toBe("tsconfig.json does not exist");
+      expect(
+        await checkCondition({ fileMissing: "tsconfig.json" }, context),
+      ).toBe(null);
+      expect(
+        await checkCondition(async ({ repo }) => repo.name === "web", context),
+      ).toBe(null);
+      expect(await checkCondition(() => false, context)).toBe(
+        "condition not met",
+      );
+    });
+  });
+
+  describe("applyEdit", () => {
+    it("should apply replace rules, then the transform", async () => {
+      write("src/date.js", 'const moment = require("moment");\n');
+
+      const changed = await applyEdit(dir, {
+        file: "src/date.js",
+        replace: [
+          { find: "moment", with: "dayjs" },
+          { find: "require\\((.*)\\)", with: "import($1)", regex: true },
+        ],
+        transform: (text) => `// migrated\n${text}`,
+      });
+
+      expect(changed).toBe(true);
+      expect(fs.readFileSync(path.join(dir, "src/date.js"), "utf8")).toBe(
+        '// migrated\nconst dayjs = import("dayjs");\n',
+      );
+    });
+
+    it("should create files from content and report unchanged files", async () => {
+      const step = { file: ".nvmrc", content: "20\n" };
+
+      expect(await applyEdit(dir, step)).toBe(true);
+      expect(await applyEdit(dir, step)).toBe(false);
+    });
+
+    it("should refuse missing files and paths outside the repo", async () => {
+      await expect(
+        applyEdit(dir, { file: "nope.js", replace: [] }),
+      ).rejects.toThrow("nope.js not found");
+      await expect(
+        applyEdit(dir, { file: "../escape.txt", content: "x" }),
+      ).rejects.toThrow("outside the repository");
+    });
+  });
+
+  describe("patch recipes and codemods", () => {
+    it("should resolve diff and module paths next to the recipe", () => {
+      const file = write("recipes/r.json", {
+        steps: [
+          { type: "patch", diff: "fix.diff" },
+          { type: "codemod", module: "../codemods/x.js" },
+        ],
+      });
+
+      const { steps } = loadRecipe(file);
+      expect(steps[0].diff).toBe(path.join(dir, "recipes", "fix.diff"));
+      expect(steps[1].module).toBe(path.join(dir, "codemods", "x.js"));
+    });
+
+    it("should turn a diff or a module into a one-step recipe", () => {
+      const diff = write("fix.diff", "");
+      const module = write("rename.js", "module.exports = () => undefined;");
+
+      expect(createPatchRecipe(diff).steps).toEqual([{ type: "patch", diff }]);
+      expect(createPatchRecipe(module, { files: ["src/**"] })).toMatchObject({
+        name: "rename.js",
+        steps: [{ type: "codemod", module, files: ["src/**"] }],
+      });
+      expect(() => createPatchRecipe(path.join(dir, "nope.diff"))).toThrow(
+        "Patch file not found",
+      );
+    });
+
+    it("should reject modules that export no transform", () => {
+      const module = write("bad.js", "module.exports = { files: [] };");
+      expect(() => createPatchRecipe(module)).toThrow("must export a function");
+    });
+
+    it("should transform tracked files matching the globs", async () => {
+      write("src/a.js", "var a = 1;\n");
+      write("src/b.ts", "var b = 2;\n");
+      write("untracked.js", "var c = 3;\n");
+      execSync("git init -q && git add src", { cwd: dir });
+      const module = write(
+        "let.js",
+        `module.exports = {
+          files: ["src/**/*.js"],
+          transform: (file, text) => text.replace("var ", "let "),
+        };`,
+      );
+
+      expect(await applyCodemod(dir, { module })).toEqual(["src/a.js"]);
+      expect(await applyCodemod(dir, { module, files: ["**"] })).toEqual([
+        "src/b.ts",
+      ]);
+      expect(fs.readFileSync(path.join(dir, "untracked.js"), "utf8")).toBe(
+        "var c = 3;\n",
+      );
+    });
+  });
+
+  describe("package.json edits", () => {
+    it("should keep key order, indentation and the missing trailing newline", () => {
+      const file = write(
+        "package.json",
+        '{\n\t"name": "web",\n\t"scripts": {\n\t\t"build": "tsc"\n\t},\n\t"main": "index.js"\n}',
+      );
+      const step = {
+        type: "pkg",
+        set: { "scripts.test": "jest", "engines.node": ">=20" },
+        delete: ["main"],
+      };
+
+      expect(applyPackageEdit(dir, step)).toEqual(["."]);
+      expect(fs.readFileSync(file, "utf8")).toBe(
+        '{\n\t"name": "web",\n\t"scripts": {\n\t\t"build": "tsc",\n\t\t"test": "jest"\n\t},\n\t"engines": {\n\t\t"node": ">=20"\n\t}\n}',
+      );
+      expect(applyPackageEdit(dir, step)).toEqual([]);
+    });
+
+    it("should build a one-step recipe from pkg set / delete arguments", () => {
+      expect(
+        createPackageEditRecipe(["set", "engines.node", '">=20"']),
+      ).toEqual({
+        name: 'set engines.node = ">=20"',
+        commitPerStep: false,
+        steps: [{ type: "pkg", set: { "engines.node": ">=20" } }],
+      });
+      expect(createPackageEditRecipe(["delete", "files[0]"]).name).toBe(
+        "delete files[0]",
+      );
+      expect(() => createPackageEditRecipe(["delete", "a..b"])).toThrow(
+        "Invalid JSON path",
+      );
+    });
+  });
+
+  it("should describe steps with their conditions", () => {
+    expect(
+      describeStep({
+        type: "remove",
+        packages: ["moment"],
+        if: { hasPackage: "moment" },
+      }),
+    ).toBe("remove moment (if hasPackage moment)");
+    expect(describeStep({ type: "exec", command: "npx codemod" })).toBe(
+      'exec "npx codemod"',
+    );
+    expect(describeStep({ type: "edit", file: "a.js", if: () => true })).toBe(
+      "edit a.js (if custom condition)",
+    );
+  });
+});
@@ -0,0 +1,63 @@
+const { runCmd } = require("./utils");
+
+/**
+ * Remote a repo pushes to and branches from: its `remote` in repos.json, else origin
+ * @param {{remote?: string}} repo
+ * @returns {string}
+ */
+function getRepoRemote(repo = {}) {
+  return repo.remote || "origin";
+}
+
+/**
+ * Default branch of a remote, from refs/remotes/<remote>/HEAD (set by clone or
+ * `git remote set-head <remote> --auto`)
+ * @param {string} repoPath
+ * @param {string} [remote] - Default: origin
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<string|undefined>} Branch name without the remote prefix
+ */
+async function getDefaultBranch(repoPath, remote = "origin", { signal } = {}) {
+  const res = await runCmd(
+    `git -C "${repoPath}" symbolic-ref --quiet --short refs/remotes/${remote}/HEAD`,
+    { signal },
+  );
+  if (!res.ok) return undefined;
+  const ref = res.stdout.trim();
+  return ref.startsWith(`${remote}/`) ? ref.slice(remote.length + 1) : ref;
+}
+
+/**
+ * Branch new work is based on and PRs target: the repo's `baseBranch`, else the
+ * remote's HEAD branch, else whichever of main / master the remote has, else main
+ * @param {string} repoPath
+ * @param {{remote?: string, baseBranch?: string}} repo - Entry from repos.json
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{remote: string, baseBranch: string, source: "config"|"remote HEAD"|"remote branch"|"default"}>}
+ */
+async function resolveBaseBranch(repoPath, repo = {}, { signal } = {}) {
+  const remote = getRepoRemote(repo);
+  if (repo.baseBranch) {
+    return { remote, baseBranch: repo.baseBranch, source: "config" };
+  }
+
+  const head = await getDefaultBranch(repoPath, remote, { signal });
+  if (head) return { remote, baseBranch: head, source: "remote HEAD" };
+
+  for (const candidate of ["main", "master"]) {
+    const res = await runCmd(
+      `git -C "${repoPath}" rev-parse --verify --quiet "refs/remotes/${remote}/${candidate}"`,
+      { signal },
+    );
+    if (res.ok) {
+      return { remote, baseBranch: candidate, source: "remote branch" };
+    }
+  }
+  return { remote, baseBranch: "main", source: "default" };
+}
+
+module.exports = {
+  getRepoRemote,
+  getDefaultBranch,
+  resolveBaseBranch,
+};
@@ -0,0 +1,66 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const {
+  getRepoRemote,
+  getDefaultBranch,
+  resolveBaseBranch,
+} = require("./remote");
+
+describe("remote", () => {
+  let dir;
+  let repo;
+  const git = (args, cwd = repo) =>
+    execSync(`git -c user.email=t@t -c user.name=t ${args}`, {
+      cwd,
+      encoding: "utf8",
+      stdio: "pipe",
+    }).trim();
+
+  beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "remote-")));
+    git("init -q --bare -b develop upstream.git", dir);
+    git("init -q -b master repo", dir);
+    repo = path.join(dir, "repo");
+    git("commit -q --allow-empty -m init");
+    git("remote add upstream ../upstream.git");
+    git("push -q upstream master master:develop");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should default the remote to origin", () => {
+    expect(getRepoRemote({ name: "web" })).toBe("origin");
+    expect(getRepoRemote({ name: "web", remote: "upstream" })).toBe("upstream");
+  });
+
+  it("should prefer baseBranch, then the remote HEAD, then main or master", async () => {
+    const upstream = { name: "web", remote: "upstream" };
+
+    expect(await resolveBaseBranch(repo, upstream)).toEqual({
+      remote: "upstream",
+      baseBranch: "master",
+      source: "remote branch",
+    });
+
+    git("remote set-head upstream --auto");
+    expect(await getDefaultBranch(repo, "upstream")).toBe("develop");
+    expect(await resolveBaseBranch(repo, upstream)).toEqual({
+      remote: "upstream",
+      baseBranch: "develop",
+      source: "remote HEAD",
+    });
+
+    expect(
+      await resolveBaseBranch(repo, { ...upstream, baseBranch: "release" }),
+    ).toMatchObject({ baseBranch: "release", source: "config" });
+    expect(await resolveBaseBranch(repo, { name: "web" })).toEqual({
+      remote: "origin",
+      baseBranch: "main",
+      source: "default",
+    });
+  });
+});
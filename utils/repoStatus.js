@@ -0,0 +1,197 @@
+const { runCmd } = require("./utils");
+const { checkRepoPath } = require("./configSchema");
+const { resolveBaseBranch } = require("./remote");
+
+const ANSI_COLORS = { error: 31, warn: 33 };
+
+/**
+ * Read-only git state of a repo for `batch status`. Remote refs are as of the
+ * last fetch; nothing is fetched here.
+ * @param {string} repoPath
+ * @param {object} [options]
+ * @param {string} [options.branch] - The repo's configured `branch`
+ * @param {string} [options.remote] - The repo's `remote` (default: origin)
+ * @param {string} [options.baseBranch] - The repo's `baseBranch`
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<object>} current/head, dirty (changed tracked files), upstream with
+ *   ahead/behind, base (remote default branch, if fetched) with baseAhead/baseBehind, branch with
+ *   branchLocal/branchRemote, lastCommit/lastCommitAgo; or `error` if git cannot read it
+ */
+async function getRepoStatus(
+  repoPath,
+  { branch, remote = "origin", baseBranch, signal } = {},
+) {
+  const pathProblem = checkRepoPath(repoPath);
+  if (pathProblem) return { error: pathProblem };
+
+  const git = (args) => runCmd(`git -C "${repoPath}" ${args}`, { signal });
+  const hasRef = async (ref) =>
+    (await git(`rev-parse --verify --quiet "${ref}"`)).ok;
+  const countAheadBehind = async (ref) => {
+    const res = await git(`rev-list --left-right --count "HEAD...${ref}"`);
+    if (!res.ok) return {};
+    const [ahead, behind] = res.stdout.trim().split(/\s+/).map(Number);
+    return { ahead, behind };
+  };
+
+  const res = await git("status --porcelain=v2 --branch --untracked-files=no");
+  if (!res.ok) {
+    return { error: `git status failed: ${res.error.trim().split("\n")[0]}` };
+  }
+  const status = { current: null, head: null, dirty: 0, upstream: null };
+  res.stdout
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      const [, key, value] = /^# branch\.(\S+) (.*)$/.exec(line) || [];
+      if (key === "head" && value !== "(detached)") status.current = value;
+      else if (key === "oid" && value !== "(initial)") {
+        status.head = value.slice(0, 7);
+      } else if (key === "upstream") status.upstream = value;
+      else if (key === "ab") {
+        const [, ahead, behind] = /^\+(\d+) -(\d+)$/.exec(value);
+        status.ahead = Number(ahead);
+        status.behind = Number(behind);
+      } else if (!line.startsWith("#")) status.dirty++;
+    });
+
+  const base = await resolveBaseBranch(
+    repoPath,
+    { remote, baseBranch },
+    { signal },
+  );
+  const baseRef = `${remote}/${base.baseBranch}`;
+  status.base = (await hasRef(`refs/remotes/${baseRef}`)) ? baseRef : null;
+  if (status.base) {
+    const { ahead, behind } = await countAheadBehind(status.base);
+    Object.assign(status, { baseAhead: ahead, baseBehind: behind });
+  }
+
+  status.branch = branch || null;
+  if (branch) {
+    status.branchLocal = await hasRef(`refs/heads/${branch}`);
+    status.branchRemote = await hasRef(`refs/remotes/${remote}/${branch}`);
+  }
+
+  const log = await git('log -1 --format="%cI%x09%cr"');
+  if (log.ok && log.stdout.trim()) {
+    const [date, ago] = log.stdout.trim().split("\t");
+    Object.assign(status, { lastCommit: date, lastCommitAgo: ago });
+  }
+  return status;
+}
+
+/**
+ * Things worth a look before a batch run
+ * @param {object} status - From getRepoStatus
+ * @returns {Array<{field: string, level: "error"|"warn", message: string}>}
+ *   field is the table column the problem belongs to
+ */
+function getStatusProblems(status) {
+  if (status.error) {
+    return [{ field: "branch", level: "error", message: status.error }];
+  }
+  const problems = [];
+  const add = (field, level, message) =>
+    problems.push({ field, level, message });
+
+  if (!status.current) add("branch", "warn", "detached HEAD");
+  if (status.dirty) {
+    add("changes", "warn", `${status.dirty} uncommitted file(s)`);
+  }
+  if (status.ahead && status.behind) {
+    add("upstream", "error", `diverged from ${status.upstream}`);
+  } else if (status.behind) {
+    add("upstream", "warn", `behind ${status.upstream}`);
+  }
+  if (status.baseBehind) add("base", "warn", `behind ${status.base}`);
+  if (status.branch && !status.branchLocal && !status.branchRemote) {
+    add("configured", "warn", `${status.branch} does not exist yet`);
+  }
+  return problems;
+}
+
+const formatAheadBehind = (ref, ahead, behind) =>
+  ahead || behind ? `${ref} ↑${ahead} ↓${behind}` : `${ref} ✓`;
+
+const STATUS_COLUMNS = [
+  "repo",
+  "branch",
+  "changes",
+  "upstream",
+  "base",
+  "configured",
+  "last commit",
+];
+
+/**
+ * Table cells of one repo
+ * @param {object} status - getRepoStatus result with the repo name
+ * @returns {Object<string, string>}
+ */
+function toStatusCells(status) {
+  if (status.error) return { repo: status.repo, branch: status.error };
+  const where = (exists) => (exists ? "✓" : "✗");
+  return {
+    repo: status.repo,
+    branch: status.current || `(detached ${status.head})`,
+    changes: status.dirty ? `${status.dirty} file(s)` : "clean",
+    upstream: status.upstream
+      ? formatAheadBehind(status.upstream, status.ahead, status.behind)
+      : "—",
+    base: status.base
+      ? formatAheadBehind(status.base, status.baseAhead, status.baseBehind)
+      : "—",
+    configured: status.branch
+      ? `${status.branch} (local ${where(status.branchLocal)}, remote ${where(status.branchRemote)})`
+      : "—",
+    "last commit": status.lastCommitAgo || "—",
+  };
+}
+
+/**
+ * Box-drawn table like console.table, which cannot print colors (it escapes them).
+ * Problem cells are red (errors) or yellow (warnings) when `color` is set.
+ * @param {Array<{repo: string}>} statuses - getRepoStatus results with the repo name
+ * @param {{color?: boolean}} [options]
+ * @returns {string}
+ */
+function formatStatusTable(statuses, { color = false } = {}) {
+  const rows = statuses.map((status) => {
+    const cells = toStatusCells(status);
+    const levels = Object.fromEntries(
+      getStatusProblems(status).map(({ field, level }) => [field, level]),
+    );
+    return STATUS_COLUMNS.map((column) => ({
+      text: cells[column] || "",
+      level: levels[column],
+    }));
+  });
+  const widths = STATUS_COLUMNS.map((column, i) =>
+    Math.max(column.length, ...rows.map((row) => [...row[i].text].length)),
+  );
+
+  const line = (left, mid, right) =>
+    `${left}${widths.map((w) => "─".repeat(w + 2)).join(mid)}${right}`;
+  const cell = ({ text, level }, i) => {
+    const padded = text + " ".repeat(widths[i] - [...text].length);
+    return color && level
+      ? `\x1b[${ANSI_COLORS[level]}m${padded}\x1b[0m`
+      : padded;
+  };
+  const row = (cells) => `│ ${cells.map(cell).join(" │ ")} │`;
+
+  return [
+    line("┌", "┬", "┐"),
+    row(STATUS_COLUMNS.map((text) => ({ text }))),
+    line("├", "┼", "┤"),
+    ...rows.map(row),
+    line("└", "┴", "┘"),
+  ].join("\n");
+}
+
+module.exports = {
+  getRepoStatus,
+  getStatusProblems,
+  formatStatusTable,
+};
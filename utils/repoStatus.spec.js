@@ -0,0 +1,105 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const {
+  getRepoStatus,
+  getStatusProblems,
+  formatStatusTable,
+} = require("./repoStatus");
+
+describe("repoStatus", () => {
+  let dir;
+  let repo;
+  const git = (args, cwd = repo) =>
+    execSync(`git -c user.email=t@t -c user.name=t ${args}`, {
+      cwd,
+      encoding: "utf8",
+      stdio: "pipe",
+    }).trim();
+
+  beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "status-")));
+    git("init -q --bare -b main remote.git", dir);
+    git("clone -q remote.git repo", dir);
+    repo = path.join(dir, "repo");
+    git("checkout -q -b main");
+    fs.writeFileSync(path.join(repo, "a.txt"), "one\n");
+    git("add a.txt");
+    git("commit -qm init");
+    git("push -q -u origin main");
+    git("remote set-head origin main");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should read branch, changes, upstream and the configured branch", async () => {
+    git("commit -q --allow-empty -m local");
+    fs.writeFileSync(path.join(repo, "a.txt"), "wip\n");
+
+    const status = await getRepoStatus(repo, { branch: "chore/deps" });
+    expect(status).toMatchObject({
+      current: "main",
+      dirty: 1,
+      upstream: "origin/main",
+      ahead: 1,
+      behind: 0,
+      base: "origin/main",
+      baseAhead: 1,
+      baseBehind: 0,
+      branch: "chore/deps",
+      branchLocal: false,
+      branchRemote: false,
+    });
+    expect(status.lastCommit).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(getStatusProblems(status)).toEqual([
+      { field: "changes", level: "warn", message: "1 uncommitted file(s)" },
+      {
+        field: "configured",
+        level: "warn",
+        message: "chore/deps does not exist yet",
+      },
+    ]);
+  });
+
+  it("should report a detached HEAD and paths that are not repos", async () => {
+    git("checkout -q --detach");
+    const detached = await getRepoStatus(repo);
+    expect(detached.current).toBeNull();
+    expect(getStatusProblems(detached)[0].message).toBe("detached HEAD");
+
+    const missing = await getRepoStatus(path.join(dir, "nope"));
+    expect(missing.error).toMatch(/Path not found/);
+  });
+
+  it("should color only the cells with problems", () => {
+    const statuses = [
+      {
+        repo: "web",
+        current: "main",
+        dirty: 0,
+        upstream: "origin/main",
+        ahead: 1,
+        behind: 2,
+        base: "origin/main",
+        baseAhead: 0,
+        baseBehind: 0,
+        branch: null,
+        lastCommitAgo: "2 days ago",
+      },
+    ];
+
+    const plain = formatStatusTable(statuses);
+    expect(plain.split("\n")[3]).toBe(
+      "│ web  │ main   │ clean   │ origin/main ↑1 ↓2 │ origin/main ✓ │ —          │ 2 days ago  │",
+    );
+    expect(formatStatusTable(statuses, { color: true })).toContain(
+      "\x1b[31morigin/main ↑1 ↓2\x1b[0m",
+    );
+    expect(formatStatusTable(statuses, { color: true })).not.toContain(
+      "\x1b[33m",
+    );
+  });
+});
@@ -0,0 +1,249 @@
+const { EventEmitter } = require("events");
+const cliProgress = require("cli-progress");
+const { getExecutionModeMessage } = require("./utils");
+const { getOutcomeLabel } = require("./result");
+const { printSummary } = require("../printSummary");
+
+const REPORTERS = ["tty", "plain", "ndjson"];
+
+// Events a reporter renders: the run events of runBatch.js plus runDone {results, exitCode}
+const RUN_EVENTS = [
+  "runStart",
+  "repoStart",
+  "step",
+  "log",
+  "repoDone",
+  "warning",
+  "runDone",
+];
+
+const SPINNER = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+
+/**
+ * Validate --reporter; without one, the bar on a terminal and plain lines otherwise (CI, pipes)
+ * @param {string} [name]
+ * @param {{isTTY?: boolean}} [options] - Default: whether stdout is a terminal
+ * @returns {"tty"|"plain"|"ndjson"}
+ * @throws {Error} On an unknown reporter
+ */
+function resolveReporter(name, { isTTY = Boolean(process.stdout.isTTY) } = {}) {
+  if (!name) return isTTY ? "tty" : "plain";
+  if (!REPORTERS.includes(name)) {
+    const error = new Error(
+      `Unknown reporter "${name}". Use one of: ${REPORTERS.join(", ")}`,
+    );
+    error.code = "REPORTER_UNKNOWN";
+    throw error;
+  }
+  return name;
+}
+
+/**
+ * Prefix every line of a repo's output with its name, so parallel repos stay apart
+ * @param {string} repo
+ * @param {string} message
+ * @returns {string[]}
+ */
+function prefixLines(repo, message) {
+  return String(message)
+    .replace(/\n+$/, "")
+    .split("\n")
+    .map((line) => `[${repo}] ${line}`);
+}
+
+/**
+ * Output shared by the tty and plain reporters: warnings, cloned repos, the
+ * execution mode and the summary table
+ */
+function addHumanOutput(events, { print, err, stop }) {
+  let cloning = false;
+  events
+    .on("warning", ({ message }) => err.write(`⚠️ Warning: ${message}\n`))
+    .on("step", ({ repo, phase, message }) => {
+      if (phase !== "clone") return;
+      if (!cloning) print("\n📥 Cloned missing repo(s)");
+      cloning = true;
+      print(`   ✅ ${repo}: ${message}`);
+    })
+    .on("runStart", ({ concurrency }) =>
+      print(`\n${getExecutionModeMessage(concurrency > 1, concurrency)}\n`),
+    )
+    .on("runDone", ({ results }) => {
+      stop();
+      printSummary(results);
+    });
+}
+
+/**
+ * Progress bar; parallel runs also get a spinner line per running repo with its phase
+ */
+function createTtyReporter(events, { emoji, out, err }) {
+  const bars = new cliProgress.MultiBar(
+    {
+      format: "  {spinner} {repo} {phase}",
+      barCompleteChar: "█",
+      barIncompleteChar: "░",
+      hideCursor: true,
+      stream: err,
+    },
+    cliProgress.Presets.shades_classic,
+  );
+  const lines = new Map();
+  let total;
+  let parallel = false;
+  let frame = 0;
+  let timer;
+
+  // Above the bars while they are drawn, so they are not torn apart
+  const print = (message) => {
+    if (bars.isActive) bars.log(`${message}\n`);
+    else out.write(`${message}\n`);
+  };
+  const stop = () => {
+    clearInterval(timer);
+    if (!total) return;
+    total = undefined;
+    bars.stop();
+  };
+  addHumanOutput(events, { print, err, stop });
+
+  events
+    .on("runStart", ({ repos, concurrency }) => {
+      parallel = concurrency > 1;
+      total = bars.create(
+        repos.length,
+        0,
+        { repo: "" },
+        { format: `${emoji} {bar} {percentage}% | {value}/{total} | {repo}` },
+      );
+      if (parallel) {
+        timer = setInterval(() => {
+          frame = (frame + 1) % SPINNER.length;
+          lines.forEach((line) => line.update({ spinner: SPINNER[frame] }));
+        }, 100);
+        timer.unref();
+      }
+    })
+    .on("repoStart", ({ repo }) => {
+      if (!total) return;
+      if (!parallel) total.update({ repo });
+      else {
+        lines.set(
+          repo,
+          bars.create(1, 0, { spinner: SPINNER[frame], repo, phase: "" }),
+        );
+      }
+    })
+    .on("step", ({ repo, phase }) => {
+      if (!total || phase === "clone") return;
+      if (!parallel) total.update({ repo: `${repo} (${phase})` });
+      else if (lines.has(repo)) lines.get(repo).update({ phase });
+    })
+    .on("log", ({ repo, message }) => prefixLines(repo, message).forEach(print))
+    .on("repoDone", ({ repo }) => {
+      if (!total) return;
+      if (lines.has(repo)) {
+        bars.remove(lines.get(repo));
+        lines.delete(repo);
+      }
+      total.increment();
+    });
+
+  return { events, print, stop };
+}
+
+/**
+ * One line per event, no control sequences: CI logs and pipes
+ */
+function createPlainReporter(events, { out, err }) {
+  const print = (message) => out.write(`${message}\n`);
+  let total = 0;
+  let done = 0;
+  addHumanOutput(events, { print, err, stop: () => {} });
+
+  events
+    .on("runStart", ({ command, repos }) => {
+      total = repos.length;
+      print(`▶ ${command}: ${total} repo(s)`);
+    })
+    .on("repoStart", ({ repo }) => print(`[${repo}] started`))
+    .on("step", ({ repo, phase }) => {
+      if (phase !== "clone") print(`[${repo}] ${phase}`);
+    })
+    .on("log", ({ repo, message }) => prefixLines(repo, message).forEach(print))
+    .on("repoDone", ({ repo, results }) => {
+      done += 1;
+      const count = `[${done}/${total}]`;
+      if (!results.length) print(`[${repo}] done ${count}`);
+      results.forEach((row, i) => {
+        const time =
+          row.durationMs !== undefined
+            ? ` (${(row.durationMs / 1000).toFixed(1)}s)`
+            : "";
+        const last = i === results.length - 1 ? ` ${count}` : "";
+        print(
+          `[${repo}] ${getOutcomeLabel(row)}: ${row.message}${time}${last}`,
+        );
+      });
+    });
+
+  return { events, print, stop: () => {} };
+}
+
+/**
+ * Every event as a JSON line on stdout, for other tools; everything else goes to stderr
+ */
+function createNdjsonReporter(events, { out, err, now }) {
+  RUN_EVENTS.forEach((event) =>
+    events.on(event, (payload) =>
+      out.write(
+        `${JSON.stringify({ event, time: now().toISOString(), ...payload })}\n`,
+      ),
+    ),
+  );
+  return {
+    events,
+    print: (message) => err.write(`${message}\n`),
+    stop: () => {},
+  };
+}
+
+/**
+ * @typedef {object} Reporter
+ * @property {EventEmitter} events - Pass as `events` to runRepos/runExec/syncRepos;
+ *   emit runDone {results, exitCode} on it when the run is over
+ * @property {(message: string) => void} print - Other CLI output (headers, footers,
+ *   reports); on stderr for ndjson, so that stdout only carries events
+ * @property {() => void} stop - Stop drawing (e.g. before printing an error)
+ */
+
+/**
+ * Render a run's events
+ * @param {"tty"|"plain"|"ndjson"} name - See resolveReporter
+ * @param {object} [options]
+ * @param {string} [options.emoji] - In front of the tty progress bar
+ * @param {{write: (chunk: string) => any}} [options.out] - Default: stdout
+ * @param {{write: (chunk: string) => any}} [options.err] - Default: stderr (also the tty bar)
+ * @param {() => Date} [options.now] - ndjson timestamps
+ * @returns {Reporter}
+ */
+function createReporter(
+  name,
+  {
+    emoji = "📦",
+    out = process.stdout,
+    err = process.stderr,
+    now = () => new Date(),
+  } = {},
+) {
+  const events = new EventEmitter();
+  if (name === "ndjson") return createNdjsonReporter(events, { out, err, now });
+  if (name === "plain") return createPlainReporter(events, { out, err });
+  return createTtyReporter(events, { emoji, out, err });
+}
+
+module.exports = {
+  REPORTERS,
+  resolveReporter,
+  createReporter,
+};
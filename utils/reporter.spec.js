@@ -0,0 +1,133 @@
+const { resolveReporter, createReporter } = require("./reporter");
+
+describe("reporter", () => {
+  const createStream = () => {
+    const chunks = [];
+    return { chunks, write: (chunk) => chunks.push(chunk) };
+  };
+  const row = (repo, outcome, message) => ({
+    repo,
+    phase: "exec",
+    outcome,
+    message,
+    durationMs: 1200,
+  });
+
+  const runEvents = (events) => {
+    events.emit("runStart", {
+      command: "exec",
+      repos: ["web", "shop"],
+      concurrency: 2,
+    });
+    events.emit("repoStart", { repo: "web" });
+    events.emit("repoStart", { repo: "shop" });
+    events.emit("step", { repo: "web", phase: "exec" });
+    events.emit("log", { repo: "web", level: "log", message: "one\ntwo\n" });
+    events.emit("warning", { message: "nope was not found" });
+    events.emit("repoDone", {
+      repo: "shop",
+      results: [row("shop", "failed", "Command failed")],
+    });
+    events.emit("repoDone", {
+      repo: "web",
+      results: [row("web", "success", "Executed successfully")],
+    });
+  };
+
+  describe("resolveReporter", () => {
+    it("should default to tty on a terminal and plain otherwise", () => {
+      expect(resolveReporter(undefined, { isTTY: true })).toBe("tty");
+      expect(resolveReporter(undefined, { isTTY: false })).toBe("plain");
+      expect(resolveReporter("ndjson", { isTTY: true })).toBe("ndjson");
+    });
+
+    it("should reject unknown reporters", () => {
+      expect(() => resolveReporter("fancy")).toThrow(
+        'Unknown reporter "fancy". Use one of: tty, plain, ndjson',
+      );
+    });
+  });
+
+  describe("plain", () => {
+    it("should print one line per event, prefixed with the repo", () => {
+      const out = createStream();
+      const err = createStream();
+      runEvents(createReporter("plain", { out, err }).events);
+
+      expect(out.chunks.join("").split("\n")).toEqual([
+        "",
+        "⚡ Running in parallel mode: concurrent tasks limit is 2",
+        "",
+        "▶ exec: 2 repo(s)",
+        "[web] started",
+        "[shop] started",
+        "[web] exec",
+        "[web] one",
+        "[web] two",
+        "[shop] ❌ Error: Command failed (1.2s) [1/2]",
+        "[web] ✅ Success: Executed successfully (1.2s) [2/2]",
+        "",
+      ]);
+      expect(err.chunks).toEqual(["⚠️ Warning: nope was not found\n"]);
+    });
+
+    it("should print the summary when the run is done", () => {
+      const log = jest.spyOn(console, "log").mockImplementation(() => {});
+      const table = jest.spyOn(console, "table").mockImplementation(() => {});
+      const { events } = createReporter("plain", {
+        out: createStream(),
+        err: createStream(),
+      });
+      events.emit("runDone", {
+        results: [row("web", "success", "ok")],
+        exitCode: 0,
+      });
+
+      expect(log).toHaveBeenCalledWith("\n📊 Summary:\n");
+      expect(table).toHaveBeenCalledTimes(1);
+      log.mockRestore();
+      table.mockRestore();
+    });
+  });
+
+  describe("ndjson", () => {
+    it("should write every event as a JSON line and the rest to stderr", () => {
+      const out = createStream();
+      const err = createStream();
+      const reporter = createReporter("ndjson", {
+        out,
+        err,
+        now: () => new Date("2026-01-02T03:04:05Z"),
+      });
+      runEvents(reporter.events);
+      reporter.events.emit("runDone", { results: [], exitCode: 2 });
+      reporter.print("📝 json report written to run.json");
+
+      const lines = out.chunks.map((chunk) => JSON.parse(chunk));
+      expect(lines.map((line) => line.event)).toEqual([
+        "runStart",
+        "repoStart",
+        "repoStart",
+        "step",
+        "log",
+        "warning",
+        "repoDone",
+        "repoDone",
+        "runDone",
+      ]);
+      expect(lines[0]).toEqual({
+        event: "runStart",
+        time: "2026-01-02T03:04:05.000Z",
+        command: "exec",
+        repos: ["web", "shop"],
+        concurrency: 2,
+      });
+      expect(lines[6].results[0]).toMatchObject({
+        repo: "shop",
+        outcome: "failed",
+      });
+      expect(lines[8]).toMatchObject({ results: [], exitCode: 2 });
+      expect(err.chunks).toEqual(["📝 json report written to run.json\n"]);
+    });
+  });
+});
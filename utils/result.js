@@ -0,0 +1,61 @@
+/**
+ * Outcome of a repo in a run
+ * @enum {string}
+ */
+const OUTCOMES = {
+  SUCCESS: "success",
+  SKIPPED: "skipped",
+  FAILED: "failed",
+  DRY_RUN: "dry-run",
+  CANCELLED: "cancelled",
+};
+
+// Status column of the summary table
+const OUTCOME_LABELS = {
+  [OUTCOMES.SUCCESS]: "✅ Success",
+  [OUTCOMES.SKIPPED]: "⚠️ Skipped",
+  [OUTCOMES.FAILED]: "❌ Error",
+  [OUTCOMES.DRY_RUN]: "☑️ DRY RUN",
+  [OUTCOMES.CANCELLED]: "🛑 Cancelled",
+};
+
+/**
+ * @typedef {object} RepoResult
+ * @property {string} repo - Repo name (as in repos.json)
+ * @property {string} phase - Step the result refers to, e.g. "checkout", "install", "push", "exec", "pull"
+ * @property {string} outcome - One of OUTCOMES
+ * @property {string} message - Short, human-readable detail
+ * @property {number} [durationMs] - Time spent on the repo
+ * @property {string} [logFile] - Absolute path of the repo's log
+ * @property {string} [branch]
+ * @property {string} [commit] - SHA of the commit the run created
+ * @property {string} [pr] - URL of the opened pull/merge request
+ */
+
+/**
+ * Create a result row
+ * @param {{repo: string, phase: string, outcome: string, message?: string}} fields - Plus any optional RepoResult field
+ * @returns {RepoResult}
+ * @throws {Error} On an unknown outcome
+ */
+function createResult({ repo, phase, outcome, message = "", ...details }) {
+  if (!OUTCOME_LABELS[outcome]) {
+    throw new Error(`Unknown result outcome "${outcome}"`);
+  }
+  const result = { repo, phase, outcome, message };
+  Object.entries(details).forEach(([key, value]) => {
+    if (value !== undefined) result[key] = value;
+  });
+  return result;
+}
+
+/**
+ * Status label of a result for the summary table
+ * @param {RepoResult} result
+ * @returns {string}
+ */
+function getOutcomeLabel(result) {
+  return OUTCOME_LABELS[result.outcome] || result.outcome;
+}
+
+module.exports = { OUTCOMES, OUTCOME_LABELS, createResult, getOutcomeLabel };
@@ -0,0 +1,41 @@
+const { OUTCOMES, createResult, getOutcomeLabel } = require("./result");
+
+describe("createResult", () => {
+  it("should keep the common fields and drop undefined details", () => {
+    expect(
+      createResult({
+        repo: "web",
+        phase: "push",
+        outcome: OUTCOMES.SUCCESS,
+        logFile: "/logs/web.log",
+        pr: undefined,
+      }),
+    ).toEqual({
+      repo: "web",
+      phase: "push",
+      outcome: "success",
+      message: "",
+      logFile: "/logs/web.log",
+    });
+  });
+
+  it("should throw on unknown outcomes", () => {
+    expect(() =>
+      createResult({ repo: "web", phase: "push", outcome: "ok" }),
+    ).toThrow('Unknown result outcome "ok"');
+  });
+});
+
+describe("getOutcomeLabel", () => {
+  it("should map outcomes to summary labels", () => {
+    expect(
+      Object.values(OUTCOMES).map((outcome) => getOutcomeLabel({ outcome })),
+    ).toEqual([
+      "✅ Success",
+      "⚠️ Skipped",
+      "❌ Error",
+      "☑️ DRY RUN",
+      "🛑 Cancelled",
+    ]);
+  });
+});
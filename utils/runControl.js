@@ -0,0 +1,231 @@
+const { OUTCOMES, createResult } = require("./result");
+const { annotateResults } = require("./runReport");
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+const CANCEL_SIGNALS = ["SIGINT", "SIGTERM"];
+
+/**
+ * Parse a duration such as "90s", "10m", "1h" or "500ms"; bare numbers are seconds
+ * @param {string|number} value
+ * @returns {number|null} Milliseconds, or null if the value is not a positive duration
+ */
+function parseDuration(value) {
+  if (typeof value !== "string" && typeof value !== "number") return null;
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h)?\s*$/.exec(String(value));
+  if (!match) return null;
+  const ms = Math.round(Number(match[1]) * DURATION_UNITS[match[2] || "s"]);
+  return ms > 0 ? ms : null;
+}
+
+/**
+ * Short label for a duration in milliseconds, e.g. "10m" or "1500ms"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const unit = ["h", "m", "s"].find((u) => ms % DURATION_UNITS[u] === 0);
+  return unit ? `${ms / DURATION_UNITS[unit]}${unit}` : `${ms}ms`;
+}
+
+/**
+ * Resolve --concurrency / --parallel / --timeout into run settings
+ * @param {{concurrency?: string, parallel?: boolean, timeout?: string}} options
+ * @returns {{concurrency: number, timeoutMs?: number}}
+ * @throws {Error} If --concurrency or --timeout is invalid
+ */
+function getRunSettings({ concurrency, parallel, timeout } = {}) {
+  let count = parallel ? 5 : 1;
+  if (concurrency !== undefined) {
+    count = Number(concurrency);
+    if (!Number.isInteger(count) || count < 1) {
+      const error = new Error(
+        `--concurrency must be a positive integer (got "${concurrency}")`,
+      );
+      error.code = "CONCURRENCY_INVALID";
+      throw error;
+    }
+  }
+
+  let timeoutMs;
+  if (timeout !== undefined) {
+    timeoutMs = parseDuration(timeout);
+    if (!timeoutMs) {
+      const error = new Error(
+        `--timeout must be a duration like 90s, 10m or 1h (got "${timeout}")`,
+      );
+      error.code = "TIMEOUT_INVALID";
+      throw error;
+    }
+  }
+
+  return { concurrency: count, timeoutMs };
+}
+
+/**
+ * Error used as the abort reason of a repo's signal
+ * @param {"TIMEOUT"|"CANCELLED"} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function abortReason(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Abort the run on SIGINT/SIGTERM. A second signal calls onForceQuit.
+ * @param {AbortController} controller - Aborted on the first signal
+ * @param {() => void} onForceQuit
+ * @returns {() => void} Removes the handlers
+ */
+function handleCancelSignals(controller, onForceQuit) {
+  const onSignal = (signal) => {
+    if (controller.signal.aborted) {
+      onForceQuit();
+      return;
+    }
+    console.error(
+      `\n🛑 ${signal} received: stopping running commands (send it again to quit immediately)`,
+    );
+    controller.abort(abortReason("CANCELLED", `Cancelled by ${signal}`));
+  };
+  CANCEL_SIGNALS.forEach((signal) => process.on(signal, onSignal));
+  return () =>
+    CANCEL_SIGNALS.forEach((signal) => process.off(signal, onSignal));
+}
+
+/**
+ * Replace whatever a repo reported after its commands were killed with the abort reason
+ * @param {Array<import("./result").RepoResult>} results
+ * @param {string} repoName
+ * @param {Error} reason - From abortReason
+ */
+function recordAbort(results, repoName, reason) {
+  const previous = results.find((r) => r.repo === repoName);
+  for (let i = results.length - 1; i >= 0; i--) {
+    if (results[i].repo === repoName) results.splice(i, 1);
+  }
+  results.push(
+    createResult({
+      repo: repoName,
+      phase: previous ? previous.phase : "start",
+      outcome:
+        reason && reason.code === "CANCELLED"
+          ? OUTCOMES.CANCELLED
+          : OUTCOMES.FAILED,
+      message: reason ? reason.message : "Aborted",
+      logFile: previous ? previous.logFile : undefined,
+    }),
+  );
+}
+
+const getRows = (results, repoName) =>
+  results.filter((row) => row.repo === repoName);
+
+/**
+ * Wrap a limiter (e.g. pLimit(concurrency)) for per-repo tasks. Each task gets an
+ * AbortSignal that fires on the repo's timeout (repo.timeout wins over timeoutMs)
+ * or when the run is cancelled; pass it to every child process so they are killed.
+ * The repo's rows get the duration and optional details; a task that throws gets a
+ * failed row and resolves to undefined.
+ * @param {object} options
+ * @param {(fn: () => Promise<any>) => Promise<any>} options.limit
+ * @param {Array} options.results - Summary rows
+ * @param {(repo: object) => string} options.getName - Repo name used in the rows
+ * @param {number} [options.timeoutMs] - Default per-repo timeout
+ * @param {AbortSignal} [options.signal] - Aborted when the whole run is cancelled
+ * @param {(repo: object) => object} [options.details] - Extra fields for the repo's rows
+ * @param {(repoName: string) => void} [options.onStart] - Called when the repo's task starts
+ * @param {(repoName: string, rows: Array) => void} [options.onDone] - Called with the repo's
+ *   rows once it is finished, also for repos never started because the run was cancelled
+ * @returns {(repo: object, task: (signal: AbortSignal) => Promise<any>) => Promise<any>}
+ */
+function createRepoLimit({
+  limit,
+  results,
+  getName,
+  timeoutMs,
+  signal,
+  details = () => ({}),
+  onStart = () => {},
+  onDone = () => {},
+}) {
+  return (repo, task) =>
+    limit(async () => {
+      const repoName = getName(repo);
+      if (signal && signal.aborted) {
+        results.push(
+          createResult({
+            repo: repoName,
+            phase: "start",
+            outcome: OUTCOMES.CANCELLED,
+            message: "Not started: the run was cancelled",
+          }),
+        );
+        onDone(repoName, getRows(results, repoName));
+        return undefined;
+      }
+
+      const controller = new AbortController();
+      const cancel = () => controller.abort(signal.reason);
+      if (signal) signal.addEventListener("abort", cancel, { once: true });
+
+      const repoTimeout =
+        repo.timeout !== undefined ? parseDuration(repo.timeout) : timeoutMs;
+      const timer = repoTimeout
+        ? setTimeout(
+            () =>
+              controller.abort(
+                abortReason(
+                  "TIMEOUT",
+                  `Timed out after ${formatDuration(repoTimeout)}`,
+                ),
+              ),
+            repoTimeout,
+          )
+        : null;
+
+      const started = Date.now();
+      onStart(repoName);
+      try {
+        return await task(controller.signal);
+      } catch (error) {
+        // A task that throws fails its repo, not the whole run; aborts are recorded below
+        if (!controller.signal.aborted) {
+          const previous = getRows(results, repoName).pop();
+          results.push(
+            createResult({
+              repo: repoName,
+              phase: previous ? previous.phase : "start",
+              outcome: OUTCOMES.FAILED,
+              message: error.message,
+            }),
+          );
+        }
+        return undefined;
+      } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener("abort", cancel);
+        if (controller.signal.aborted) {
+          recordAbort(results, repoName, controller.signal.reason);
+        }
+        annotateResults(results, repoName, {
+          durationMs: Date.now() - started,
+          ...details(repo),
+        });
+        onDone(repoName, getRows(results, repoName));
+      }
+    });
+}
+
+module.exports = {
+  CANCEL_SIGNALS,
+  parseDuration,
+  formatDuration,
+  getRunSettings,
+  abortReason,
+  handleCancelSignals,
+  createRepoLimit,
+};
@@ -0,0 +1,170 @@
+const util = require("util");
+const exec = util.promisify(require("child_process").exec);
+const {
+  parseDuration,
+  formatDuration,
+  getRunSettings,
+  abortReason,
+  createRepoLimit,
+} = require("./runControl");
+
+describe("parseDuration / formatDuration", () => {
+  it("should parse units and treat bare numbers as seconds", () => {
+    expect(parseDuration("500ms")).toBe(500);
+    expect(parseDuration("90s")).toBe(90000);
+    expect(parseDuration("10m")).toBe(600000);
+    expect(parseDuration("1.5h")).toBe(5400000);
+    expect(parseDuration(30)).toBe(30000);
+    expect(parseDuration("30")).toBe(30000);
+  });
+
+  it("should reject invalid or non-positive durations", () => {
+    ["", "abc", "10d", "0", "-5s", null, {}].forEach((value) => {
+      expect(parseDuration(value)).toBeNull();
+    });
+  });
+
+  it("should format with the largest whole unit", () => {
+    expect(formatDuration(600000)).toBe("10m");
+    expect(formatDuration(90000)).toBe("90s");
+    expect(formatDuration(1500)).toBe("1500ms");
+  });
+});
+
+describe("getRunSettings", () => {
+  it("should default to 1, or 5 with --parallel", () => {
+    expect(getRunSettings({})).toEqual({ concurrency: 1 });
+    expect(getRunSettings({ parallel: true }).concurrency).toBe(5);
+  });
+
+  it("should let --concurrency win and parse --timeout", () => {
+    expect(
+      getRunSettings({ parallel: true, concurrency: "2", timeout: "10m" }),
+    ).toEqual({ concurrency: 2, timeoutMs: 600000 });
+  });
+
+  it("should throw on invalid values", () => {
+    expect(() => getRunSettings({ concurrency: "0" })).toThrow(
+      "--concurrency must be a positive integer",
+    );
+    expect(() => getRunSettings({ timeout: "soon" })).toThrow(
+      "--timeout must be a duration",
+    );
+  });
+});
+
+describe("createRepoLimit", () => {
+  const getName = (repo) => repo.name;
+  const parallel = (fn) => fn();
+  const sequential = () => {
+    let queue = Promise.resolve();
+    return (fn) => (queue = queue.then(fn));
+  };
+
+  it("should kill a repo's command when its timeout fires", async () => {
+    const results = [];
+    const limit = createRepoLimit({
+      limit: parallel,
+      results,
+      getName,
+      timeoutMs: 5000,
+    });
+
+    await Promise.all([
+      limit({ name: "slow", timeout: "200ms" }, async (signal) => {
+        await exec("sleep 5", { signal }).catch(() => {});
+        results.push({ repo: "slow", phase: "exec", outcome: "failed" });
+      }),
+      limit({ name: "fast" }, async () => {
+        results.push({ repo: "fast", phase: "exec", outcome: "success" });
+      }),
+    ]);
+
+    const slow = results.find((r) => r.repo === "slow");
+    expect(slow).toMatchObject({
+      phase: "exec",
+      outcome: "failed",
+      message: "Timed out after 200ms",
+    });
+    expect(slow.durationMs).toBeLessThan(4000);
+    expect(results.filter((r) => r.repo === "slow")).toHaveLength(1);
+    expect(results.find((r) => r.repo === "fast").outcome).toBe("success");
+  });
+
+  it("should turn a task that throws into a failed row", async () => {
+    const results = [];
+    const limit = createRepoLimit({ limit: parallel, results, getName });
+
+    const [broken, fine] = await Promise.all([
+      limit({ name: "broken" }, async () => {
+        results.push({ repo: "broken", phase: "install", outcome: "success" });
+        throw new Error("ENOENT: no such file");
+      }),
+      limit({ name: "fine" }, async () => "ok"),
+    ]);
+
+    expect(broken).toBeUndefined();
+    expect(fine).toBe("ok");
+    expect(results.map((r) => [r.repo, r.phase, r.outcome, r.message])).toEqual(
+      [
+        ["broken", "install", "success", undefined],
+        ["broken", "install", "failed", "ENOENT: no such file"],
+      ],
+    );
+  });
+
+  it("should cancel running and queued repos when the run is aborted", async () => {
+    const results = [];
+    const controller = new AbortController();
+    const limit = createRepoLimit({
+      limit: sequential(),
+      results,
+      getName,
+      signal: controller.signal,
+    });
+
+    const running = limit({ name: "a" }, (signal) =>
+      exec("sleep 5", { signal }).catch(() => {}),
+    );
+    const queued = limit({ name: "b" }, async () => {
+      results.push({ repo: "b", phase: "exec", outcome: "success" });
+    });
+    setTimeout(
+      () => controller.abort(abortReason("CANCELLED", "Cancelled by SIGINT")),
+      100,
+    );
+    await Promise.all([running, queued]);
+
+    expect(results.map((r) => [r.repo, r.outcome, r.message])).toEqual([
+      ["a", "cancelled", "Cancelled by SIGINT"],
+      ["b", "cancelled", "Not started: the run was cancelled"],
+    ]);
+  });
+
+  it("should report each repo's start and its rows when it is done", async () => {
+    const results = [];
+    const events = [];
+    const controller = new AbortController();
+    const limit = createRepoLimit({
+      limit: sequential(),
+      results,
+      getName,
+      signal: controller.signal,
+      onStart: (repo) => events.push(["start", repo]),
+      onDone: (repo, rows) =>
+        events.push(["done", repo, rows.map((r) => r.outcome)]),
+    });
+
+    await limit({ name: "a" }, async () => {
+      results.push({ repo: "a", phase: "exec", outcome: "success" });
+      controller.abort(abortReason("CANCELLED", "Cancelled by SIGINT"));
+    });
+    await limit({ name: "b" }, async () => {});
+
+    expect(events).toEqual([
+      ["start", "a"],
+      ["done", "a", ["cancelled"]],
+      ["done", "b", ["cancelled"]],
+    ]);
+  });
+});
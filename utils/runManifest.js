@@ -0,0 +1,163 @@
+const fs = require("fs");
+const path = require("path");
+const { isFailedResult } = require("./utils");
+const { OUTCOMES } = require("./result");
+
+const RUN_STATE_FILE = "last-run.json";
+
+/**
+ * Ensure the run manifests directory exists and return its path
+ * @param {string} [dir] - Default: $BATCH_BUMP_RUNS_DIR, else runs/ in the tool root
+ * @returns {string} Path to the runs directory
+ */
+function ensureRunsDir(
+  dir = process.env.BATCH_BUMP_RUNS_DIR ||
+    path.resolve(__dirname, "..", "runs"),
+) {
+  const runsDir = path.resolve(dir);
+  if (!fs.existsSync(runsDir)) fs.mkdirSync(runsDir, { recursive: true });
+  return runsDir;
+}
+
+/**
+ * Create a sortable, filename-safe run id, e.g. "20261019-181156-a1b2"
+ * @param {Date} [date]
+ * @returns {string}
+ */
+function createRunId(date = new Date()) {
+  const stamp = date
+    .toISOString()
+    .replace(/\.\d+Z$/, "")
+    .replace(/[-:]/g, "")
+    .replace("T", "-");
+  const suffix = Math.random().toString(16).slice(2, 6).padEnd(4, "0");
+  return `${stamp}-${suffix}`;
+}
+
+/**
+ * Create a new (unsaved) run manifest
+ * @param {{command: string, packages: string[], basePath: string, options?: object}} params
+ * @returns {object}
+ */
+function createManifest({ command, packages, basePath, options = {} }) {
+  return {
+    runId: createRunId(),
+    createdAt: new Date().toISOString(),
+    command,
+    packages,
+    basePath,
+    options,
+    repos: [],
+  };
+}
+
+/**
+ * Write a manifest to <runsDir>/<runId>.json
+ * @param {object} manifest
+ * @param {string} [runsDir]
+ * @returns {string} Path of the manifest file
+ */
+function saveManifest(manifest, runsDir = ensureRunsDir()) {
+  const file = path.resolve(runsDir, `${manifest.runId}.json`);
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2), "utf8");
+  return file;
+}
+
+/**
+ * Run ids of saved manifests, oldest first
+ * @param {string} [runsDir]
+ * @returns {string[]}
+ */
+function listRuns(runsDir = ensureRunsDir()) {
+  return fs
+    .readdirSync(runsDir)
+    .filter((f) => f.endsWith(".json") && f !== RUN_STATE_FILE)
+    .map((f) => f.slice(0, -".json".length))
+    .sort();
+}
+
+/**
+ * Load a manifest by run id (latest run when omitted)
+ * @param {string} [runId]
+ * @param {string} [runsDir]
+ * @returns {object}
+ * @throws {Error} If there is no such run
+ */
+function loadManifest(runId, runsDir = ensureRunsDir()) {
+  const id = runId || listRuns(runsDir).pop();
+  if (!id) {
+    const error = new Error(`No run manifests found in ${runsDir}`);
+    error.code = "RUN_NOT_FOUND";
+    throw error;
+  }
+
+  const file = path.resolve(runsDir, `${id}.json`);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    const error = new Error(`Could not read run ${id}: ${e.message}`);
+    error.code = "RUN_NOT_FOUND";
+    throw error;
+  }
+}
+
+/**
+ * Persist the state of the latest run (invocation + results) for --retry-failed / --resume
+ * @param {{command: string, args: string[], options: object, selected: string[], results: Array, finishedAt?: string}} state
+ * @param {string} [runsDir]
+ * @returns {string} Path of the state file
+ */
+function saveRunState(state, runsDir = ensureRunsDir()) {
+  const file = path.resolve(runsDir, RUN_STATE_FILE);
+  fs.writeFileSync(file, JSON.stringify(state, null, 2), "utf8");
+  return file;
+}
+
+/**
+ * Load the state of the latest run
+ * @param {string} [runsDir]
+ * @returns {object}
+ * @throws {Error} If no run state was saved yet
+ */
+function loadRunState(runsDir = ensureRunsDir()) {
+  const file = path.resolve(runsDir, RUN_STATE_FILE);
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    const error = new Error(
+      `No previous run state found (${file}): ${e.message}`,
+    );
+    error.code = "RUN_STATE_NOT_FOUND";
+    throw error;
+  }
+}
+
+/**
+ * Repos of a saved run that should be processed again
+ * @param {{selected: string[], results: Array}} state
+ * @param {{resume?: boolean}} [options] - resume: only repos that never finished
+ * @returns {string[]} Repo names
+ */
+function getRetryTargets(state, { resume = false } = {}) {
+  const finished = new Map();
+  (state.results || []).forEach((r) => finished.set(r.repo, r));
+
+  return state.selected.filter((name) => {
+    const result = finished.get(name);
+    // Cancelled repos never finished
+    if (!result || result.outcome === OUTCOMES.CANCELLED) return true;
+    return !resume && isFailedResult(result);
+  });
+}
+
+module.exports = {
+  ensureRunsDir,
+  createRunId,
+  createManifest,
+  saveManifest,
+  listRuns,
+  loadManifest,
+  saveRunState,
+  loadRunState,
+  getRetryTargets,
+};
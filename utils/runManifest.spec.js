@@ -0,0 +1,83 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createRunId,
+  createManifest,
+  saveManifest,
+  listRuns,
+  loadManifest,
+  saveRunState,
+  getRetryTargets,
+} = require("./runManifest");
+
+describe("runManifest", () => {
+  let runsDir;
+
+  beforeEach(() => {
+    runsDir = fs.mkdtempSync(path.join(os.tmpdir(), "runs-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(runsDir, { recursive: true, force: true });
+  });
+
+  it("should create sortable run ids", () => {
+    const id = createRunId(new Date("2026-01-02T03:04:05.678Z"));
+    expect(id).toMatch(/^20260102-030405-[0-9a-f]{4}$/);
+  });
+
+  it("should save and load manifests, defaulting to the latest run", () => {
+    const first = {
+      ...createManifest({
+        command: "install",
+        packages: ["a"],
+        basePath: "/p",
+      }),
+      runId: "20260101-000000-aaaa",
+    };
+    const second = { ...first, runId: "20260102-000000-bbbb", command: "bump" };
+    saveManifest(first, runsDir);
+    saveManifest(second, runsDir);
+
+    expect(listRuns(runsDir)).toEqual([first.runId, second.runId]);
+    expect(loadManifest(undefined, runsDir).command).toBe("bump");
+    expect(loadManifest(first.runId, runsDir).command).toBe("install");
+  });
+
+  it("should throw when no run exists", () => {
+    expect(() => loadManifest(undefined, runsDir)).toThrow(/No run manifests/);
+    expect(() => loadManifest("nope", runsDir)).toThrow(/Could not read run/);
+  });
+
+  it("should default to BATCH_BUMP_RUNS_DIR", () => {
+    const dir = path.join(runsDir, "nested");
+    process.env.BATCH_BUMP_RUNS_DIR = dir;
+    try {
+      saveRunState({ command: "install", results: [] });
+      expect(fs.readdirSync(dir)).toEqual(["last-run.json"]);
+    } finally {
+      delete process.env.BATCH_BUMP_RUNS_DIR;
+    }
+  });
+});
+
+describe("getRetryTargets", () => {
+  const state = {
+    selected: ["a", "b", "c", "d"],
+    results: [
+      { repo: "a", outcome: "success", message: "Installed" },
+      { repo: "b", outcome: "failed", message: "Command failed" },
+      { repo: "c", outcome: "failed", message: "Path not found" },
+      { repo: "d", outcome: "cancelled", message: "Cancelled by SIGINT" },
+    ],
+  };
+
+  it("should return failed and unfinished repos", () => {
+    expect(getRetryTargets(state)).toEqual(["b", "c", "d"]);
+  });
+
+  it("should return only unfinished repos when resuming", () => {
+    expect(getRetryTargets(state, { resume: true })).toEqual(["d"]);
+  });
+});
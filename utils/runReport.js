@@ -0,0 +1,245 @@
+const fs = require("fs");
+const path = require("path");
+const { OUTCOMES, getOutcomeLabel } = require("./result");
+
+const RUN_REPORT_FORMATS = ["json", "junit", "markdown"];
+
+const EXTENSION_FORMATS = {
+  ".json": "json",
+  ".xml": "junit",
+  ".md": "markdown",
+  ".markdown": "markdown",
+};
+
+/**
+ * Pick the report format from --report, or from the --report-file extension
+ * @param {{report?: string, reportFile?: string}} options
+ * @returns {string|null} null when no report was requested
+ * @throws {Error} If the format is unknown
+ */
+function resolveReportFormat({ report, reportFile } = {}) {
+  if (!report && !reportFile) return null;
+
+  const format =
+    report ||
+    EXTENSION_FORMATS[path.extname(reportFile).toLowerCase()] ||
+    "json";
+  if (!RUN_REPORT_FORMATS.includes(format)) {
+    const error = new Error(
+      `Unknown report format "${format}". Use one of: ${RUN_REPORT_FORMATS.join(", ")}`,
+    );
+    error.code = "REPORT_FORMAT_UNKNOWN";
+    throw error;
+  }
+  return format;
+}
+
+/**
+ * Attach run details (duration, branch, commit, …) to a repo's summary rows.
+ * Rows that already have a duration are left alone.
+ * @param {Array} results - Summary rows
+ * @param {string} repoName
+ * @param {object} details - undefined values are skipped
+ */
+function annotateResults(results, repoName, details) {
+  results
+    .filter((r) => r.repo === repoName && r.durationMs === undefined)
+    .forEach((r) => {
+      Object.entries(details).forEach(([key, value]) => {
+        if (value !== undefined && r[key] === undefined) r[key] = value;
+      });
+    });
+}
+
+/**
+ * Build the report document for a finished run
+ * @param {{command: string, args?: string[], startedAt: string, finishedAt?: string, results: Array<import("./result").RepoResult>}} run
+ * @returns {object}
+ */
+function buildRunReport({
+  command,
+  args = [],
+  startedAt,
+  finishedAt,
+  results,
+}) {
+  const end = finishedAt || new Date().toISOString();
+  const repos = results.map((r) => ({
+    repo: r.repo,
+    phase: r.phase,
+    outcome: r.outcome,
+    status: getOutcomeLabel(r),
+    message: r.message,
+    branch: r.branch,
+    commit: r.commit,
+    pr: r.pr,
+    logFile: r.logFile,
+    durationMs: r.durationMs,
+  }));
+
+  const summary = { total: repos.length };
+  Object.values(OUTCOMES).forEach((outcome) => {
+    summary[outcome] = repos.filter((r) => r.outcome === outcome).length;
+  });
+
+  return {
+    command,
+    args,
+    startedAt,
+    finishedAt: end,
+    durationMs: new Date(end) - new Date(startedAt),
+    summary,
+    repos,
+  };
+}
+
+/**
+ * Escape text for XML attributes and content
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value === undefined ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+/**
+ * JUnit XML: one testcase per repo
+ * @param {ReturnType<typeof buildRunReport>} report
+ * @returns {string}
+ */
+function formatJunit(report) {
+  const suite = [report.command, ...report.args].join(" ");
+  const skipped =
+    report.summary[OUTCOMES.SKIPPED] +
+    report.summary[OUTCOMES.DRY_RUN] +
+    report.summary[OUTCOMES.CANCELLED];
+  const attrs = `tests="${report.summary.total}" failures="${report.summary.failed}" skipped="${skipped}" time="${seconds(report.durationMs)}"`;
+
+  const cases = report.repos.map((r) => {
+    const open = `    <testcase classname="batch-bump.${escapeXml(report.command)}" name="${escapeXml(r.repo)}" time="${seconds(r.durationMs)}"`;
+    const details = [
+      r.phase && `phase: ${r.phase}`,
+      r.branch && `branch: ${r.branch}`,
+      r.commit && `commit: ${r.commit}`,
+      r.pr && `pr: ${r.pr}`,
+      r.logFile && `log: ${r.logFile}`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    if (r.outcome === OUTCOMES.FAILED) {
+      return [
+        `${open}>`,
+        `      <failure message="${escapeXml(r.message)}">${escapeXml(details)}</failure>`,
+        "    </testcase>",
+      ].join("\n");
+    }
+    if (r.outcome !== OUTCOMES.SUCCESS) {
+      return [
+        `${open}>`,
+        `      <skipped message="${escapeXml(r.message)}"/>`,
+        "    </testcase>",
+      ].join("\n");
+    }
+    return details
+      ? `${open}>\n      <system-out>${escapeXml(details)}</system-out>\n    </testcase>`
+      : `${open}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="batch-bump" ${attrs}>`,
+    `  <testsuite name="${escapeXml(suite)}" timestamp="${escapeXml(report.startedAt)}" ${attrs}>`,
+    ...cases,
+    "  </testsuite>",
+    "</testsuites>",
+  ].join("\n");
+}
+
+/**
+ * Markdown summary, ready to paste into an issue
+ * @param {ReturnType<typeof buildRunReport>} report
+ * @returns {string}
+ */
+function formatRunMarkdown(report) {
+  const escape = (s) =>
+    String(s === undefined ? "" : s)
+      .replace(/\|/g, "\\|")
+      .replace(/\r?\n/g, " ");
+  const { summary } = report;
+  const title = [report.command, ...report.args].join(" ");
+
+  const cancelled = summary.cancelled
+    ? `, 🛑 ${summary.cancelled} cancelled`
+    : "";
+
+  const lines = [
+    `### batch-bump: \`${title}\``,
+    "",
+    `${summary.total} repos — ✅ ${summary.success} succeeded, ⚠️ ${summary.skipped} skipped, ☑️ ${summary["dry-run"]} dry run, ❌ ${summary.failed} failed${cancelled} (${seconds(report.durationMs)}s)`,
+    "",
+    "| Repo | Status | Phase | Branch | Commit | Duration | Message |",
+    "| --- | --- | --- | --- | --- | --- | --- |",
+  ];
+  report.repos.forEach((r) => {
+    const message = r.pr ? `${r.message} ([PR](${r.pr}))` : r.message;
+    lines.push(
+      `| ${[
+        escape(r.repo),
+        escape(r.status),
+        escape(r.phase),
+        r.branch ? `\`${escape(r.branch)}\`` : "—",
+        r.commit ? `\`${r.commit.slice(0, 7)}\`` : "—",
+        r.durationMs === undefined ? "—" : `${seconds(r.durationMs)}s`,
+        escape(message),
+      ].join(" | ")} |`,
+    );
+  });
+  return lines.join("\n");
+}
+
+/**
+ * Render a report in the given format
+ * @param {ReturnType<typeof buildRunReport>} report
+ * @param {string} format - One of RUN_REPORT_FORMATS
+ * @returns {string}
+ */
+function formatRunReport(report, format) {
+  if (format === "junit") return formatJunit(report);
+  if (format === "markdown") return formatRunMarkdown(report);
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Write the report to a file (directories are created) or return it for stdout
+ * @param {ReturnType<typeof buildRunReport>} report
+ * @param {{format: string, file?: string}} options
+ * @returns {{file?: string, output: string}}
+ */
+function writeRunReport(report, { format, file }) {
+  const output = formatRunReport(report, format);
+  if (!file) return { output };
+
+  const target = path.resolve(file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, `${output}\n`, "utf8");
+  return { file: target, output };
+}
+
+module.exports = {
+  RUN_REPORT_FORMATS,
+  resolveReportFormat,
+  annotateResults,
+  buildRunReport,
+  formatJunit,
+  formatRunMarkdown,
+  formatRunReport,
+  writeRunReport,
+};
@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  resolveReportFormat,
+  annotateResults,
+  buildRunReport,
+  formatJunit,
+  formatRunMarkdown,
+  writeRunReport,
+} = require("./runReport");
+const { createResult } = require("./result");
+
+const results = [
+  createResult({
+    repo: "web",
+    phase: "push",
+    outcome: "success",
+    message: "Committed on chore/deps",
+    branch: "chore/deps",
+    commit: "0123456789abcdef",
+    logFile: "/logs/web.log",
+    durationMs: 1500,
+  }),
+  createResult({
+    repo: "api",
+    phase: "install",
+    outcome: "failed",
+    message: 'pnpm add <x> failed & "quoted"',
+    durationMs: 250,
+  }),
+  createResult({
+    repo: "docs",
+    phase: "commit",
+    outcome: "skipped",
+    message: "No changes to commit",
+  }),
+  createResult({
+    repo: "legacy",
+    phase: "checkout",
+    outcome: "dry-run",
+    message: "Would create branch",
+  }),
+];
+
+const run = {
+  command: "install",
+  args: ["lodash"],
+  startedAt: "2026-01-01T00:00:00.000Z",
+  finishedAt: "2026-01-01T00:00:02.000Z",
+  results,
+};
+
+describe("resolveReportFormat", () => {
+  it("should return null when no report is requested", () => {
+    expect(resolveReportFormat({})).toBeNull();
+  });
+
+  it("should infer the format from the file extension", () => {
+    expect(resolveReportFormat({ reportFile: "out/results.xml" })).toBe(
+      "junit",
+    );
+    expect(resolveReportFormat({ reportFile: "summary.md" })).toBe("markdown");
+    expect(resolveReportFormat({ reportFile: "run.txt" })).toBe("json");
+    expect(
+      resolveReportFormat({ report: "markdown", reportFile: "x.json" }),
+    ).toBe("markdown");
+  });
+
+  it("should throw on unknown formats", () => {
+    expect(() => resolveReportFormat({ report: "html" })).toThrow(
+      /Unknown report format/,
+    );
+  });
+});
+
+describe("annotateResults", () => {
+  it("should only fill details that are missing", () => {
+    const rows = [{ repo: "a", branch: "own" }, { repo: "b" }];
+    annotateResults(rows, "a", {
+      branch: "other",
+      durationMs: 5,
+      commit: undefined,
+    });
+    expect(rows).toEqual([
+      { repo: "a", branch: "own", durationMs: 5 },
+      { repo: "b" },
+    ]);
+  });
+});
+
+describe("buildRunReport", () => {
+  it("should summarize outcomes and normalize rows", () => {
+    const report = buildRunReport(run);
+    expect(report.durationMs).toBe(2000);
+    expect(report.summary).toEqual({
+      total: 4,
+      success: 1,
+      skipped: 1,
+      "dry-run": 1,
+      failed: 1,
+      cancelled: 0,
+    });
+    expect(report.repos[3]).toMatchObject({
+      repo: "legacy",
+      phase: "checkout",
+      outcome: "dry-run",
+      status: "☑️ DRY RUN",
+      message: "Would create branch",
+    });
+  });
+});
+
+describe("formatJunit", () => {
+  it("should write one escaped testcase per repo", () => {
+    const xml = formatJunit(buildRunReport(run));
+    expect(xml).toContain('tests="4" failures="1" skipped="2" time="2.000"');
+    expect(xml).toContain(
+      '<testcase classname="batch-bump.install" name="web" time="1.500">',
+    );
+    expect(xml).toContain("phase: push\nbranch: chore/deps");
+    expect(xml).toContain("commit: 0123456789abcdef");
+    expect(xml).toContain(
+      '<failure message="pnpm add &lt;x&gt; failed &amp; &quot;quoted&quot;">',
+    );
+    expect(xml).toContain('<skipped message="No changes to commit"/>');
+  });
+});
+
+describe("formatRunMarkdown", () => {
+  it("should render a table with short commits", () => {
+    const md = formatRunMarkdown(buildRunReport(run));
+    expect(md).toContain("### batch-bump: `install lodash`");
+    expect(md).toContain(
+      "| web | ✅ Success | push | `chore/deps` | `0123456` | 1.500s | Committed on chore/deps |",
+    );
+    expect(md).toContain(
+      "| docs | ⚠️ Skipped | commit | — | — | — | No changes to commit |",
+    );
+  });
+});
+
+describe("writeRunReport", () => {
+  it("should create missing directories", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-report-"));
+    try {
+      const file = path.join(dir, "nested", "report.json");
+      const { file: written } = writeRunReport(buildRunReport(run), {
+        format: "json",
+        file,
+      });
+      expect(written).toBe(file);
+      expect(JSON.parse(fs.readFileSync(file, "utf8")).summary.total).toBe(4);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const path = require("path");
+const { runCmd } = require("./utils");
+const { getCheckedOut, restoreWorkingTree } = require("./workingTree");
+
+const UPDATE_STRATEGIES = ["rebase", "merge"];
+
+const firstLine = (text) => (text || "").trim().split("\n")[0];
+
+/**
+ * Number of commits reachable from `to` but not from `from`
+ * @param {string} repoPath
+ * @param {string} from
+ * @param {string} to
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<number>}
+ * @throws {Error} If either ref does not exist
+ */
+async function countCommits(repoPath, from, to, { signal } = {}) {
+  const res = await runCmd(
+    `git -C "${repoPath}" rev-list --count "${from}..${to}"`,
+    { signal },
+  );
+  if (!res.ok) {
+    throw new Error(`git rev-list failed: ${firstLine(res.error)}`);
+  }
+  return Number(res.stdout.trim());
+}
+
+/**
+ * Whether a rebase or merge was left in progress (e.g. git was killed on timeout)
+ * @param {string} repoPath
+ * @returns {Promise<"rebase"|"merge"|null>}
+ */
+async function getOperationInProgress(repoPath) {
+  const res = await runCmd(`git -C "${repoPath}" rev-parse --git-dir`);
+  if (!res.ok) return null;
+  const gitDir = path.resolve(repoPath, res.stdout.trim());
+  if (
+    fs.existsSync(path.join(gitDir, "rebase-merge")) ||
+    fs.existsSync(path.join(gitDir, "rebase-apply"))
+  ) {
+    return "rebase";
+  }
+  if (fs.existsSync(path.join(gitDir, "MERGE_HEAD"))) return "merge";
+  return null;
+}
+
+/**
+ * Rebase (or merge) a local branch onto an up-to-date remote branch. The branch
+ * is checked out for the operation and the previous checkout is restored after.
+ * On conflicts the rebase/merge is aborted, leaving the branch as it was.
+ * Nothing is fetched or pushed here.
+ * @param {string} repoPath
+ * @param {object} options
+ * @param {string} options.branch - Local branch to update
+ * @param {string} options.onto - Ref to update it with, e.g. origin/main
+ * @param {"rebase"|"merge"} [options.strategy] - Default: rebase
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{status: "missing"|"up-to-date"|"updated"|"conflict", behind?: number, conflicts?: string[], problems?: string[]}>}
+ *   behind: commits of `onto` the branch did not have; conflicts: conflicted files;
+ *   problems: the previous checkout could not be restored
+ * @throws {Error} If `onto` does not exist or git fails for another reason than conflicts
+ */
+async function updateBranch(
+  repoPath,
+  { branch, onto, strategy = "rebase", signal },
+) {
+  if (!UPDATE_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown update strategy "${strategy}" (expected ${UPDATE_STRATEGIES.join(" or ")})`,
+    );
+  }
+  const git = (args) => runCmd(`git -C "${repoPath}" ${args}`, { signal });
+
+  const exists = await git(`rev-parse --verify --quiet "refs/heads/${branch}"`);
+  if (!exists.ok) return { status: "missing" };
+
+  const behind = await countCommits(repoPath, branch, onto, { signal });
+  if (!behind) return { status: "up-to-date", behind };
+
+  const original = await getCheckedOut(repoPath, { signal });
+  let result;
+  try {
+    const checkout = await git(`checkout --quiet "${branch}"`);
+    if (!checkout.ok) {
+      throw new Error(`git checkout failed: ${firstLine(checkout.error)}`);
+    }
+
+    const update = await git(
+      strategy === "rebase" ? `rebase "${onto}"` : `merge --no-edit "${onto}"`,
+    );
+    if (update.ok) {
+      result = { status: "updated", behind };
+    } else {
+      const unmerged = await git("diff --name-only --diff-filter=U");
+      const conflicts = unmerged.ok
+        ? unmerged.stdout.split("\n").filter(Boolean)
+        : [];
+      if (!conflicts.length) {
+        throw new Error(
+          `git ${strategy} failed: ${firstLine(update.error || update.stdout)}`,
+        );
+      }
+      result = { status: "conflict", behind, conflicts };
+    }
+  } finally {
+    // Also runs after a failure or a kill, so the repo is never left mid-rebase
+    const inProgress = await getOperationInProgress(repoPath);
+    if (inProgress) await runCmd(`git -C "${repoPath}" ${inProgress} --abort`);
+    const problems = await restoreWorkingTree(repoPath, original);
+    if (result && problems.length) result.problems = problems;
+  }
+  return result;
+}
+
+/**
+ * Push a rewritten branch with --force-with-lease, so the push is refused if the
+ * remote branch moved since the last fetch
+ * @param {string} repoPath
+ * @param {{branch: string, remote?: string, signal?: AbortSignal}} options
+ * @returns {Promise<void>}
+ * @throws {Error} If the push is rejected
+ */
+async function pushBranch(repoPath, { branch, remote = "origin", signal }) {
+  const res = await runCmd(
+    `git -C "${repoPath}" push --force-with-lease ${remote} "${branch}"`,
+    { signal },
+  );
+  if (!res.ok) {
+    const lines = (res.error || "").split("\n");
+    const reason = lines.find((line) => /rejected|error:|fatal:/.test(line));
+    throw new Error(`push failed: ${(reason || lines[0]).trim()}`);
+  }
+}
+
+module.exports = {
+  UPDATE_STRATEGIES,
+  countCommits,
+  updateBranch,
+  pushBranch,
+};
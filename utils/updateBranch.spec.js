@@ -0,0 +1,114 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync } = require("child_process");
+const { updateBranch, pushBranch } = require("./updateBranch");
+
+describe("updateBranch", () => {
+  let dir;
+  let repo;
+  const git = (args, cwd = repo) =>
+    execSync(`git -c user.email=t@t -c user.name=t ${args}`, {
+      cwd,
+      encoding: "utf8",
+      stdio: "pipe",
+    }).trim();
+  const commit = (file, content, cwd = repo) => {
+    fs.writeFileSync(path.join(cwd, file), content);
+    git(`add ${file}`, cwd);
+    git(`commit -qm "${file}: ${content.trim()}"`, cwd);
+  };
+
+  beforeEach(() => {
+    dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "update-")));
+    git("init -q --bare -b main remote.git", dir);
+    git("clone -q remote.git repo", dir);
+    repo = path.join(dir, "repo");
+    // The rebase/merge under test runs without the -c identity below
+    git("config user.email t@t");
+    git("config user.name t");
+    git("checkout -q -b main");
+    commit("a.txt", "one\n");
+    git("push -q -u origin main");
+    git("remote set-head origin main");
+    git("checkout -q -b chore/deps");
+    commit("b.txt", "feature\n");
+    git("push -q origin chore/deps");
+    git("checkout -q main");
+
+    // Someone else moves main on the remote
+    git("clone -q remote.git upstream", dir);
+    commit("a.txt", "two\n", path.join(dir, "upstream"));
+    git("push -q origin main", path.join(dir, "upstream"));
+    git("fetch -q origin");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should rebase the branch and restore the checkout", async () => {
+    expect(
+      await updateBranch(repo, { branch: "chore/deps", onto: "origin/main" }),
+    ).toEqual({ status: "updated", behind: 1 });
+
+    expect(git("log --format=%s chore/deps")).toBe(
+      "b.txt: feature\na.txt: two\na.txt: one",
+    );
+    expect(git("branch --show-current")).toBe("main");
+    expect(
+      await updateBranch(repo, { branch: "chore/deps", onto: "origin/main" }),
+    ).toEqual({ status: "up-to-date", behind: 0 });
+  });
+
+  it("should merge with the merge strategy", async () => {
+    await updateBranch(repo, {
+      branch: "chore/deps",
+      onto: "origin/main",
+      strategy: "merge",
+    });
+    expect(git("log -1 --format=%s chore/deps")).toBe(
+      "Merge remote-tracking branch 'origin/main' into chore/deps",
+    );
+  });
+
+  it("should abort on conflicts and leave the branch unchanged", async () => {
+    git("checkout -q chore/deps");
+    commit("a.txt", "conflict\n");
+    const before = git("rev-parse chore/deps");
+    git("checkout -q main");
+
+    expect(
+      await updateBranch(repo, { branch: "chore/deps", onto: "origin/main" }),
+    ).toEqual({ status: "conflict", behind: 1, conflicts: ["a.txt"] });
+    expect(git("rev-parse chore/deps")).toBe(before);
+    expect(git("status --porcelain")).toBe("");
+    expect(git("branch --show-current")).toBe("main");
+  });
+
+  it("should report branches that do not exist locally", async () => {
+    expect(
+      await updateBranch(repo, { branch: "nope", onto: "origin/main" }),
+    ).toEqual({ status: "missing" });
+  });
+
+  it("should force-push with a lease", async () => {
+    await updateBranch(repo, { branch: "chore/deps", onto: "origin/main" });
+    await pushBranch(repo, { branch: "chore/deps" });
+    expect(git("rev-parse chore/deps")).toBe(
+      git("rev-parse chore/deps", path.join(dir, "remote.git")),
+    );
+
+    // The remote branch moved since our last fetch: the lease refuses the push
+    const upstream = path.join(dir, "upstream");
+    git("fetch -q origin", upstream);
+    git("checkout -q chore/deps", upstream);
+    commit("c.txt", "other\n", upstream);
+    git("push -q origin chore/deps", upstream);
+    git("checkout -q chore/deps");
+    git("commit -q --amend -m rewritten");
+    await expect(pushBranch(repo, { branch: "chore/deps" })).rejects.toThrow(
+      "push failed: ! [rejected]",
+    );
+  });
+});
@@ -2,8 +2,24 @@ const fs = require("fs");
 const path = require("path");
 const util = require("util");
 const exec = require("child_process").exec;
+const { validateConfig, formatConfigErrors } = require("./configSchema");
+const { OUTCOMES } = require("./result");
 const execP = util.promisify(exec);
 
+/**
+ * Process exit codes of batch.js and sync.js
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // usage errors and unexpected failures
+  PARTIAL_FAILURE: 2, // at least one repo failed
+  CONFIG_ERROR: 3, // repos.json missing, unreadable or invalid
+  CANCELLED: 130, // stopped by SIGINT/SIGTERM (128 + SIGINT)
+};
+
+// Output a command may print before exec gives up (its default is 1 MB)
+const EXEC_MAX_BUFFER = 10 * 1024 * 1024;
+
 /**
  * Execute a shell command with increased buffer size
  * @param {string} cmd - Command to execute
@@ -11,7 +27,7 @@ const execP = util.promisify(exec);
  * @returns {Promise<{ok: boolean, stdout: string, stderr: string, error?: string, code?: number}>}
  */
 async function runCmd(cmd, execOpts = {}) {
-  const optsWithBuffer = { maxBuffer: 10 * 1024 * 1024, ...execOpts };
+  const optsWithBuffer = { maxBuffer: EXEC_MAX_BUFFER, ...execOpts };
   try {
     const r = await execP(cmd, optsWithBuffer);
     return { ok: true, stdout: r.stdout || "", stderr: r.stderr || "" };
@@ -27,79 +43,231 @@ async function runCmd(cmd, execOpts = {}) {
 }
 
 /**
- * Load and validate repos.json configuration
- * @param {string} configPath - Path to repos.json (defaults to "repos.json")
- * @returns {{basePath: string, repos: Array}}
+ * Load repos.json (or take an already parsed config) and validate it against the config schema
+ * @param {string|object} [configPath] - Path to repos.json (defaults to "repos.json"), or
+ *   the config object itself (API callers)
+ * @returns {{basePath: string, repos: Array, groups: Object<string, string[]>, commitMessage?: string, urlTemplate?: string}}
  * @throws {Error} If config is invalid
  */
 function loadConfig(configPath = "repos.json") {
-  let raw;
-  try {
-    raw = fs.readFileSync(configPath, "utf-8");
-  } catch (e) {
-    const error = new Error(`Could not read ${configPath}: ${e.message}`);
-    error.code = "CONFIG_READ_ERROR";
-    throw error;
+  let config = configPath;
+  const source = typeof configPath === "string" ? configPath : "config";
+
+  if (typeof configPath === "string") {
+    let raw;
+    try {
+      raw = fs.readFileSync(configPath, "utf-8");
+    } catch (e) {
+      const error = new Error(`Could not read ${configPath}: ${e.message}`);
+      error.code = "CONFIG_READ_ERROR";
+      throw error;
+    }
+
+    try {
+      config = JSON.parse(raw);
+    } catch (e) {
+      const error = new Error(`${configPath} is not valid JSON: ${e.message}`);
+      error.code = "CONFIG_PARSE_ERROR";
+      throw error;
+    }
   }
 
-  let config;
-  try {
-    config = JSON.parse(raw);
-  } catch (e) {
-    const error = new Error(`${configPath} is not valid JSON: ${e.message}`);
-    error.code = "CONFIG_PARSE_ERROR";
+  const errors = validateConfig(config);
+  if (errors.length) {
+    const error = new Error(
+      `${source} is invalid:\n${formatConfigErrors(errors)}`,
+    );
+    error.code = "CONFIG_INVALID";
+    error.errors = errors;
     throw error;
   }
 
   const basePath = config.basePath;
-  const repos = config.repositories || [];
+  const repos = (config.repositories || []).map(({ branchName, ...repo }) =>
+    branchName && !repo.branch ? { ...repo, branch: branchName } : repo,
+  );
+  const groups = config.groups || {};
+  const commitMessage = config.commitMessage;
+  const urlTemplate = config.urlTemplate;
 
-  if (!basePath) {
-    const error = new Error(`Missing "basePath" in ${configPath}`);
-    error.code = "CONFIG_MISSING_BASEPATH";
-    throw error;
-  }
+  return { basePath, repos, groups, commitMessage, urlTemplate };
+}
 
-  return { basePath, repos };
+/**
+ * Split a comma-separated selector (or array) into trimmed, non-empty items
+ * @param {string|string[]|undefined} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  if (value === undefined || value === null || value === false) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
 }
 
 /**
- * Filter repositories based on --only flag
+ * Whether a repo matches a name/path pattern (globs allowed)
+ * @param {{name?: string, path?: string}} repo
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function repoMatches(repo, pattern) {
+  return (
+    matchesPattern(repo.name, pattern) || matchesPattern(repo.path, pattern)
+  );
+}
+
+/**
+ * Filter repositories by selectors.
+ * --only, --tag and --group are combined (a repo matching any of them is
+ * selected); --exclude then removes repos by name/path glob or tag.
  * @param {Array} repos - Array of repository objects
- * @param {string|undefined} only - Comma-separated list of repo names to filter
- * @returns {{matched: Array, unknown: string[]}}
+ * @param {string|{only?: string, tag?: string, group?: string, exclude?: string}|undefined} selectors - --only value, or all selectors
+ * @param {Object<string, string[]>} [groups] - Named groups from repos.json (members are names/globs)
+ * @returns {{matched: Array, unknown: string[]}} unknown lists selectors that matched nothing (tags/groups prefixed)
  */
-function filterRepos(repos, only) {
-  if (!only) return { matched: repos, unknown: [] };
+function filterRepos(repos, selectors, groups = {}) {
+  const { only, tag, group, exclude } =
+    selectors && typeof selectors === "object" && !Array.isArray(selectors)
+      ? selectors
+      : { only: selectors };
 
-  const onlyList = String(only)
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
+  const passed = { "--only": only, "--tag": tag, "--group": group };
+  const flags = Object.keys(passed).filter((flag) => passed[flag]);
+  const onlyList = parseList(only);
+  const tagList = parseList(tag);
+  const groupList = parseList(group);
+  const excludeList = parseList(exclude);
 
-  if (!onlyList.length) {
-    const error = new Error("--only provided but no repo names parsed");
+  if (
+    flags.length &&
+    !onlyList.length &&
+    !tagList.length &&
+    !groupList.length
+  ) {
+    const error = new Error(
+      `${flags.join("/")} provided but no repo names parsed`,
+    );
     error.code = "FILTER_EMPTY";
     throw error;
   }
 
-  const matched = repos.filter(
-    (r) => onlyList.includes(r.name) || onlyList.includes(r.path),
-  );
-  const foundNames = new Set(matched.map((r) => r.name || r.path));
-  const unknown = onlyList.filter((n) => !foundNames.has(n));
+  const unknown = [];
+  let matched = repos;
 
-  if (!matched.length) {
-    const error = new Error(
-      `None of the names passed to --only matched repos.json: ${onlyList.join(",")}`,
-    );
-    error.code = "FILTER_NO_MATCH";
-    throw error;
+  if (flags.length) {
+    const selected = new Set();
+
+    onlyList.forEach((pattern) => {
+      const hits = repos.filter((r) => repoMatches(r, pattern));
+      if (!hits.length) unknown.push(pattern);
+      hits.forEach((r) => selected.add(r));
+    });
+
+    tagList.forEach((t) => {
+      const hits = repos.filter(
+        (r) => Array.isArray(r.tags) && r.tags.includes(t),
+      );
+      if (!hits.length) unknown.push(`tag:${t}`);
+      hits.forEach((r) => selected.add(r));
+    });
+
+    groupList.forEach((g) => {
+      const members = groups[g];
+      const hits = Array.isArray(members)
+        ? repos.filter((r) => members.some((m) => repoMatches(r, m)))
+        : [];
+      if (!hits.length) unknown.push(`group:${g}`);
+      hits.forEach((r) => selected.add(r));
+    });
+
+    matched = repos.filter((r) => selected.has(r));
+
+    if (!matched.length) {
+      const names = [
+        ...onlyList,
+        ...tagList.map((t) => `tag:${t}`),
+        ...groupList.map((g) => `group:${g}`),
+      ];
+      const error = new Error(
+        `None of the names passed to ${flags.join("/")} matched repos.json: ${names.join(",")}`,
+      );
+      error.code = "FILTER_NO_MATCH";
+      throw error;
+    }
+  }
+
+  if (excludeList.length) {
+    // --exclude entries match a name/path glob or a tag
+    const excludes = (r, p) =>
+      repoMatches(r, p) || (Array.isArray(r.tags) && r.tags.includes(p));
+
+    excludeList
+      .filter((p) => !repos.some((r) => excludes(r, p)))
+      .forEach((p) => unknown.push(`exclude:${p}`));
+
+    matched = matched.filter((r) => !excludeList.some((p) => excludes(r, p)));
+
+    if (!matched.length) {
+      const error = new Error(
+        `No repos left after --exclude ${excludeList.join(",")}`,
+      );
+      error.code = "FILTER_NO_MATCH";
+      throw error;
+    }
   }
 
   return { matched, unknown };
 }
 
+/**
+ * Convert a glob pattern to a RegExp (`*` within a segment, `**` across segments)
+ * @param {string} pattern - Glob pattern, e.g. "web-*" or "packages/**"
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*" && pattern[i + 1] === "*") {
+      const slash = pattern[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (ch === "*") {
+      source += "[^/]*";
+    } else if (ch === "?") {
+      source += "[^/]";
+    } else {
+      source += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a value matches a glob pattern (exact match when no wildcard)
+ * @param {string} value - Value to test
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean}
+ */
+function matchesPattern(value, pattern) {
+  if (value === undefined || value === null) return false;
+  if (!/[*?]/.test(pattern)) return value === pattern;
+  return globToRegExp(pattern).test(value);
+}
+
+/**
+ * Replace {{name}} placeholders with values (unknown placeholders become "")
+ * @param {string} template - Template text
+ * @param {object} vars - Values by placeholder name
+ * @returns {string}
+ */
+function renderTemplate(template, vars) {
+  return String(template).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) =>
+    vars[key] === undefined || vars[key] === null ? "" : String(vars[key]),
+  );
+}
+
 /**
  * Log execution mode (parallel vs sequential)
  * @param {boolean} parallel - Whether running in parallel
@@ -116,12 +284,14 @@ function getExecutionModeMessage(parallel, concurrentCount) {
  * Get repo name and resolved path
  * @param {{name?: string, path?: string}} repo - Repository object
  * @param {string} basePath - Base path for repositories
- * @returns {{repoName: string, repoPath: string}}
+ * @returns {{repoName: string, repoPath: string, logName: string}} logName: repoName
+ *   usable as a file name (path-only entries like "group/web" become "group__web")
  */
 function getRepoInfo(repo, basePath) {
   const repoName = repo.name || repo.path || JSON.stringify(repo);
   const repoPath = path.resolve(basePath, repo.path || repo.name || repoName);
-  return { repoName, repoPath };
+  const logName = repoName.replace(/[\\/]/g, "__");
+  return { repoName, repoPath, logName };
 }
 
 /**
@@ -135,15 +305,27 @@ function ensureLogsDir(baseDir = path.resolve(__dirname, "..")) {
   return logsDir;
 }
 
+/**
+ * Whether a result row represents a failure
+ * @param {{outcome?: string}} result - Result row (see utils/result.js)
+ * @returns {boolean}
+ */
+function isFailedResult(result) {
+  return result.outcome === OUTCOMES.FAILED;
+}
+
 /**
  * Check results for failures
  * @param {Array} results - Array of result objects
- * @param {function} failCheck - Function to determine if a result is a failure
+ * @param {function} [failCheck] - Function to determine if a result is a failure (default: isFailedResult)
  * @returns {{failed: Array, exitCode: number}}
  */
-function checkResults(results, failCheck) {
+function checkResults(results, failCheck = isFailedResult) {
   const failed = results.filter(failCheck);
-  const exitCode = failed.length ? 2 : 0;
+  let exitCode = failed.length ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.OK;
+  if (results.some((r) => r.outcome === OUTCOMES.CANCELLED)) {
+    exitCode = EXIT_CODES.CANCELLED;
+  }
   return { failed, exitCode };
 }
 
@@ -169,12 +351,19 @@ function generateExecLogContent(command, directory, result) {
 }
 
 module.exports = {
+  EXIT_CODES,
+  EXEC_MAX_BUFFER,
   runCmd,
   loadConfig,
+  parseList,
   filterRepos,
+  globToRegExp,
+  matchesPattern,
+  renderTemplate,
   getExecutionModeMessage,
   getRepoInfo,
   ensureLogsDir,
+  isFailedResult,
   checkResults,
   generateExecLogContent,
 };
@@ -1,7 +1,9 @@
 const fs = require("fs");
+const path = require("path");
 const {
   loadConfig,
   filterRepos,
+  matchesPattern,
   getRepoInfo,
   checkResults,
 } = require("./utils");
@@ -25,6 +27,29 @@ describe("loadConfig", () => {
     expect(result.repos).toHaveLength(2);
   });
 
+  it("should default repositories to an empty list", () => {
+    fs.readFileSync.mockReturnValue(JSON.stringify({ basePath: "/projects" }));
+
+    expect(loadConfig().repos).toEqual([]);
+  });
+
+  it("should read the older branchName as branch", () => {
+    fs.readFileSync.mockReturnValue(
+      JSON.stringify({
+        basePath: "/projects",
+        repositories: [
+          { name: "repo1", branchName: "chore/deps" },
+          { name: "repo2", branch: "fix/bug", branchName: "ignored" },
+        ],
+      })
+    );
+
+    expect(loadConfig().repos).toEqual([
+      { name: "repo1", branch: "chore/deps" },
+      { name: "repo2", branch: "fix/bug" },
+    ]);
+  });
+
   it("should throw when basePath is missing", () => {
     fs.readFileSync.mockReturnValue(
       JSON.stringify({ repositories: [{ name: "repo1" }] })
@@ -33,6 +58,14 @@ describe("loadConfig", () => {
     expect(() => loadConfig()).toThrow(/basePath/);
   });
 
+  it("should throw with JSON paths when the config does not match the schema", () => {
+    fs.readFileSync.mockReturnValue(
+      JSON.stringify({ basePath: "/projects", repositories: [{ name: "repo1", brnach: "main" }] })
+    );
+
+    expect(() => loadConfig()).toThrow(/\$\.repositories\[0\]\.brnach: unknown key/);
+  });
+
   it("should throw when config file is invalid JSON", () => {
     fs.readFileSync.mockReturnValue("{ invalid }");
 
@@ -46,6 +79,15 @@ describe("loadConfig", () => {
 
     expect(() => loadConfig()).toThrow();
   });
+
+  it("should validate a config object without reading a file", () => {
+    expect(
+      loadConfig({ basePath: "/projects", repositories: [{ name: "repo1" }] })
+        .repos
+    ).toEqual([{ name: "repo1" }]);
+    expect(fs.readFileSync).not.toHaveBeenCalled();
+    expect(() => loadConfig({ repositories: [] })).toThrow(/^config is invalid/);
+  });
 });
 
 describe("filterRepos", () => {
@@ -84,6 +126,63 @@ describe("filterRepos", () => {
   it("should throw when filter string is empty/whitespace", () => {
     expect(() => filterRepos(repos, "   ")).toThrow();
   });
+
+  it("should accept glob patterns", () => {
+    const result = filterRepos(repos, "web-*");
+    expect(result.matched.map((r) => r.name)).toEqual(["web-home", "web-account"]);
+  });
+
+  describe("with tags, groups and exclude", () => {
+    const tagged = [
+      { name: "web-home", tags: ["frontend"] },
+      { name: "web-account", tags: ["frontend", "legacy"] },
+      { name: "api-service", tags: ["backend"] },
+    ];
+    const groups = { checkout: ["web-account", "api-*"] };
+
+    it("should select repos carrying any of the tags", () => {
+      const result = filterRepos(tagged, { tag: "backend,legacy" });
+      expect(result.matched.map((r) => r.name)).toEqual(["web-account", "api-service"]);
+    });
+
+    it("should expand groups and union them with --only", () => {
+      const result = filterRepos(tagged, { only: "web-home", group: "checkout" }, groups);
+      expect(result.matched).toHaveLength(3);
+    });
+
+    it("should drop excluded names and tags", () => {
+      const result = filterRepos(tagged, { tag: "frontend", exclude: "legacy" });
+      expect(result.matched.map((r) => r.name)).toEqual(["web-home"]);
+
+      const all = filterRepos(tagged, { exclude: "api-*" });
+      expect(all.matched).toHaveLength(2);
+    });
+
+    it("should report unknown tags and groups with a prefix", () => {
+      const result = filterRepos(tagged, { tag: "frontend,mobile", group: "nope" }, groups);
+      expect(result.unknown).toEqual(["tag:mobile", "group:nope"]);
+    });
+
+    it("should throw when --exclude leaves nothing", () => {
+      expect(() => filterRepos(tagged, { tag: "backend", exclude: "api-service" })).toThrow(
+        /No repos left/,
+      );
+    });
+  });
+});
+
+describe("matchesPattern", () => {
+  it("should match exactly when there is no wildcard", () => {
+    expect(matchesPattern("web-home", "web-home")).toBe(true);
+    expect(matchesPattern("web-home", "web")).toBe(false);
+  });
+
+  it("should match * within a segment and ** across segments", () => {
+    expect(matchesPattern("web-home", "web-*")).toBe(true);
+    expect(matchesPattern("@acme/ui", "@acme/*")).toBe(true);
+    expect(matchesPattern("apps/web/admin", "apps/*")).toBe(false);
+    expect(matchesPattern("apps/web/admin", "apps/**")).toBe(true);
+  });
 });
 
 describe("getRepoInfo", () => {
@@ -100,6 +199,14 @@ describe("getRepoInfo", () => {
     expect(result.repoName).toBe("repo-name");
     expect(result.repoPath).toContain("custom-path");
   });
+
+  it("should resolve path-only repos and give them a file-safe log name", () => {
+    const result = getRepoInfo({ path: "group/web" }, "/base");
+
+    expect(result.repoName).toBe("group/web");
+    expect(result.repoPath).toBe(path.resolve("/base", "group/web"));
+    expect(result.logName).toBe("group__web");
+  });
 });
 
 describe("checkResults", () => {
@@ -115,4 +222,15 @@ describe("checkResults", () => {
     expect(exitCode).toBe(2);
     expect(failed).toHaveLength(1);
   });
+
+  it("should count failed outcomes by default", () => {
+    const results = [
+      { repo: "a", outcome: "success" },
+      { repo: "b", outcome: "skipped" },
+      { repo: "c", outcome: "failed" },
+    ];
+    const { failed, exitCode } = checkResults(results);
+    expect(exitCode).toBe(2);
+    expect(failed.map((r) => r.repo)).toEqual(["c"]);
+  });
 });
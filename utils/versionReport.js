@@ -0,0 +1,161 @@
+const { matchesPattern } = require("./utils");
+const { DEPENDENCY_SECTIONS } = require("./bump");
+
+const REPORT_FORMATS = ["table", "json", "csv", "markdown"];
+
+/**
+ * Collect declared ranges from a package.json
+ * @param {object} pkg - Parsed package.json
+ * @returns {Object<string, {range: string, section: string}>}
+ */
+function collectDeclared(pkg) {
+  const declared = {};
+  DEPENDENCY_SECTIONS.forEach((section) => {
+    Object.entries(pkg[section] || {}).forEach(([name, range]) => {
+      if (!declared[name]) declared[name] = { range, section };
+    });
+  });
+  return declared;
+}
+
+/**
+ * Build a package × repo version matrix
+ * @param {Array<{repo: string, declared: Object<string, {range: string, section: string}>, resolved: Object<string, string>}>} entries
+ * @param {{packages?: string[], divergentOnly?: boolean}} [options] - packages accepts globs
+ * @returns {{repos: string[], rows: Array<{package: string, divergent: boolean, versions: Object<string, {declared: string, resolved?: string, section: string}>}>}}
+ */
+function buildReport(entries, { packages = [], divergentOnly = false } = {}) {
+  const repos = entries.map((e) => e.repo);
+  const names = new Set();
+  entries.forEach((e) => Object.keys(e.declared).forEach((n) => names.add(n)));
+
+  const rows = [...names]
+    .filter(
+      (name) =>
+        !packages.length || packages.some((p) => matchesPattern(name, p)),
+    )
+    .sort()
+    .map((name) => {
+      const versions = {};
+      entries.forEach((e) => {
+        const dep = e.declared[name];
+        if (!dep) return;
+        versions[e.repo] = {
+          declared: dep.range,
+          resolved: e.resolved[name],
+          section: dep.section,
+        };
+      });
+
+      const distinct = new Set(
+        Object.values(versions).map((v) => v.resolved || v.declared),
+      );
+      return { package: name, divergent: distinct.size > 1, versions };
+    })
+    .filter((row) => !divergentOnly || row.divergent);
+
+  return { repos, rows };
+}
+
+/**
+ * Text for one matrix cell
+ * @param {{declared: string, resolved?: string}|undefined} v
+ * @returns {string}
+ */
+function formatCell(v) {
+  if (!v) return "";
+  return v.resolved && v.resolved !== v.declared
+    ? `${v.declared} → ${v.resolved}`
+    : v.declared;
+}
+
+/**
+ * Rows for console.table (divergent packages marked with ⚠️)
+ * @param {ReturnType<typeof buildReport>} report
+ * @returns {Array<object>}
+ */
+function toTableRows(report) {
+  return report.rows.map((row) => {
+    const out = { package: row.divergent ? `⚠️ ${row.package}` : row.package };
+    report.repos.forEach((repo) => {
+      out[repo] = formatCell(row.versions[repo]);
+    });
+    return out;
+  });
+}
+
+/**
+ * Escape a CSV field
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const s = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Long-format CSV: one line per package and repo
+ * @param {ReturnType<typeof buildReport>} report
+ * @returns {string}
+ */
+function formatCsv(report) {
+  const lines = [
+    ["package", "repo", "section", "declared", "resolved", "divergent"],
+  ];
+  report.rows.forEach((row) => {
+    Object.entries(row.versions).forEach(([repo, v]) => {
+      lines.push([
+        row.package,
+        repo,
+        v.section,
+        v.declared,
+        v.resolved || "",
+        row.divergent,
+      ]);
+    });
+  });
+  return lines.map((line) => line.map(csvField).join(",")).join("\n");
+}
+
+/**
+ * Markdown matrix (divergent packages in bold with ⚠️)
+ * @param {ReturnType<typeof buildReport>} report
+ * @returns {string}
+ */
+function formatMarkdown(report) {
+  const escape = (s) => String(s).replace(/\|/g, "\\|");
+  const header = ["Package", ...report.repos];
+  const lines = [
+    `| ${header.map(escape).join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+  ];
+  report.rows.forEach((row) => {
+    const name = row.divergent ? `⚠️ **${row.package}**` : row.package;
+    const cells = report.repos.map((repo) => {
+      const cell = formatCell(row.versions[repo]);
+      return cell ? `\`${cell}\`` : "—";
+    });
+    lines.push(`| ${[escape(name), ...cells.map(escape)].join(" | ")} |`);
+  });
+  return lines.join("\n");
+}
+
+/**
+ * JSON document of the report
+ * @param {ReturnType<typeof buildReport>} report
+ * @returns {string}
+ */
+function formatJson(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  collectDeclared,
+  buildReport,
+  toTableRows,
+  formatCsv,
+  formatMarkdown,
+  formatJson,
+};
@@ -0,0 +1,81 @@
+const {
+  collectDeclared,
+  buildReport,
+  toTableRows,
+  formatCsv,
+  formatMarkdown,
+} = require("./versionReport");
+
+const entries = [
+  {
+    repo: "web-home",
+    declared: collectDeclared({
+      dependencies: { react: "^18.2.0", lodash: "^4.17.21" },
+    }),
+    resolved: { react: "18.2.0", lodash: "4.17.21" },
+  },
+  {
+    repo: "web-account",
+    declared: collectDeclared({
+      dependencies: { react: "^18.2.0" },
+      devDependencies: { lodash: "^4.17.21" },
+    }),
+    resolved: { react: "18.3.1", lodash: "4.17.21" },
+  },
+];
+
+describe("buildReport", () => {
+  it("should flag packages whose resolved versions differ", () => {
+    const report = buildReport(entries);
+
+    expect(report.repos).toEqual(["web-home", "web-account"]);
+    expect(report.rows.map((r) => [r.package, r.divergent])).toEqual([
+      ["lodash", false],
+      ["react", true],
+    ]);
+    expect(report.rows[0].versions["web-account"]).toEqual({
+      declared: "^4.17.21",
+      resolved: "4.17.21",
+      section: "devDependencies",
+    });
+  });
+
+  it("should filter by package globs and divergence", () => {
+    expect(buildReport(entries, { packages: ["lo*"] }).rows).toHaveLength(1);
+    expect(
+      buildReport(entries, { divergentOnly: true }).rows.map((r) => r.package),
+    ).toEqual(["react"]);
+  });
+});
+
+describe("report formats", () => {
+  const report = buildReport(entries, { packages: ["react"] });
+
+  it("should build table rows with a divergence marker", () => {
+    expect(toTableRows(report)).toEqual([
+      {
+        package: "⚠️ react",
+        "web-home": "^18.2.0 → 18.2.0",
+        "web-account": "^18.2.0 → 18.3.1",
+      },
+    ]);
+  });
+
+  it("should render CSV in long format", () => {
+    expect(formatCsv(report).split("\n")).toEqual([
+      "package,repo,section,declared,resolved,divergent",
+      "react,web-home,dependencies,^18.2.0,18.2.0,true",
+      "react,web-account,dependencies,^18.2.0,18.3.1,true",
+    ]);
+  });
+
+  it("should render a Markdown matrix", () => {
+    expect(formatMarkdown(report)).toBe(
+      [
+        "| Package | web-home | web-account |",
+        "| --- | --- | --- |",
+        "| ⚠️ **react** | `^18.2.0 → 18.2.0` | `^18.2.0 → 18.3.1` |",
+      ].join("\n"),
+    );
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const path = require("path");
+const { runCmd } = require("./utils");
+
+const DIRTY_POLICIES = ["skip", "stash", "abort"];
+
+const STASH_MESSAGE = "batch-bump: uncommitted changes";
+
+/**
+ * Tracked files with uncommitted changes (staged or not). Untracked files are ignored.
+ * @param {string} repoPath
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<string[]>} `git status --porcelain` lines
+ * @throws {Error} If git status fails
+ */
+async function getDirtyFiles(repoPath, { signal } = {}) {
+  const res = await runCmd(
+    `git -C "${repoPath}" status --porcelain --untracked-files=no`,
+    { signal },
+  );
+  if (!res.ok) {
+    throw new Error(`git status failed: ${res.error.split("\n")[0]}`);
+  }
+  return res.stdout.split("\n").filter((line) => line.trim());
+}
+
+/**
+ * Branch (or detached commit) currently checked out
+ * @param {string} repoPath
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<{branch?: string, head?: string}>} branch is missing on a detached HEAD
+ */
+async function getCheckedOut(repoPath, { signal } = {}) {
+  const git = (args) => runCmd(`git -C "${repoPath}" ${args}`, { signal });
+  const branch = await git("symbolic-ref --quiet --short HEAD");
+  const head = await git("rev-parse --verify --quiet HEAD");
+  return {
+    branch: branch.ok ? branch.stdout.trim() : undefined,
+    head: head.ok ? head.stdout.trim() : undefined,
+  };
+}
+
+/**
+ * Working directory of a process, when the OS exposes it (/proc on Linux)
+ * @param {number} pid
+ * @returns {string|null}
+ */
+function getProcessCwd(pid) {
+  try {
+    return fs.readlinkSync(`/proc/${pid}/cwd`);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Running git processes that may be using the repo: those naming it in their
+ * arguments or running inside it. Processes whose directory cannot be read count too.
+ * @param {string} repoPath
+ * @returns {Promise<number[]|null>} pids, or null if processes cannot be listed
+ */
+async function findGitProcesses(repoPath) {
+  const res = await runCmd("ps -A -o pid= -o args=");
+  if (!res.ok) return null;
+
+  const root = path.resolve(repoPath);
+  return res.stdout
+    .split("\n")
+    .map((line) => /^\s*(\d+)\s+(.*)$/.exec(line))
+    .filter(Boolean)
+    .map(([, pid, args]) => ({ pid: Number(pid), args }))
+    .filter(({ pid, args }) => {
+      if (pid === process.pid) return false;
+      const program = path.basename(args.split(/\s+/)[0]);
+      if (program !== "git" && !program.startsWith("git-")) return false;
+      if (args.includes(root)) return true;
+      const cwd = getProcessCwd(pid);
+      return !cwd || cwd === root || cwd.startsWith(`${root}${path.sep}`);
+    })
+    .map(({ pid }) => pid);
+}
+
+/**
+ * Remove .git/index.lock left behind by a crashed git, but only if no git
+ * process is running in the repo
+ * @param {string} repoPath
+ * @returns {Promise<{lock: "none"|"removed"|"busy"|"unknown", pids?: number[]}>}
+ *   busy: git is running in the repo; unknown: processes could not be listed
+ */
+async function clearStaleLock(repoPath) {
+  const lockFile = path.join(repoPath, ".git", "index.lock");
+  if (!fs.existsSync(lockFile)) return { lock: "none" };
+
+  const pids = await findGitProcesses(repoPath);
+  if (pids === null) return { lock: "unknown" };
+  if (pids.length) return { lock: "busy", pids };
+
+  fs.unlinkSync(lockFile);
+  return { lock: "removed" };
+}
+
+/**
+ * Stash uncommitted changes to tracked files
+ * @param {string} repoPath
+ * @param {{signal?: AbortSignal}} [options]
+ * @returns {Promise<string>} Commit SHA of the stash entry, used to pop exactly that entry
+ * @throws {Error} If git stash fails
+ */
+async function stashChanges(repoPath, { signal } = {}) {
+  const git = (args) => runCmd(`git -C "${repoPath}" ${args}`, { signal });
+  const res = await git(`stash push -m "${STASH_MESSAGE}"`);
+  if (!res.ok) {
+    throw new Error(`git stash failed: ${res.error.split("\n")[0]}`);
+  }
+  const sha = await git("rev-parse --verify --quiet refs/stash");
+  return sha.stdout.trim();
+}
+
+/**
+ * Check out what was checked out before the run and pop the run's stash.
+ * Runs without an abort signal so it also happens after a timeout or Ctrl-C.
+ * @param {string} repoPath
+ * @param {{branch?: string, head?: string}} original - From getCheckedOut
+ * @param {string} [stash] - From stashChanges
+ * @param {{discard?: boolean}} [options] - discard: first reset tracked files to HEAD,
+ *   so a change that failed halfway is not carried onto the original branch
+ * @returns {Promise<string[]>} Problems to report (empty when everything was restored)
+ */
+async function restoreWorkingTree(
+  repoPath,
+  original,
+  stash,
+  { discard = false } = {},
+) {
+  const git = (args) => runCmd(`git -C "${repoPath}" ${args}`);
+  const problems = [];
+
+  if (discard) {
+    const res = await git("reset --hard --quiet");
+    if (!res.ok) {
+      problems.push(
+        `could not discard the unfinished change: ${res.error.split("\n")[0]}`,
+      );
+    }
+  }
+
+  const target = original.branch || original.head;
+  const current = await getCheckedOut(repoPath);
+  const moved = original.branch
+    ? current.branch !== original.branch
+    : Boolean(current.branch) || current.head !== original.head;
+  if (target && moved) {
+    const res = await git(`checkout ${target}`);
+    if (!res.ok) {
+      problems.push(
+        `could not switch back to ${target}: ${res.error.split("\n")[0]}`,
+      );
+    }
+  }
+
+  if (stash) {
+    const list = await git('stash list --format="%H"');
+    const index = list.ok ? list.stdout.trim().split("\n").indexOf(stash) : -1;
+    if (index === -1) {
+      problems.push(`stash ${stash.slice(0, 7)} not found`);
+    } else if (problems.length) {
+      problems.push(`changes kept in stash@{${index}}`);
+    } else {
+      const res = await git(`stash pop --index stash@{${index}}`);
+      if (!res.ok) {
+        problems.push(
+          `could not pop stash@{${index}} (kept): ${res.error.split("\n")[0]}`,
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  DIRTY_POLICIES,
+  getDirtyFiles,
+  getCheckedOut,
+  findGitProcesses,
+  clearStaleLock,
+  stashChanges,
+  restoreWorkingTree,
+};
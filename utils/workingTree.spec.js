@@ -0,0 +1,113 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execSync, spawn } = require("child_process");
+const {
+  getDirtyFiles,
+  getCheckedOut,
+  findGitProcesses,
+  clearStaleLock,
+  stashChanges,
+  restoreWorkingTree,
+} = require("./workingTree");
+
+describe("workingTree", () => {
+  let repo;
+  const git = (args) =>
+    execSync(`git -c user.email=t@t -c user.name=t ${args}`, {
+      cwd: repo,
+      encoding: "utf8",
+    }).trim();
+
+  beforeEach(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), "tree-")));
+    git("init -q -b main");
+    fs.writeFileSync(path.join(repo, "a.txt"), "one\n");
+    git("add a.txt");
+    git("commit -qm init");
+  });
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+
+  it("should report changed tracked files but not untracked ones", async () => {
+    fs.writeFileSync(path.join(repo, "new.txt"), "untracked\n");
+    expect(await getDirtyFiles(repo)).toEqual([]);
+
+    fs.writeFileSync(path.join(repo, "a.txt"), "two\n");
+    expect(await getDirtyFiles(repo)).toEqual([" M a.txt"]);
+  });
+
+  it("should stash, then switch back and pop after the run", async () => {
+    fs.writeFileSync(path.join(repo, "a.txt"), "wip\n");
+    const original = await getCheckedOut(repo);
+    const stash = await stashChanges(repo);
+
+    expect(await getDirtyFiles(repo)).toEqual([]);
+    git("checkout -q -b chore/deps");
+
+    expect(await restoreWorkingTree(repo, original, stash)).toEqual([]);
+    expect(git("branch --show-current")).toBe("main");
+    expect(fs.readFileSync(path.join(repo, "a.txt"), "utf8")).toBe("wip\n");
+    expect(git("stash list")).toBe("");
+  });
+
+  it("should drop a change that failed halfway before switching back", async () => {
+    fs.writeFileSync(path.join(repo, "a.txt"), "wip\n");
+    const original = await getCheckedOut(repo);
+    const stash = await stashChanges(repo);
+    git("checkout -q -b chore/deps");
+    fs.writeFileSync(path.join(repo, "a.txt"), "half-installed\n");
+
+    expect(
+      await restoreWorkingTree(repo, original, stash, { discard: true }),
+    ).toEqual([]);
+    expect(git("branch --show-current")).toBe("main");
+    expect(fs.readFileSync(path.join(repo, "a.txt"), "utf8")).toBe("wip\n");
+    expect(git("stash list")).toBe("");
+    expect(git("show chore/deps:a.txt")).toBe("one");
+  });
+
+  it("should keep the stash when switching back fails", async () => {
+    fs.writeFileSync(path.join(repo, "a.txt"), "wip\n");
+    const original = await getCheckedOut(repo);
+    const stash = await stashChanges(repo);
+    git("checkout -q -b chore/deps");
+    fs.writeFileSync(path.join(repo, "a.txt"), "conflict\n");
+    git("commit -qam change");
+    fs.writeFileSync(path.join(repo, "a.txt"), "blocking\n");
+
+    const problems = await restoreWorkingTree(repo, original, stash);
+    expect(problems[0]).toMatch(/could not switch back to main/);
+    expect(problems[1]).toBe("changes kept in stash@{0}");
+  });
+
+  it("should remove a stale index.lock", async () => {
+    const lock = path.join(repo, ".git", "index.lock");
+    expect(await clearStaleLock(repo)).toEqual({ lock: "none" });
+
+    fs.writeFileSync(lock, "");
+    expect(await clearStaleLock(repo)).toEqual({ lock: "removed" });
+    expect(fs.existsSync(lock)).toBe(false);
+  });
+
+  it("should keep index.lock while git runs in the repo", async () => {
+    const lock = path.join(repo, ".git", "index.lock");
+    fs.writeFileSync(lock, "");
+    // Waits on stdin until we close it
+    const child = spawn("git", ["-C", repo, "hash-object", "--stdin"]);
+    try {
+      await new Promise((resolve) => child.on("spawn", resolve));
+      expect(await findGitProcesses(repo)).toContain(child.pid);
+      expect(await clearStaleLock(repo)).toEqual({
+        lock: "busy",
+        pids: [child.pid],
+      });
+      expect(fs.existsSync(lock)).toBe(true);
+    } finally {
+      child.stdin.end();
+      await new Promise((resolve) => child.on("exit", resolve));
+    }
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+const { matchesPattern, globToRegExp } = require("./utils");
+
+/**
+ * Read the `packages` list from pnpm-workspace.yaml (flat list syntax only)
+ * @param {string} repoPath - Absolute path to the repo
+ * @returns {string[]|undefined}
+ */
+function readPnpmWorkspacePatterns(repoPath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(path.join(repoPath, "pnpm-workspace.yaml"), "utf8");
+  } catch (e) {
+    return undefined;
+  }
+
+  const patterns = [];
+  let inPackages = false;
+  raw.split(/\r?\n/).forEach((line) => {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      return;
+    }
+    if (!inPackages) return;
+
+    const item = /^\s*-\s*["']?([^"'#]+?)["']?\s*(#.*)?$/.exec(line);
+    if (item) patterns.push(item[1]);
+    else if (/^\S/.test(line)) inPackages = false;
+  });
+  return patterns;
+}
+
+/**
+ * Workspace patterns declared by a repo (package.json `workspaces` or pnpm-workspace.yaml)
+ * @param {string} repoPath - Absolute path to the repo
+ * @returns {string[]} Glob patterns (may include "!negations"), empty if not a monorepo
+ */
+function getWorkspacePatterns(repoPath) {
+  const fromPnpm = readPnpmWorkspacePatterns(repoPath);
+  if (fromPnpm) return fromPnpm;
+
+  try {
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(repoPath, "package.json"), "utf8"),
+    );
+    const ws = pkg.workspaces;
+    if (Array.isArray(ws)) return ws;
+    if (ws && Array.isArray(ws.packages)) return ws.packages;
+  } catch (e) {
+    /* no package.json or invalid: not a workspace root */
+  }
+  return [];
+}
+
+/**
+ * Expand a directory glob relative to the repo root
+ * @param {string} repoPath - Absolute path to the repo
+ * @param {string} pattern - e.g. "packages/*" or "apps/**"
+ * @returns {string[]} Relative directories (posix separators)
+ */
+function expandDirPattern(repoPath, pattern) {
+  const segments = pattern.replace(/^\.\//, "").replace(/\/$/, "").split("/");
+  const found = [];
+
+  const listDirs = (rel) => {
+    try {
+      return fs
+        .readdirSync(path.join(repoPath, rel), { withFileTypes: true })
+        .filter((d) => d.isDirectory() && d.name !== "node_modules")
+        .filter((d) => !d.name.startsWith("."))
+        .map((d) => d.name);
+    } catch (e) {
+      return [];
+    }
+  };
+
+  const walk = (rel, index) => {
+    if (index === segments.length) {
+      found.push(rel);
+      return;
+    }
+
+    const segment = segments[index];
+    const join = (name) => (rel ? `${rel}/${name}` : name);
+
+    if (segment === "**") {
+      walk(rel, index + 1);
+      listDirs(rel).forEach((name) => walk(join(name), index));
+    } else if (/[*?]/.test(segment)) {
+      const re = globToRegExp(segment);
+      listDirs(rel)
+        .filter((name) => re.test(name))
+        .forEach((name) => walk(join(name), index + 1));
+    } else if (fs.existsSync(path.join(repoPath, rel, segment))) {
+      walk(join(segment), index + 1);
+    }
+  };
+
+  walk("", 0);
+  return found;
+}
+
+/**
+ * List the workspace packages of a monorepo
+ * @param {string} repoPath - Absolute path to the repo
+ * @returns {Array<{name: string|undefined, dir: string}>}
+ */
+function listWorkspaces(repoPath) {
+  const patterns = getWorkspacePatterns(repoPath);
+  const include = patterns.filter((p) => !p.startsWith("!"));
+  const exclude = patterns
+    .filter((p) => p.startsWith("!"))
+    .map((p) => p.slice(1).replace(/^\.\//, ""));
+
+  const dirs = new Set();
+  include.forEach((pattern) =>
+    expandDirPattern(repoPath, pattern).forEach((dir) => dirs.add(dir)),
+  );
+
+  return [...dirs]
+    .filter((dir) => !exclude.some((p) => matchesPattern(dir, p)))
+    .filter((dir) => fs.existsSync(path.join(repoPath, dir, "package.json")))
+    .sort()
+    .map((dir) => {
+      let name;
+      try {
+        name = JSON.parse(
+          fs.readFileSync(path.join(repoPath, dir, "package.json"), "utf8"),
+        ).name;
+      } catch (e) {
+        name = undefined;
+      }
+      return { name, dir };
+    });
+}
+
+/**
+ * Pick workspace packages matching a selector
+ * @param {Array<{name?: string, dir: string}>} workspaces - From listWorkspaces
+ * @param {string|string[]} selector - Comma-separated string or array of names, dirs or globs
+ * @returns {Array<{name?: string, dir: string}>}
+ */
+function matchWorkspaces(workspaces, selector) {
+  const patterns = (
+    Array.isArray(selector) ? selector : String(selector).split(",")
+  )
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+  return workspaces.filter((ws) =>
+    patterns.some(
+      (p) =>
+        matchesPattern(ws.name, p) ||
+        matchesPattern(ws.dir, p.replace(/^\.\//, "")),
+    ),
+  );
+}
+
+/**
+ * Resolve the workspace packages a repo operation should target
+ * @param {string} repoPath - Absolute path to the repo
+ * @param {string|string[]|undefined} selector - --filter value or repos.json `workspaces`
+ * @returns {Array<{name?: string, dir: string}>|null} null when no selector was given
+ */
+function resolveWorkspaces(repoPath, selector) {
+  if (!selector || (Array.isArray(selector) && !selector.length)) return null;
+  return matchWorkspaces(listWorkspaces(repoPath), selector);
+}
+
+module.exports = {
+  getWorkspacePatterns,
+  listWorkspaces,
+  matchWorkspaces,
+  resolveWorkspaces,
+};
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getWorkspacePatterns,
+  listWorkspaces,
+  matchWorkspaces,
+  resolveWorkspaces,
+} = require("./workspaces");
+
+describe("workspaces", () => {
+  let repoPath;
+
+  const write = (file, content) => {
+    const full = path.join(repoPath, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, content);
+  };
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), "ws-"));
+    write("packages/ui/package.json", JSON.stringify({ name: "@acme/ui" }));
+    write("packages/api/package.json", JSON.stringify({ name: "@acme/api" }));
+    write("apps/web/package.json", JSON.stringify({ name: "web" }));
+    write("apps/legacy/package.json", JSON.stringify({ name: "legacy" }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  it("should read patterns from pnpm-workspace.yaml", () => {
+    write(
+      "pnpm-workspace.yaml",
+      "packages:\n  - 'packages/*'\n  - \"apps/*\"\n  - '!apps/legacy'\n",
+    );
+    expect(getWorkspacePatterns(repoPath)).toEqual([
+      "packages/*",
+      "apps/*",
+      "!apps/legacy",
+    ]);
+  });
+
+  it("should list workspace packages from package.json workspaces", () => {
+    write(
+      "package.json",
+      JSON.stringify({ workspaces: ["packages/*", "apps/*", "!apps/legacy"] }),
+    );
+    expect(listWorkspaces(repoPath)).toEqual([
+      { name: "web", dir: "apps/web" },
+      { name: "@acme/api", dir: "packages/api" },
+      { name: "@acme/ui", dir: "packages/ui" },
+    ]);
+  });
+
+  it("should support the yarn { packages } form", () => {
+    write(
+      "package.json",
+      JSON.stringify({ workspaces: { packages: ["apps/*"] } }),
+    );
+    expect(listWorkspaces(repoPath).map((ws) => ws.dir)).toEqual([
+      "apps/legacy",
+      "apps/web",
+    ]);
+  });
+
+  it("should match by name, dir or glob", () => {
+    write(
+      "package.json",
+      JSON.stringify({ workspaces: ["packages/*", "apps/*"] }),
+    );
+    const all = listWorkspaces(repoPath);
+
+    expect(matchWorkspaces(all, "@acme/*").map((ws) => ws.dir)).toEqual([
+      "packages/api",
+      "packages/ui",
+    ]);
+    expect(matchWorkspaces(all, ["apps/web"])).toEqual([
+      { name: "web", dir: "apps/web" },
+    ]);
+    expect(matchWorkspaces(all, "web,./packages/ui")).toHaveLength(2);
+  });
+
+  it("should return null without a selector", () => {
+    expect(resolveWorkspaces(repoPath, undefined)).toBeNull();
+    expect(resolveWorkspaces(repoPath, "web")).toEqual([]);
+  });
+});